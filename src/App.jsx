@@ -1,13 +1,49 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useTheme } from "./ThemeContext.jsx";
+import { useI18n } from "./LanguageContext.jsx";
+import { LANGUAGES, missingKeys, translate, weekdayLabels } from "./i18n/index.js";
+import PromptSetsEditor from "./PromptSetsEditor.jsx";
+import ChallengesEditor from "./ChallengesEditor.jsx";
+import ArchiveModal from "./ArchiveModal.jsx";
+import StatsPanel from "./StatsPanel.jsx";
+import { computeChallengeStats } from "./stats.js";
+import ImportPreviewModal from "./ImportPreviewModal.jsx";
+import { validateImport, diffImport, planImport, upgradeExportFile, EXPORT_FORMAT, EXPORT_VERSION } from "./importDays.js";
+import { buildBackup, parseBackup } from "./backup.js";
+import { SOURCE_ADAPTERS, detectSource, detectUnsupportedSource, fetchPostMedia, extractImgSrcsFromHTML, SourceError } from "./sources/index.js";
+import CacheManager from "./CacheManager.jsx";
+import DayJournal, { EMPTY_JOURNAL } from "./DayJournal.jsx";
+import { renderMarkdown } from "./markdown.js";
+import ImageGallery from "./ImageGallery.jsx";
+import { buildGallery, galleryToRecords, moveImage, coverImage, dayImages } from "./gallery.js";
+import { useZoomPan, clampPan, zoomAt } from "./useZoomPan.js";
+import CollageModal from "./CollageModal.jsx";
+import RecapModal from "./RecapModal.jsx";
+import { recapFrameAt } from "./recap.js";
+import { buildStaticSite } from "./siteExport.js";
+import RemindersModal from "./RemindersModal.jsx";
+import { DEFAULT_REMINDERS, REMINDER_TAG, dateKey, isReminderDue, nextReminderCheck } from "./reminders.js";
+import { planCacheEviction } from "./cachePolicy.js";
+import { challengeYear, dateForDay, defaultChallenge, idFor, mapChallengeDays, parseISODate, toISODate, yearForDay } from "./challenges.js";
+import { repository, storageEvents, normalizeDayState, DB_VERSION, MIGRATIONS, STORE_NAME } from "./storage/index.js";
+import { formatBytes } from "./format.js";
+import { fetchBlobWithProgress, progressRatio, runWithConcurrency } from "./downloadQueue.js";
+import { createThumbnail, thumbnailSize } from "./thumbnails.js";
+import { createObjectUrlManager, objectUrls } from "./objectUrls.js";
 
 /**
  * Promptober Pop‑Cine – Single-file React component (sin dependencias externas de UI)
  * Stack: React + Tailwind
- * Persistencia: IndexedDB
- * Mes fijo: Octubre (31 días)
- * Funciones: exportar/importar JSON, oEmbed + intento de scrape (proxy r.jina.ai) para imágenes de X,
- *            galería con lightbox (zoom/pan/carrusel), calendario con estado y tooltip de prompt.
+ * Persistencia: src/storage (IndexedDB; localStorage o memoria si IndexedDB está bloqueado)
+ * Retos: Octubre (31 días) por defecto, o cualquier fecha de inicio y duración definida por el usuario
+ * Funciones: exportar/importar JSON (con validación, vista previa y estrategias de mezcla),
+ *            adaptadores de origen (X, Bluesky, Mastodon, ArtStation) en src/sources,
+ *            gestor de cache (tamaño, presupuesto con expulsión LRU, almacenamiento persistente),
+ *            copia de seguridad completa en ZIP (todos los stores + blobs de imágenes), oEmbed + intento de scrape (proxy r.jina.ai) para imágenes de X,
+ *            galería con lightbox (zoom/pan/carrusel), calendario con estado y tooltip de prompt,
+ *            sets de prompts editables (IndexedDB) con set activo por año,
+ *            imágenes locales (archivo, arrastrar y soltar, portapapeles) guardadas como blobs,
+ *            panel de estadísticas (rachas, progreso, comparativa anual) con gráficos SVG.
  *
  * FIXES:
  *  - RegExp de división corregida en handleManualUrlsSave (/[,\n]/).
@@ -18,7 +54,8 @@ import { useTheme } from "./ThemeContext.jsx";
  */
 
 // ------------------------- Prompts (Pop + Cine) -------------------------
-const PROMPTS = [
+// Lista por defecto: se usa para sembrar el primer set editable en IndexedDB
+const DEFAULT_PROMPTS = [
   "Lightsaber Duel (Star Wars)",
   "Hobbiton at Dawn (LotR)",
   "Neo Dodging Bullets (Matrix)",
@@ -52,353 +89,155 @@ const PROMPTS = [
   "Cinematic Halloween Crossover"
 ];
 
-// ------------------------- IndexedDB helpers -------------------------
-const DB_NAME = "promptoberDB";
-const STORE_NAME = "days";
-const IMAGES_STORE_NAME = "images";
-const URLS_STORE_NAME = "urls";
-const DB_VERSION = 2;
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      
-      // Store para días
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: "id" });
-      }
-      
-      // Store para imágenes (blobs)
-      if (!db.objectStoreNames.contains(IMAGES_STORE_NAME)) {
-        db.createObjectStore(IMAGES_STORE_NAME, { keyPath: "url" });
-      }
-      
-      // Store para URLs de tweets (cache de URLs)
-      if (!db.objectStoreNames.contains(URLS_STORE_NAME)) {
-        db.createObjectStore(URLS_STORE_NAME, { keyPath: "tweetUrl" });
-      }
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
+// ------------------------- Ajustes y fechas -------------------------
+// La persistencia vive en src/storage (repository); los retos y sus fechas en src/challenges.js
+const DEFAULT_PROMPT_SET_ID = "default";
 
-function idFor(year, day) {
-  return `${year}-10-${day}`;
+function formatShortDate(date, locale = "es") {
+  return date.toLocaleDateString(locale, { day: "numeric", month: "short" });
 }
 
-// DayState type definition (commented out for JSX compatibility)
-// {
-//   id: string; // `${year}-10-${day}`
-//   year: number;
-//   day: number; // 1..31
-//   done: boolean;
-//   tweetUrl?: string;
-//   manualImageUrls?: string[]; // URLs de imágenes añadidas manualmente
-// }
-
-async function getDay(year, day) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, "readonly");
-    const store = tx.objectStore(STORE_NAME);
-    const req = store.get(idFor(year, day));
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
+function activeSetKey(year) {
+  return `activePromptSet:${year}`;
 }
 
-async function setDay(state) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, "readwrite");
-    const store = tx.objectStore(STORE_NAME);
-    const req = store.put(state);
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
-  });
+function activeChallengeKey(year) {
+  return `activeChallenge:${year}`;
 }
 
-async function getAllDays() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, "readonly");
-    const store = tx.objectStore(STORE_NAME);
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result || []);
-    req.onerror = () => reject(req.error);
-  });
-}
+// Cola de cargas de posts pedidas sin conexión: [{ dayId, tweetUrl }]
+const PENDING_FETCHES_KEY = "pendingFetches";
 
-// ------------------------- Image Cache helpers -------------------------
-async function saveImageToCache(url, blob) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(IMAGES_STORE_NAME, "readwrite");
-    const store = tx.objectStore(IMAGES_STORE_NAME);
-    const req = store.put({ url, blob, timestamp: Date.now() });
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
-  });
-}
+// Ajustes del recordatorio diario (ver reminders.js)
+const REMINDERS_KEY = "reminders";
 
-async function getImageFromCache(url) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(IMAGES_STORE_NAME, "readonly");
-    const store = tx.objectStore(IMAGES_STORE_NAME);
-    const req = store.get(url);
-    req.onsuccess = () => {
-      const result = req.result;
-      if (result && result.blob) {
-        // Verificar que la imagen no sea muy antigua (1 año)
-        const isExpired = Date.now() - result.timestamp > 365 * 24 * 60 * 60 * 1000;
-        resolve(isExpired ? null : result.blob);
-      } else {
-        resolve(null);
-      }
-    };
-    req.onerror = () => reject(req.error);
-  });
-}
+// Vista del calendario: "text" (prompts) | "images" (portada de cada día)
+const CALENDAR_VIEW_KEY = "calendarView";
 
-async function saveTweetUrlsToCache(tweetUrl, imageUrls) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(URLS_STORE_NAME, "readwrite");
-    const store = tx.objectStore(URLS_STORE_NAME);
-    const req = store.put({ 
-      tweetUrl, 
-      imageUrls, 
-      timestamp: Date.now() 
-    });
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
-  });
+// Set de prompts que se siembra si no hay ninguno guardado
+function defaultPromptSet() {
+  return { id: DEFAULT_PROMPT_SET_ID, name: "Pop + Cine", position: 0, prompts: [...DEFAULT_PROMPTS] };
 }
 
-async function getTweetUrlsFromCache(tweetUrl) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(URLS_STORE_NAME, "readonly");
-    const store = tx.objectStore(URLS_STORE_NAME);
-    const req = store.get(tweetUrl);
-    req.onsuccess = () => {
-      const result = req.result;
-      if (result && result.imageUrls) {
-        // Verificar que el cache no sea muy antiguo (1 año)
-        const isExpired = Date.now() - result.timestamp > 365 * 24 * 60 * 60 * 1000;
-        resolve(isExpired ? null : result.imageUrls);
-      } else {
-        resolve(null);
-      }
-    };
-    req.onerror = () => reject(req.error);
-  });
-}
-
-// Función para descargar y cachear una imagen
-async function downloadAndCacheImage(url) {
-  try {
-    // Primero verificar si ya está en cache
-    const cachedBlob = await getImageFromCache(url);
-    if (cachedBlob) {
-      console.log(`✅ Imagen encontrada en cache: ${url}`);
-      return URL.createObjectURL(cachedBlob);
+// ------------------------- Descargas al cache -------------------------
+// Devuelve { blob, thumbnail } de la imagen (del cache o descargándola); lanza si la descarga falla.
+// Las URLs para mostrarla las crea quien la usa (ver objectUrls.js).
+async function cacheImage(url, { onProgress, signal } = {}) {
+  // Primero verificar si ya está en cache
+  const cached = await repository.getCachedImage(url);
+  if (cached) {
+    console.log(`✅ Imagen encontrada en cache: ${url}`);
+    // Registros anteriores a las miniaturas: se generan la primera vez que se muestran
+    if (cached.thumbnail === undefined) {
+      cached.thumbnail = await createThumbnail(cached.blob);
+      await repository.setImageThumbnail(url, cached.thumbnail);
     }
-
-    // Si no está en cache, descargarla
-    console.log(`📥 Descargando imagen: ${url}`);
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const blob = await response.blob();
-    
-    // Guardar en cache
-    await saveImageToCache(url, blob);
-    console.log(`💾 Imagen guardada en cache: ${url}`);
-    
-    return URL.createObjectURL(blob);
-  } catch (error) {
-    console.warn(`❌ Error descargando imagen ${url}:`, error.message);
-    // Si falla la descarga, devolver la URL original
-    return url;
+    return cached;
   }
+
+  // Si no está en cache, descargarla
+  console.log(`📥 Descargando imagen: ${url}`);
+  const blob = await fetchBlobWithProgress(url, { onProgress, signal });
+  const thumbnail = await createThumbnail(blob);
+
+  // Guardar en cache (original + miniatura); quien descarga un lote poda al terminar (pruneImageCache)
+  await repository.saveImageToCache(url, blob, thumbnail);
+  console.log(`💾 Imagen guardada en cache: ${url}`);
+
+  return { blob, thumbnail };
 }
 
-// Función para limpiar el cache de imágenes
-async function clearImageCache() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(IMAGES_STORE_NAME, "readwrite");
-    const store = tx.objectStore(IMAGES_STORE_NAME);
-    const req = store.clear();
-    req.onsuccess = () => {
-      console.log("🗑️ Cache de imágenes limpiado");
-      resolve();
-    };
-    req.onerror = () => reject(req.error);
-  });
+// Aplica el presupuesto del cache una vez por lote de descargas: cada poda recorre todo el store
+function pruneImageCache() {
+  return repository.pruneImageCache().catch((error) => console.warn("Error podando el cache:", error));
 }
 
-// Función para limpiar el cache de URLs de tweets
-async function clearUrlsCache() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(URLS_STORE_NAME, "readwrite");
-    const store = tx.objectStore(URLS_STORE_NAME);
-    const req = store.clear();
-    req.onsuccess = () => {
-      console.log("🗑️ Cache de URLs limpiado");
-      resolve();
-    };
-    req.onerror = () => reject(req.error);
-  });
+// Descarga las URLs de un post y sus imágenes al cache sin tocar la UI (cola offline)
+async function prefetchPost(tweetUrl) {
+  let images = await repository.getTweetUrlsFromCache(tweetUrl);
+  if (!images?.length) {
+    images = (await fetchPostMedia(tweetUrl)).images;
+    if (images.length > 0) await repository.saveTweetUrlsToCache(tweetUrl, images);
+  }
+  await runWithConcurrency(images, (imageUrl) =>
+    cacheImage(imageUrl).catch((error) => console.warn(`❌ Error descargando imagen ${imageUrl}:`, error.message))
+  );
+  await pruneImageCache();
+  return images.length;
 }
 
-// Función para obtener estadísticas del cache
-async function getCacheStats() {
-  const db = await openDB();
-  
-  const imageCount = await new Promise((resolve, reject) => {
-    const tx = db.transaction(IMAGES_STORE_NAME, "readonly");
-    const store = tx.objectStore(IMAGES_STORE_NAME);
-    const req = store.count();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-  
-  const urlCount = await new Promise((resolve, reject) => {
-    const tx = db.transaction(URLS_STORE_NAME, "readonly");
-    const store = tx.objectStore(URLS_STORE_NAME);
-    const req = store.count();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-  
-  return { imageCount, urlCount };
+// Miniatura de las imágenes locales guardadas antes de que existieran (se guarda para la próxima vez)
+async function ensureLocalThumbnail(record) {
+  if (record.thumbnail !== undefined) return record;
+  const thumbnail = await createThumbnail(record.blob);
+  await repository.setLocalImageThumbnail(record.id, thumbnail);
+  return { ...record, thumbnail };
 }
 
 // ------------------------- Utils -------------------------
-function getCurrentOctDay() {
-  const now = new Date();
-  const year = now.getFullYear();
-  if (now.getMonth() === 9) {
-    return { year, day: Math.min(Math.max(now.getDate(), 1), 31) };
-  }
-  return { year, day: 1 };
+// Texto de los catálogos con **negrita** → nodos de React
+function richText(text) {
+  return text.split("**").map((part, i) => (i % 2 ? <strong key={i}>{part}</strong> : part));
 }
 
-function extractImgSrcsFromHTML(html) {
-  const temp = document.createElement("div");
-  temp.innerHTML = html;
-  const imgs = Array.from(temp.querySelectorAll("img"));
-  const srcs = imgs.map((i) => i.src).filter(Boolean);
-  return Array.from(new Set(srcs));
+// Día del reto correspondiente a `now` (null si queda fuera del rango)
+function getTodayChallengeDay(challenge, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const start = parseISODate(challenge.startDate);
+  const diff = Math.round((today - start) / (24 * 60 * 60 * 1000));
+  if (diff >= 0 && diff < challenge.length) {
+    return diff + 1;
+  }
+  return null;
 }
 
-// Extrae imágenes desde una página de X usando múltiples métodos (best effort, sin garantías)
-async function fetchTweetImagesViaProxy(tweetUrl) {
-  const proxies = [
-    `https://r.jina.ai/http://${tweetUrl.replace(/^https?:\/\//, "")}`,
-    `https://api.allorigins.win/get?url=${encodeURIComponent(tweetUrl)}`,
-    `https://cors-anywhere.herokuapp.com/${tweetUrl}`
-  ];
+// Día del reto correspondiente a hoy (1 si hoy queda fuera del rango)
+function getCurrentChallengeDay(challenge) {
+  return getTodayChallengeDay(challenge) ?? 1;
+}
 
-  for (const proxyUrl of proxies) {
-    try {
-      const res = await fetch(proxyUrl);
-      if (!res.ok) continue;
-      
-      let text;
-      if (proxyUrl.includes('allorigins.win')) {
-        const data = await res.json();
-        text = data.contents;
-      } else {
-        text = await res.text();
-      }
-      
-      // RegExp mejorado para URLs de media en Twitter (pbs.twimg.com)
-      const mediaRegex = /https?:\/\/pbs\.twimg\.com\/media\/[A-Za-z0-9_-]+[^"'\)\s]*/g;
-      const found = Array.from(new Set(text.match(mediaRegex) || []));
-      
-      if (found.length > 0) {
-        return found.map((u) => {
-          // Limpiar parámetros y asegurar formato large
-          const cleanUrl = u.split('?')[0];
-          return `${cleanUrl}?format=jpg&name=large`;
-        });
-      }
-    } catch (error) {
-      console.warn(`Proxy ${proxyUrl} falló:`, error.message);
-      continue;
-    }
+// Reto que cubre el día `now` en cualquier año (un reto de diciembre sigue en enero): primero el abierto
+// en la app, luego el marcado como activo en su año y si no el que empieza antes. Solo lee: lo usa el
+// temporizador del recordatorio, que no debe sembrar retos.
+async function findChallengeCovering(now, openChallengeId) {
+  const covering = (await repository.getAllChallenges())
+    .filter((c) => getTodayChallengeDay(c, now))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const open = covering.find((c) => c.id === openChallengeId);
+  if (open) return open;
+  for (const c of covering) {
+    if ((await repository.getSetting(activeChallengeKey(challengeYear(c)))) === c.id) return c;
   }
-  
-  return [];
+  return covering[0] || null;
 }
 
-// Método alternativo: extraer imágenes usando regex más específico
-function extractImagesFromTweetText(text) {
-  const patterns = [
-    // URLs directas de pbs.twimg.com
-    /https?:\/\/pbs\.twimg\.com\/media\/[A-Za-z0-9_-]+[^"'\)\s]*/g,
-    // URLs en formato de datos JSON
-    /"media_url":"([^"]+pbs\.twimg\.com[^"]+)"/g,
-    // URLs en atributos src
-    /src="([^"]*pbs\.twimg\.com[^"]*)"/g
-  ];
-  
-  const found = new Set();
-  
-  patterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        // Extraer URL del match
-        let url = match;
-        if (match.includes('"media_url":"')) {
-          url = match.match(/"media_url":"([^"]+)"/)?.[1] || match;
-        } else if (match.includes('src="')) {
-          url = match.match(/src="([^"]+)"/)?.[1] || match;
-        }
-        
-        if (url && url.includes('pbs.twimg.com')) {
-          // Limpiar y formatear URL
-          const cleanUrl = url.split('?')[0];
-          found.add(`${cleanUrl}?format=jpg&name=large`);
-        }
-      });
-    }
-  });
-  
-  return Array.from(found);
+// ------------------------- Notificaciones -------------------------
+function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
 }
 
-// Método de fallback: URLs conocidas para tweets específicos (para testing)
-function getKnownTweetImages(tweetUrl) {
-  const knownImages = {
-    '1973385010481606663': [
-      'https://pbs.twimg.com/media/G2LfJa8WgAM9qkW?format=jpg&name=large',
-      'https://pbs.twimg.com/media/G2LfJa1WkAACYAk?format=jpg&name=large',
-      'https://pbs.twimg.com/media/G2LfJbEXMAA39wl?format=jpg&name=large',
-      'https://pbs.twimg.com/media/G2LfJaxWMAABWFy?format=jpg&name=large'
-    ]
-  };
-  
-  const tweetIdMatch = tweetUrl.match(/\/status\/(\d+)/);
-  if (tweetIdMatch) {
-    const tweetId = tweetIdMatch[1];
-    return knownImages[tweetId] || [];
-  }
-  
-  return [];
+// Aviso del día con su prompt (`text`: { title, body, snooze } ya traducidos). `target`: { year, challengeId, day }
+// viaja en la notificación. Con service worker la notificación lleva el botón de posponer (lo atiende el listener
+// de mensajes de la app); sin él, `onClick` abre el día.
+async function showReminderNotification(target, { title, body, snooze }, onClick) {
+  if (notificationPermission() !== "granted") return false;
+  const options = { body, tag: REMINDER_TAG, icon: "icon.svg", data: target };
+  const registration = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) {
+    await registration.showNotification(title, { ...options, actions: [{ action: "snooze", title: snooze }] });
+  } else {
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+  }
+  return true;
 }
 
 // ------------------------- Self Tests (ligeros, en consola) -------------------------
-function runSelfTests() {
+function runSelfTests(prompts, challenge) {
   try {
     // Test 1: split manual URLs
     const input = "https://a.com/1.jpg,\nhttps://b.com/2.png";
@@ -416,11 +255,141 @@ function runSelfTests() {
     const imgs = extractImgSrcsFromHTML(html);
     console.assert(imgs.length === 1 && imgs[0].includes("img.png"), "extractImgSrcs fallo");
 
-    // Test 4: idFor helper
-    console.assert(idFor(2025, 7) === "2025-10-7", "idFor fallo");
-
-    // Test 5: prompt mapping bounds
-    console.assert(PROMPTS.length === 31 && PROMPTS[0].length > 0 && PROMPTS[30].length > 0, "PROMPTS length/mapping fallo");
+    // Test 4: idFor helper (Octubre compatible + rango que cruza de mes)
+    console.assert(idFor(defaultChallenge(2025), 7) === "2025-10-7", "idFor fallo");
+    const sprint = { id: "sprint", name: "Sprint", startDate: "2025-11-25", length: 14 };
+    console.assert(idFor(sprint, 10) === "2025-12-4", "idFor (rango) fallo");
+
+    // Test 5: prompt mapping bounds (set activo vs. duración del reto)
+    console.assert(prompts.length >= challenge.length && prompts.every((p) => typeof p === "string"), "prompts del set activo: length/mapping fallo");
+
+    // Test 6: rachas y fallos (hoy sin hacer no rompe la racha)
+    const pattern = [true, true, false, true, true, true, false];
+    const entries = pattern.map((done, i) => ({
+      day: i + 1,
+      date: dateForDay(defaultChallenge(2025), i + 1),
+      state: { done },
+      imageCount: done ? 2 : 0,
+    }));
+    const st = computeChallengeStats(entries, new Date(2025, 9, 7));
+    console.assert(st.longestStreak === 3 && st.currentStreak === 3 && st.missed === 1 && st.doneCount === 5, "stats racha/fallos fallo");
+    console.assert(st.byWeekday.join() === "1,0,1,1,0,1,1", "stats semana desde lunes fallo");
+    console.assert(computeChallengeStats(entries, new Date(2025, 9, 7), 0).byWeekday.join() === "1,1,0,1,1,0,1", "stats semana desde domingo fallo");
+
+    // Test 7: validación de importación y estrategia "unir imágenes"
+    const tEs = (key, vars) => translate("es", "es-ES", key, vars);
+    const bad = validateImport({ year: 2025, month: 10, data: [{ id: "2025-10-1", year: 2025, day: 1, done: "si" }] }, tEs);
+    console.assert(!bad.fatal && bad.days.length === 0 && bad.errors.length === 1, "validateImport fallo");
+    const localDay = { id: "2025-10-2", year: 2025, day: 2, done: true, manualImageUrls: ["a"] };
+    const incomingDay = { ...localDay, done: false, manualImageUrls: ["b"] };
+    const merged = planImport([incomingDay], new Map([[localDay.id, localDay]]), "merge")[0];
+    console.assert(merged.done && merged.manualImageUrls.join() === "a,b", "planImport merge fallo");
+
+    // Test 8: expulsión del cache (caducidad + LRU hasta quedar bajo el presupuesto)
+    const cacheEntries = [
+      { url: "old", size: 10, timestamp: 0, lastAccess: 0 },
+      { url: "lru", size: 60, timestamp: 900, lastAccess: 900 },
+      { url: "hot", size: 60, timestamp: 900, lastAccess: 999 },
+    ];
+    const evicted = planCacheEviction(cacheEntries, { budgetBytes: 100, maxAgeMs: 500, now: 1000 });
+    console.assert(evicted.join() === "old,lru", "planCacheEviction fallo");
+
+    // Test 9: migraciones ordenadas y subida de exportaciones antiguas
+    console.assert(MIGRATIONS.every((m, i) => m.version === i + 1), "MIGRATIONS debe ir en orden v1..vN");
+    const legacy = upgradeExportFile({ year: 2024, data: [{ id: "2024-10-3", year: 2024, day: 3, done: true }] }, tEs);
+    console.assert(legacy.version === EXPORT_VERSION && legacy.month === 10 && legacy.data[0].manualImageUrls.length === 0, "upgradeExportFile v1 fallo");
+    console.assert(!validateImport(upgradeExportFile([{ id: "2024-10-4", day: 4 }], tEs), tEs).fatal, "upgradeExportFile lista suelta fallo");
+
+    // Test 10: las notas del diario escapan HTML antes de aplicar Markdown
+    const md = renderMarkdown("**hola** <img src=x onerror=alert(1)>");
+    console.assert(md.includes("<strong>hola</strong>") && !md.includes("<img"), "renderMarkdown escape fallo");
+
+    // Test 11: la favorita es la portada aunque no sea la primera; las ocultas no cuentan
+    const galleryTest = buildGallery(
+      [{ source: "manual", url: "a", src: "a" }, { source: "manual", url: "b", src: "b" }, { source: "manual", url: "c", src: "c" }],
+      [{ id: "manual:c", source: "manual", url: "c", caption: "", alt: "", favorite: true, hidden: false, position: 0 }]
+    );
+    console.assert(galleryTest.map((g) => g.url).join() === "c,a,b", "buildGallery orden fallo");
+    console.assert(coverImage(galleryToRecords(moveImage(galleryTest, "manual:c", "manual:b"))).id === "manual:c", "coverImage favorita fallo");
+    console.assert(coverImage([{ id: "x", favorite: true, hidden: true, position: 0 }, { id: "y", position: 1 }]).id === "y", "coverImage oculta fallo");
+
+    // Test 12: zoom anclado al cursor y desplazamiento limitado a la imagen
+    const anchored = zoomAt({ zoom: 1, pan: { x: 0, y: 0 } }, { x: 100, y: 0 }, 2);
+    console.assert(anchored.x === -100 && anchored.y === 0, "zoomAt fallo");
+    const clamped = clampPan({ x: 500, y: -500 }, 2, { w: 400, h: 200 }, { w: 400, h: 400 });
+    console.assert(clamped.x === 200 && clamped.y === 0, "clampPan fallo");
+
+    // Test 13: línea de tiempo del vídeo resumen (transición al final de cada diapositiva)
+    const recapTiming = { slideMs: 1000, transitionMs: 200, transition: "fade" };
+    console.assert(recapFrameAt(500, 3, recapTiming).next === null, "recapFrameAt mitad fallo");
+    const mixing = recapFrameAt(1900, 3, recapTiming);
+    console.assert(mixing.index === 1 && mixing.next === 2 && Math.abs(mixing.mix - 0.5) < 1e-9, "recapFrameAt transición fallo");
+    console.assert(recapFrameAt(2900, 3, recapTiming).next === null, "recapFrameAt última fallo");
+
+    // Test 14: recordatorio diario (hora del aviso, día ya avisado y aviso pospuesto)
+    const reminderNow = new Date(2024, 9, 5, 21, 0);
+    const reminderOn = { ...DEFAULT_REMINDERS, enabled: true, time: "20:00" };
+    console.assert(isReminderDue(reminderNow, reminderOn), "recordatorio vencido fallo");
+    console.assert(!isReminderDue(new Date(2024, 9, 5, 19, 0), reminderOn), "recordatorio antes de hora fallo");
+    console.assert(nextReminderCheck(reminderNow, { ...reminderOn, lastHandled: dateKey(reminderNow) }).getDate() === 6, "recordatorio ya avisado fallo");
+    const snoozed = { ...reminderOn, lastHandled: dateKey(reminderNow), snoozeUntil: reminderNow.getTime() + 60000 };
+    console.assert(!isReminderDue(reminderNow, snoozed) && isReminderDue(new Date(reminderNow.getTime() + 60000), snoozed), "recordatorio pospuesto fallo");
+    console.assert(nextReminderCheck(reminderNow, DEFAULT_REMINDERS) === null, "recordatorio desactivado fallo");
+
+    // Test 15: catálogos completos, plurales, interpolación y días de la semana desde Intl
+    LANGUAGES.forEach((l) => console.assert(missingKeys(l.id).length === 0, `i18n: faltan claves en ${l.id}: ${missingKeys(l.id).join(", ")}`));
+    console.assert(translate("en", "en-US", "header.queuedFetches", { count: 1 }) === "1 fetch queued", "i18n plural fallo");
+    console.assert(translate("es", "es-ES", "header.queuedFetches", { count: 3 }) === "3 cargas en cola", "i18n plural fallo");
+    console.assert(translate("en", "en-US", "no.existe") === "no.existe", "i18n clave ausente fallo");
+    console.assert(weekdayLabels("es-ES", 1).join("") === "LMXJVSD", "weekdayLabels fallo");
+
+    // Test 16: la cola de descargas respeta el límite de concurrencia y conserva el orden
+    let activeJobs = 0;
+    let peakJobs = 0;
+    const job = (ms) =>
+      new Promise((resolve) => {
+        peakJobs = Math.max(peakJobs, ++activeJobs);
+        setTimeout(() => {
+          activeJobs--;
+          resolve(ms);
+        }, ms);
+      });
+    runWithConcurrency([30, 10, 20, 0], job, 2).then((results) =>
+      console.assert(peakJobs === 2 && results.map((r) => r.value).join() === "30,10,20,0", "runWithConcurrency fallo")
+    );
+    console.assert(progressRatio({ loaded: 50, total: 200 }) === 0.25 && progressRatio({ loaded: 50, total: null }) === null, "progressRatio fallo");
+
+    // Test 17: miniaturas proporcionales y object URLs revocadas solo cuando nadie las usa
+    const thumbSize = thumbnailSize(1600, 900, 320);
+    console.assert(thumbSize.width === 320 && thumbSize.height === 180 && thumbnailSize(200, 100, 320) === null, "thumbnailSize fallo");
+    const revoked = [];
+    const urlManager = createObjectUrlManager({ create: () => `blob:${revoked.length}`, revoke: (u) => revoked.push(u) });
+    const urlScope = urlManager.scope();
+    const shared = urlScope.acquire("a", null);
+    console.assert(urlManager.acquire("a", null) === shared && urlManager.size === 1, "objectUrls reutilizar fallo");
+    urlScope.releaseAll();
+    console.assert(revoked.length === 0, "objectUrls revocó una URL en uso");
+    urlManager.release("a");
+    console.assert(revoked.join() === shared && urlManager.size === 0, "objectUrls revocar fallo");
+
+    // Test 18: imágenes del día para el calendario: sin las ocultas y con la favorita como portada
+    const calendarDay = dayImages(
+      {
+        manualImageUrls: ["m1"],
+        localImageIds: ["l1"],
+        images: [
+          { id: "post:p1", source: "post", url: "p1", hidden: true, position: 0 },
+          { id: "local:l1", source: "local", url: "l1", favorite: true, position: 3 },
+        ],
+      },
+      ["p1", "p2"]
+    );
+    console.assert(calendarDay.map((g) => g.url).join() === "l1,p2,m1", "dayImages fallo");
+
+    // Test 19: un reto que empieza en diciembre sigue cubriendo los días de enero (recordatorio)
+    const winter = { id: "winter", startDate: "2025-12-15", length: 30 };
+    console.assert(getTodayChallengeDay(winter, new Date(2026, 0, 5)) === 22, "getTodayChallengeDay Año Nuevo fallo");
+    console.assert(getTodayChallengeDay(winter, new Date(2026, 0, 14)) === null, "getTodayChallengeDay fuera de rango fallo");
   } catch (e) {
     console.warn("Self-tests error (no crítico):", e);
   }
@@ -429,42 +398,238 @@ function runSelfTests() {
 // ------------------------- Main Component -------------------------
 export default function PromptoberApp() {
   const { isDark, toggleTheme } = useTheme();
-  const initial = useMemo(getCurrentOctDay, []);
-  const [year] = useState(initial.year);
+  const { t, locale, weekStart, language, setLanguage } = useI18n();
+  const initial = useMemo(() => {
+    const year = new Date().getFullYear();
+    return { year, day: getCurrentChallengeDay(defaultChallenge(year)) };
+  }, []);
+  const [year, setYear] = useState(initial.year);
+  const [archiveYears, setArchiveYears] = useState([initial.year]);
+  const [archiveSummary, setArchiveSummary] = useState(null);
+  const [statsData, setStatsData] = useState(null);
+  const [collageData, setCollageData] = useState(null); // { candidates }
+  const [recapData, setRecapData] = useState(null); // { slides }
+  const [importPreview, setImportPreview] = useState(null);
+  const [backupProgress, setBackupProgress] = useState(null); // { label, done, total }
+  const [dbNotice, setDbNotice] = useState(null); // "blocked" | "versionchange" | "localStorage" | "memory"
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [pendingFetches, setPendingFetches] = useState([]); // [{ dayId, tweetUrl }]
+  const [reminders, setReminders] = useState(DEFAULT_REMINDERS);
+  const remindersRef = useRef(reminders);
+  remindersRef.current = reminders;
+  const [reminderTick, setReminderTick] = useState(0);
+  const [reminderNotice, setReminderNotice] = useState(null); // { year, day, prompt }
+  const [showRemindersModal, setShowRemindersModal] = useState(false);
   const [selectedDay, setSelectedDay] = useState(initial.day);
+  const [challenges, setChallenges] = useState([]);
+  const [activeChallengeId, setActiveChallengeId] = useState(null);
+  const [showChallengesModal, setShowChallengesModal] = useState(false);
   const [dayState, setDayState] = useState(undefined);
+  const dayStateRef = useRef(dayState);
+  dayStateRef.current = dayState;
   const [loading, setLoading] = useState(false);
   const [oembedHTML, setOembedHTML] = useState("");
   const [oembedImgs, setOembedImgs] = useState([]);
+  // Descargas de las imágenes del post: [{ url, status: "loading" | "done" | "error", loaded, total, error }]
+  const [postDownloads, setPostDownloads] = useState([]);
+  const [postError, setPostError] = useState(null); // por qué la última carga del post no trajo imágenes
+  const postFetchRef = useRef(null); // AbortController de la carga en curso
   const [manualUrlsInput, setManualUrlsInput] = useState("");
+  const [localImages, setLocalImages] = useState([]); // [{ id, src, thumb }] con object URLs
+  // Object URLs de las imágenes del día en pantalla; se liberan al cambiar de día
+  const [dayUrls] = useState(() => objectUrls.scope());
+  const [dragOver, setDragOver] = useState(false);
+  const [tagFilter, setTagFilter] = useState(null);
   const [allDaysCache, setAllDaysCache] = useState({});
-  const [cacheStats, setCacheStats] = useState({ imageCount: 0, urlCount: 0 });
+  const [calendarView, setCalendarView] = useState("text"); // ver CALENDAR_VIEW_KEY
+  const [calendarImages, setCalendarImages] = useState({}); // día → [object URL] (la portada primero)
+  const calendarUrlsRef = useRef(null); // ámbito de objectUrls con las URLs de calendarImages
+  const [cacheStats, setCacheStats] = useState({ imageCount: 0, imageBytes: 0, urlCount: 0 });
+  const [cacheManager, setCacheManager] = useState(null); // { entries, usage, quota, persisted, settings }
   const [showHelpModal, setShowHelpModal] = useState(false);
+  const [promptSets, setPromptSets] = useState([]);
+  const [activeSetId, setActiveSetId] = useState(DEFAULT_PROMPT_SET_ID);
+  const [showPromptSetsModal, setShowPromptSetsModal] = useState(false);
+
+  const activeSet = promptSets.find((s) => s.id === activeSetId) || promptSets[0];
+  const prompts = activeSet?.prompts || DEFAULT_PROMPTS;
+  const challenge = challenges.find((c) => c.id === activeChallengeId) || challenges[0] || defaultChallenge(year);
+  const challengeRef = useRef(challenge);
+  challengeRef.current = challenge;
 
-  // Ejecutar auto‑tests una vez en cliente
+  // Cargar retos del año y el reto activo
   useEffect(() => {
-    runSelfTests();
+    (async () => {
+      try {
+        const list = await repository.loadChallenges(year);
+        setChallenges(list);
+        const savedId = await repository.getSetting(activeChallengeKey(year));
+        const active = list.find((c) => c.id === savedId) || list[0];
+        setActiveChallengeId(active.id);
+        setSelectedDay(getCurrentChallengeDay(active));
+      } catch (error) {
+        console.warn("Error cargando retos:", error);
+      }
+    })();
+  }, [year]);
+
+  // Otra pestaña bloquea la actualización de la base de datos o la ha actualizado
+  useEffect(() => {
+    const onBlocked = () => setDbNotice("blocked");
+    const onVersionChange = () => setDbNotice("versionchange");
+    storageEvents.addEventListener("blocked", onBlocked);
+    storageEvents.addEventListener("versionchange", onVersionChange);
+    return () => {
+      storageEvents.removeEventListener("blocked", onBlocked);
+      storageEvents.removeEventListener("versionchange", onVersionChange);
+    };
+  }, []);
+
+  // Sin IndexedDB (p. ej. algunos modos privados) los datos van a localStorage o solo a memoria
+  useEffect(() => {
+    repository.backendKind().then((kind) => {
+      if (kind !== "indexedDB") setDbNotice(kind);
+    });
+  }, []);
+
+  // Estado de la conexión y cola de cargas pendientes
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    repository.getSetting(PENDING_FETCHES_KEY)
+      .then((queue) => setPendingFetches(queue || []))
+      .catch((error) => console.warn("Error cargando la cola de cargas:", error));
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  // Al recuperar la conexión, procesar la cola
+  useEffect(() => {
+    if (online && pendingFetches.length > 0) processPendingFetches(pendingFetches);
+  }, [online, pendingFetches.length > 0]);
+
+  // Ajustes del recordatorio diario
+  useEffect(() => {
+    repository.getSetting(REMINDERS_KEY)
+      .then((saved) => saved && setReminders({ ...DEFAULT_REMINDERS, ...saved }))
+      .catch((error) => console.warn("Error cargando el recordatorio:", error));
+  }, []);
+
+  useEffect(() => {
+    repository.getSetting(CALENDAR_VIEW_KEY)
+      .then((saved) => saved && setCalendarView(saved))
+      .catch((error) => console.warn("Error cargando la vista del calendario:", error));
+  }, []);
+
+  function changeCalendarView(view) {
+    setCalendarView(view);
+    repository.setSetting(CALENDAR_VIEW_KEY, view).catch((error) => console.warn("Error guardando la vista del calendario:", error));
+  }
+
+  // Programar la próxima comprobación. Tope de una hora porque los temporizadores largos se
+  // retrasan con la pestaña en segundo plano o el equipo suspendido; al volver a la pestaña se recalcula.
+  useEffect(() => {
+    const next = nextReminderCheck(new Date(), reminders);
+    if (!next) return undefined;
+    const delay = Math.min(Math.max(next.getTime() - Date.now(), 0), 60 * 60 * 1000);
+    const timer = setTimeout(() => {
+      if (isReminderDue(new Date(), remindersRef.current)) checkReminder();
+      else setReminderTick((n) => n + 1);
+    }, delay);
+    const onVisible = () => document.visibilityState === "visible" && setReminderTick((n) => n + 1);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [reminders, reminderTick]);
+
+  // Botones de la notificación (reenviados por el service worker)
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return undefined;
+    const onMessage = (e) => {
+      if (e.data?.type === "reminder-snooze") snoozeReminder();
+      if (e.data?.type === "reminder-open") openReminderDay(e.data.target);
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, [year]);
+
+  // Años disponibles para el selector
+  useEffect(() => {
+    repository.getArchiveYears()
+      .then(setArchiveYears)
+      .catch((error) => console.warn("Error cargando años del archivo:", error));
+  }, []);
+
+  // Cargar sets de prompts y el set activo del año
+  useEffect(() => {
+    (async () => {
+      try {
+        const sets = await repository.loadPromptSets(defaultPromptSet());
+        setPromptSets(sets);
+        const savedId = await repository.getSetting(activeSetKey(year));
+        setActiveSetId(sets.some((s) => s.id === savedId) ? savedId : sets[0].id);
+      } catch (error) {
+        console.warn("Error cargando sets de prompts:", error);
+      }
+    })();
+  }, [year]);
+
+  // Ejecutar auto‑tests en cliente cuando el set activo esté disponible
+  useEffect(() => {
+    if (activeSet) runSelfTests(activeSet.prompts, challenge);
+  }, [activeSet?.id]);
+
+  // Suites asíncronas (adaptadores con respuestas grabadas, capa de datos en memoria): solo en desarrollo
+  // y una vez por carga; con import() dinámico ni ellas ni sus fixtures entran en el bundle de producción
+  useEffect(() => {
+    if (import.meta.env.DEV) {
+      import("./sources/selfTests.js")
+        .then((m) => m.runSourceAdapterTests())
+        .catch((e) => console.warn("Self-tests error (no crítico):", e));
+      import("./storage/selfTests.js")
+        .then((m) => m.runStorageTests())
+        .catch((e) => console.warn("Self-tests error (no crítico):", e));
+    }
   }, []);
 
-  // Manejar tecla Escape para cerrar modal
+  // Manejar tecla Escape para cerrar modales
   useEffect(() => {
     const handleEscape = (e) => {
-      if (e.key === 'Escape' && showHelpModal) {
+      if (e.key === 'Escape') {
         setShowHelpModal(false);
+        setShowPromptSetsModal(false);
+        setShowChallengesModal(false);
+        setArchiveSummary(null);
+        setStatsData(null);
+        setCollageData(null);
+        setRecapData(null);
+        setImportPreview(null);
+        setCacheManager(null);
+        setShowRemindersModal(false);
       }
     };
     
-    if (showHelpModal) {
+    if (showHelpModal || showPromptSetsModal || showChallengesModal || archiveSummary || statsData || collageData || recapData || importPreview || cacheManager || showRemindersModal) {
       document.addEventListener('keydown', handleEscape);
       return () => document.removeEventListener('keydown', handleEscape);
     }
-  }, [showHelpModal]);
+  }, [showHelpModal, showPromptSetsModal, showChallengesModal, archiveSummary, statsData, collageData, recapData, importPreview, cacheManager, showRemindersModal]);
+
+  // Aplicar caducidad y presupuesto del cache al arrancar
+  useEffect(() => {
+    pruneImageCache();
+  }, []);
 
   // Actualizar estadísticas del cache
   useEffect(() => {
     const updateCacheStats = async () => {
       try {
-        const stats = await getCacheStats();
+        const stats = await repository.getCacheStats();
         setCacheStats(stats);
       } catch (error) {
         console.warn("Error obteniendo estadísticas del cache:", error);
@@ -476,72 +641,347 @@ export default function PromptoberApp() {
   // Lightbox state
   const [lightboxOpen, setLightboxOpen] = useState(false);
   const [lightboxIndex, setLightboxIndex] = useState(0);
-  const [zoom, setZoom] = useState(1);
-  const panRef = useRef({ x: 0, y: 0 });
-  const [pan, setPan] = useState({ x: 0, y: 0 });
-  const dragRef = useRef({ dragging: false, lastX: 0, lastY: 0 });
+  // Modo comparar: segunda imagen (índice en visibleImages) y disposición
+  const [compareIndex, setCompareIndex] = useState(null);
+  const [compareLayout, setCompareLayout] = useState("side"); // "side" | "slider"
+  const [split, setSplit] = useState(50); // % del deslizador
 
-  const allImages = useMemo(() => {
+  // Galería ordenada con metadatos (DayState.images); el lightbox recorre solo las visibles
+  const gallery = useMemo(() => {
     const manual = (dayState?.manualImageUrls || []).filter(Boolean);
-    return [...oembedImgs, ...manual];
-  }, [oembedImgs, dayState?.manualImageUrls]);
+    const items = [
+      ...oembedImgs.map((img) => ({ source: "post", url: img.url, src: img.src, thumb: img.thumb })),
+      ...manual.map((url) => ({ source: "manual", url, src: url })),
+      ...localImages.map((img) => ({ source: "local", url: img.id, src: img.src, thumb: img.thumb })),
+    ];
+    return buildGallery(items, dayState?.images);
+  }, [oembedImgs, dayState?.manualImageUrls, dayState?.images, localImages]);
+  const visibleImages = gallery.filter((g) => !g.hidden);
+  const cover = coverImage(gallery);
+
+  // Zoom/desplazamiento compartido por las imágenes del lightbox (también en modo comparar)
+  const { transform, zoomBy, reset: resetZoom, imageRef: zoomImageRef, layerProps } = useZoomPan({ onSwipe: showImage });
+
+  function showImage(step) {
+    setLightboxIndex((i) => (i + step + visibleImages.length) % visibleImages.length);
+  }
+
+  // Teclado en el lightbox: flechas para navegar, +/- para zoom, 0 para reiniciar y Escape para cerrar
+  useEffect(() => {
+    if (!lightboxOpen) return undefined;
+    const handleKey = (e) => {
+      if (e.target.closest?.("input, select, textarea")) return;
+      if (e.key === "ArrowLeft") showImage(-1);
+      else if (e.key === "ArrowRight") showImage(1);
+      else if (e.key === "+" || e.key === "=") zoomBy(1.25);
+      else if (e.key === "-" || e.key === "_") zoomBy(0.8);
+      else if (e.key === "0") resetZoom();
+      else if (e.key === "Escape") setLightboxOpen(false);
+      else return;
+      e.preventDefault();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [lightboxOpen, visibleImages.length]);
 
   // Auto‑marcar como hecho cuando pasan de 0 a >0 imágenes (sin re‑forzar si el usuario desmarca manualmente)
   const prevImgCountRef = useRef(0);
   useEffect(() => {
     const prev = prevImgCountRef.current;
-    const curr = allImages.length;
+    const curr = gallery.length;
     if (prev === 0 && curr > 0 && dayState && !dayState.done) {
       // marcar una única vez en la transición 0 -> >0
       persist({ done: true });
     }
     prevImgCountRef.current = curr;
-  }, [allImages.length]);
+  }, [gallery.length]);
 
-  // Carga estado del día seleccionado + refresca cache para el calendario
+  // Días del reto para el calendario: solo al cambiar de reto; `persist` los mantiene al día
   useEffect(() => {
+    let cancelled = false;
+    repository
+      .getChallengeDays(challenge)
+      .then((list) => {
+        if (!cancelled) setAllDaysCache(mapChallengeDays(challenge, list));
+      })
+      .catch((error) => {
+        console.warn("Error cargando los días del reto:", error);
+        // Sin esto el calendario seguiría mostrando los días del reto anterior
+        if (!cancelled) setAllDaysCache({});
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [challenge.id, challenge.startDate, challenge.length]);
+
+  // Carga el estado del día seleccionado (descarta la respuesta si entretanto se eligió otro día).
+  // Las imágenes del día anterior se quitan y sus object URLs se liberan antes de cargar.
+  useEffect(() => {
+    let cancelled = false;
+    setOembedHTML("");
+    setOembedImgs([]);
+    setLocalImages([]);
+    setPostError(null);
+    cancelPostDownloads();
+    dayUrls.releaseAll();
     (async () => {
-      const st = await getDay(year, selectedDay);
+      if (selectedDay > challenge.length) {
+        setSelectedDay(challenge.length);
+        return;
+      }
+      const st = await repository.getDay(challenge, selectedDay);
+      if (cancelled) return;
       setDayState(
         st ?? {
-          id: idFor(year, selectedDay),
-          year,
+          id: idFor(challenge, selectedDay),
+          year: yearForDay(challenge, selectedDay),
           day: selectedDay,
+          challengeId: challenge.id,
           done: false,
           tweetUrl: "",
           manualImageUrls: [],
         }
       );
-      setOembedHTML("");
-      setOembedImgs([]);
       setManualUrlsInput((st?.manualImageUrls || []).join(", "));
-      const list = await getAllDays();
-      const map = {};
-      list.forEach((d) => (map[d.day] = d));
-      setAllDaysCache(map);
+      const records = await Promise.all((await repository.getLocalImages(st?.localImageIds || [])).map(ensureLocalThumbnail));
+      if (cancelled) return;
+      setLocalImages(records.map((r) => ({ id: r.id, ...dayImageUrls(`local:${r.id}`, r.blob, r.thumbnail) })));
     })();
-  }, [year, selectedDay]);
+    return () => {
+      cancelled = true;
+    };
+  }, [challenge.id, challenge.startDate, challenge.length, selectedDay]);
+
+  useEffect(() => () => dayUrls.releaseAll(), []);
+
+  // Solo los campos que deciden las imágenes de cada día: escribir en el diario no recarga el calendario
+  const calendarImagesKey = useMemo(
+    () => JSON.stringify(Object.entries(allDaysCache).map(([day, st]) => [day, st.tweetUrl, st.manualImageUrls, st.localImageIds, st.images])),
+    [allDaysCache]
+  );
+
+  // Miniaturas de las imágenes de cada día para el calendario (solo las guardadas en el dispositivo).
+  // Las URLs nuevas se adquieren en otro ámbito y las anteriores se liberan al sustituirlas.
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const days = Object.entries(allDaysCache);
+      const postImages = await repository.getTweetUrlsManyFromCache(days.map(([, st]) => st.tweetUrl?.trim()).filter(Boolean));
+      const refsByDay = days.map(([day, st]) => [day, dayImages(st, postImages.get(st.tweetUrl?.trim()))]);
+      const found = await repository.getImageThumbnails(refsByDay.flatMap(([, refs]) => refs));
+      if (cancelled) return;
+      const scope = objectUrls.scope();
+      const next = {};
+      refsByDay.forEach(([day, refs]) => {
+        const urls = refs
+          .filter((ref) => found.has(ref.id))
+          .map((ref) => {
+            const { blob, thumbnail } = found.get(ref.id);
+            const key = ref.source === "local" ? `local:${ref.url}` : `post:${ref.url}`; // mismas claves que la galería
+            return thumbnail ? scope.acquire(`${key}#thumb`, thumbnail) : scope.acquire(key, blob);
+          });
+        if (urls.length) next[day] = urls;
+      });
+      setCalendarImages(next);
+      calendarUrlsRef.current?.releaseAll();
+      calendarUrlsRef.current = scope;
+    })().catch((error) => console.warn("Error cargando las imágenes del calendario:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [calendarImagesKey, oembedImgs.length]);
+
+  useEffect(() => () => calendarUrlsRef.current?.releaseAll(), []);
+
+  // URLs de una imagen del día: `src` (original, para el lightbox) y `thumb` (casillas y portada)
+  function dayImageUrls(key, blob, thumbnail) {
+    const src = dayUrls.acquire(key, blob);
+    return { src, thumb: thumbnail ? dayUrls.acquire(`${key}#thumb`, thumbnail) : src };
+  }
+
+  function releaseDayImageUrls(key) {
+    dayUrls.release(key);
+    dayUrls.release(`${key}#thumb`);
+  }
+
+  // Actualiza el día en pantalla y encola la escritura: las pulsaciones seguidas (p. ej. en la
+  // URL del post) acaban en una sola transacción (ver repository.queueDay)
+  function persist(partial) {
+    const current = dayStateRef.current;
+    if (!current) return;
+    saveDay({ ...current, ...partial, updatedAt: Date.now() });
+  }
+
+  // Guarda un día. Solo actualiza el editor si ese día sigue abierto: tras una operación asíncrona
+  // el usuario puede haber elegido otro y no debe volver al anterior.
+  function saveDay(next) {
+    if (dayStateRef.current?.id === next.id) {
+      dayStateRef.current = next;
+      setDayState(next);
+    }
+    repository.queueDay(next);
+    if (idFor(challengeRef.current, next.day) === next.id) setAllDaysCache((m) => ({ ...m, [next.day]: next }));
+  }
+
+  // Aplica `update(estado)` al día de `base` tras un await, partiendo de su estado más reciente
+  // (el del editor si sigue abierto, si no el guardado) para no perder ediciones hechas mientras tanto
+  async function updateDayLater(base, update) {
+    const open = dayStateRef.current;
+    const latest = open?.id === base.id ? open : (await repository.getDayById(base.id)) ?? base;
+    saveDay({ ...latest, ...update(latest), updatedAt: Date.now() });
+  }
+
+  // Escribe los cambios encolados al ocultar o cerrar la página
+  useEffect(() => {
+    const flush = () => repository.flush().catch((error) => console.warn("Error guardando el día:", error));
+    const onVisibilityChange = () => document.visibilityState === "hidden" && flush();
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+      flush();
+    };
+  }, []);
+
+  function persistJournal(patch) {
+    persist({ journal: { ...EMPTY_JOURNAL, ...dayState?.journal, ...patch } });
+  }
+
+  function saveGallery(next) {
+    // Mientras falten imágenes del post se conservan sus registros (ver galleryToRecords)
+    const postComplete = oembedImgs.length > 0 && postDownloads.every((d) => d.status === "done");
+    persist({ images: galleryToRecords(next, dayState?.images, postComplete) });
+  }
+
+  function updateImage(id, patch) {
+    saveGallery(gallery.map((g) => (g.id === id ? { ...g, ...patch } : g)));
+  }
 
-  async function persist(partial) {
+  // Guarda archivos de imagen (selector, arrastrar y soltar o portapapeles) en el día actual
+  async function addLocalFiles(fileList) {
     if (!dayState) return;
-    const next = { ...dayState, ...partial };
-    setDayState(next);
-    await setDay(next);
-    setAllDaysCache((m) => ({ ...m, [next.day]: next }));
+    const files = Array.from(fileList || []).filter((f) => f.type.startsWith("image/"));
+    if (!files.length) return;
+    const base = dayState;
+    const dayId = base.id;
+    try {
+      const records = await Promise.all(
+        files.map(async (file, i) => ({
+          id: `local-${Date.now()}-${i}-${Math.random().toString(36).slice(2, 7)}`,
+          dayId,
+          name: file.name || "clipboard",
+          type: file.type,
+          blob: file,
+          thumbnail: await createThumbnail(file),
+          timestamp: Date.now(),
+        }))
+      );
+      await repository.saveLocalImages(records);
+      if (dayStateRef.current?.id === dayId) {
+        setLocalImages((prev) => [...prev, ...records.map((r) => ({ id: r.id, ...dayImageUrls(`local:${r.id}`, r.blob, r.thumbnail) }))]);
+      }
+      await updateDayLater(base, (st) => ({ localImageIds: [...(st.localImageIds || []), ...records.map((r) => r.id)] }));
+    } catch (error) {
+      console.warn("Error guardando imágenes locales:", error);
+      alert(t("alerts.localSaveFailed"));
+    }
+  }
+
+  async function removeLocalImage(id) {
+    if (!dayState || !confirm(t("alerts.confirmDeleteLocal"))) return;
+    const base = dayState;
+    try {
+      await repository.deleteLocalImage(id);
+      if (dayStateRef.current?.id === base.id) {
+        setLocalImages((prev) => prev.filter((img) => img.id !== id));
+        releaseDayImageUrls(`local:${id}`);
+      }
+      await updateDayLater(base, (st) => ({ localImageIds: (st.localImageIds || []).filter((x) => x !== id) }));
+    } catch (error) {
+      console.warn("Error borrando la imagen local:", error);
+      alert(t("alerts.localDeleteFailed"));
+    }
+  }
+
+  // Pegar imágenes desde el portapapeles en la tarjeta del día. El listener se registra una vez
+  // y lee el estado por refs; no actúa con un modal abierto ni en campos editables fuera de la tarjeta.
+  const dayCardRef = useRef(null);
+  const addLocalFilesRef = useRef(addLocalFiles);
+  addLocalFilesRef.current = addLocalFiles;
+  const modalOpenRef = useRef(false);
+  modalOpenRef.current = Boolean(
+    showHelpModal || showPromptSetsModal || showChallengesModal || archiveSummary || statsData || collageData ||
+      recapData || importPreview || cacheManager || showRemindersModal || lightboxOpen
+  );
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (modalOpenRef.current) return;
+      const target = e.target;
+      const editable = target instanceof HTMLElement && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+      if (editable && !dayCardRef.current?.contains(target)) return;
+      const files = Array.from(e.clipboardData?.files || []).filter((f) => f.type.startsWith("image/"));
+      if (!files.length) return;
+      e.preventDefault();
+      addLocalFilesRef.current(files);
+    };
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, []);
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    addLocalFiles(e.dataTransfer?.files);
+  }
+
+  function toggleDone(e) {
+    persist({ done: e.target.checked });
+  }
+
+  // Detecta la plataforma de la URL y extrae sus imágenes (adaptador + cache local)
+  async function queuePendingFetch(dayId, tweetUrl) {
+    const queue = [...pendingFetches.filter((p) => p.dayId !== dayId), { dayId, tweetUrl }];
+    setPendingFetches(queue);
+    await repository.setSetting(PENDING_FETCHES_KEY, queue);
   }
 
-  async function toggleDone(e) {
-    await persist({ done: e.target.checked });
+  async function processPendingFetches(queue) {
+    const failed = [];
+    for (const item of queue) {
+      try {
+        const count = await prefetchPost(item.tweetUrl);
+        console.log(`✅ Carga pendiente completada (${item.dayId}): ${count} imágenes`);
+      } catch (error) {
+        console.warn(`Error en carga pendiente ${item.tweetUrl}:`, error);
+        failed.push(item);
+      }
+    }
+    // Lo que falló sigue en cola solo si volvimos a perder la conexión
+    const remaining = navigator.onLine ? [] : failed;
+    setPendingFetches(remaining);
+    await repository.setSetting(PENDING_FETCHES_KEY, remaining);
+    if (queue.some((p) => p.dayId === dayStateRef.current?.id)) handleTweetFetch();
   }
 
-  // Inserta el bloque del tuit y trata de extraer imágenes (oEmbed + proxy + cache local)
   async function handleTweetFetch() {
-    if (!dayState) return;
-    const url = dayState.tweetUrl?.trim();
+    // Vía ref: también se llama desde la cola offline con un closure antiguo
+    const current = dayStateRef.current;
+    if (!current) return;
+    const url = current.tweetUrl?.trim();
     if (!url) return;
+    // Sin conexión solo se puede mostrar lo que ya está en cache; si no, queda en cola
+    if (!navigator.onLine && !(await repository.getTweetUrlsFromCache(url))) {
+      await queuePendingFetch(current.id, url);
+      return;
+    }
     setLoading(true);
     setOembedHTML("");
     setOembedImgs([]);
+    setPostError(null);
+    cancelPostDownloads();
+    const controller = new AbortController();
+    postFetchRef.current = controller;
     
     let images = [];
     let html = "";
@@ -549,83 +989,118 @@ export default function PromptoberApp() {
     try {
       // 0) Primero verificar si tenemos URLs en cache
       console.log("🔍 Verificando cache de URLs...");
-      const cachedUrls = await getTweetUrlsFromCache(url);
+      const cachedUrls = await repository.getTweetUrlsFromCache(url);
       if (cachedUrls && cachedUrls.length > 0) {
         console.log(`✅ URLs encontradas en cache: ${cachedUrls.length} imágenes`);
         images = cachedUrls;
       } else {
-        // 1) Intentar oEmbed (render del tuit)
-        try {
-          const endpoint = `https://publish.x.com/oembed?omit_script=0&hide_thread=1&url=${encodeURIComponent(url)}`;
-          const res = await fetch(endpoint);
-          if (res.ok) {
-            const data = await res.json();
-            html = data?.html || "";
-            setOembedHTML(html);
-            // inyectar script de widgets si no existe
-            if (!document.querySelector('script[src*="platform.twitter.com/widgets.js"]')) {
-              const s = document.createElement("script");
-              s.src = "https://platform.twitter.com/widgets.js";
-              s.async = true;
-              document.body.appendChild(s);
-            }
-            // Extraer imágenes del HTML de oEmbed
-            images = extractImgSrcsFromHTML(html);
-          }
-        } catch (e) {
-          console.warn("oEmbed falló:", e.message);
+        // 1) Extraer imágenes con el adaptador de la plataforma
+        const adapter = detectSource(url);
+        const unsupported = !adapter && detectUnsupportedSource(url);
+        if (unsupported) {
+          alert(t("alerts.unsupportedSource", { platform: unsupported.label }));
+          return;
         }
-        
-        // 2) Si no hay imágenes del oEmbed, intentar con proxies
-        if (!images.length) {
-          console.log("Intentando extraer imágenes con proxies...");
-          images = await fetchTweetImagesViaProxy(url);
+        if (!adapter) {
+          alert(t("alerts.unknownSource", { sources: SOURCE_ADAPTERS.map((a) => a.label).join(", ") }));
+          return;
         }
-        
-        // 3) Si aún no hay imágenes, intentar con URLs conocidas (fallback)
-        if (!images.length) {
-          console.log("Intentando con URLs conocidas...");
-          images = getKnownTweetImages(url);
-          if (images.length > 0) {
-            console.log("✅ Usando URLs conocidas como fallback");
-          }
+        console.log(`🔌 Usando adaptador ${adapter.label}`);
+        const result = await fetchPostMedia(url);
+        images = result.images;
+        html = result.html || "";
+        if (html && !controller.signal.aborted) setOembedHTML(html);
+        // inyectar script de widgets si no existe
+        if (result.embedScript && !document.querySelector(`script[src="${result.embedScript}"]`)) {
+          const s = document.createElement("script");
+          s.src = result.embedScript;
+          s.async = true;
+          document.body.appendChild(s);
         }
         
         // Guardar URLs en cache para futuras consultas
         if (images.length > 0) {
-          await saveTweetUrlsToCache(url, images);
+          await repository.saveTweetUrlsToCache(url, images);
           console.log("💾 URLs guardadas en cache");
         }
       }
       
-      // 4) Procesar imágenes: descargar y cachear localmente
-      if (images.length > 0) {
+      // 2) Descargar y cachear las imágenes; cada una aparece en la galería al llegar
+      if (images.length > 0 && !controller.signal.aborted) {
         console.log(`🖼️ Procesando ${images.length} imágenes...`);
-        const processedImages = [];
-        
-        for (const imageUrl of images) {
-          try {
-            const cachedImageUrl = await downloadAndCacheImage(imageUrl);
-            processedImages.push(cachedImageUrl);
-          } catch (error) {
-            console.warn(`Error procesando imagen ${imageUrl}:`, error);
-            processedImages.push(imageUrl); // Usar URL original como fallback
-          }
-        }
-        
-        setOembedImgs(processedImages);
-        console.log(`✅ Se procesaron ${processedImages.length} imágenes`);
-      } else {
+        setPostDownloads(images.map((imageUrl) => ({ url: imageUrl, status: "loading", loaded: 0, total: null, error: null })));
+        await runWithConcurrency(images, (imageUrl) => downloadPostImage(imageUrl, images, controller.signal));
+        await pruneImageCache();
+      } else if (!controller.signal.aborted) {
         console.warn("❌ No se pudieron extraer imágenes del tweet");
+        setPostError(t("day.noPostImages"));
       }
       
     } catch (e) {
       console.warn("Error general en carga de tweet: ", e);
+      // Si entretanto se cambió de día o se relanzó la carga, el error ya no corresponde a lo que se ve
+      if (!controller.signal.aborted) {
+        const message = e instanceof SourceError ? t(`sourceErrors.${e.code}`, e.params) : e.message;
+        setPostError(t("day.postError", { message }));
+      }
     } finally {
-      setLoading(false);
+      // Si otra carga sustituyó a esta, el botón sigue ocupado hasta que termine aquella
+      if (postFetchRef.current === controller || postFetchRef.current === null) setLoading(false);
+    }
+  }
+
+  function updatePostDownload(url, patch) {
+    setPostDownloads((list) => list.map((d) => (d.url === url ? { ...d, ...patch } : d)));
+  }
+
+  // Cancela las descargas del post en curso (al cambiar de día o volver a cargar)
+  function cancelPostDownloads() {
+    postFetchRef.current?.abort();
+    postFetchRef.current = null;
+    setPostDownloads([]);
+  }
+
+  // Descarga una imagen del post con progreso; si llega, se inserta en la galería en el orden del post.
+  // Si falla queda marcada con error (la UI ofrece reintentar) en vez de usar la URL remota.
+  async function downloadPostImage(imageUrl, order, signal) {
+    updatePostDownload(imageUrl, { status: "loading", loaded: 0, total: null, error: null });
+    try {
+      const { blob, thumbnail } = await cacheImage(imageUrl, {
+        signal,
+        onProgress: ({ loaded, total }) => !signal.aborted && updatePostDownload(imageUrl, { loaded, total }),
+      });
+      if (signal.aborted) return;
+      const urls = dayImageUrls(`post:${imageUrl}`, blob, thumbnail);
+      updatePostDownload(imageUrl, { status: "done" });
+      setOembedImgs((prev) =>
+        [...prev.filter((img) => img.url !== imageUrl), { url: imageUrl, ...urls }].sort((a, b) => order.indexOf(a.url) - order.indexOf(b.url))
+      );
+    } catch (error) {
+      if (signal.aborted) return;
+      console.warn(`Error procesando imagen ${imageUrl}:`, error);
+      updatePostDownload(imageUrl, { status: "error", error: error.message });
     }
   }
 
+  function retryPostImage(imageUrl) {
+    if (!postFetchRef.current) postFetchRef.current = new AbortController();
+    downloadPostImage(imageUrl, postDownloads.map((d) => d.url), postFetchRef.current.signal).then(pruneImageCache);
+  }
+
+  function retryFailedPostImages() {
+    const failed = postDownloads.filter((d) => d.status === "error").map((d) => d.url);
+    if (!postFetchRef.current) postFetchRef.current = new AbortController();
+    const { signal } = postFetchRef.current;
+    runWithConcurrency(failed, (imageUrl) => downloadPostImage(imageUrl, postDownloads.map((d) => d.url), signal)).then(pruneImageCache);
+  }
+
+  // Nombre de la plataforma de una URL para la pista bajo el campo del post
+  function platformLabel(url) {
+    const unsupported = detectUnsupportedSource(url);
+    if (unsupported) return t("day.platformUnsupported", { platform: unsupported.label });
+    return detectSource(url)?.label || t("day.platformUnknown");
+  }
+
   function handleManualUrlsSave() {
     const urls = manualUrlsInput
       .split(/[\n,]/) // ✅ corregido (antes tenía un salto de línea dentro del literal)
@@ -634,90 +1109,576 @@ export default function PromptoberApp() {
     persist({ manualImageUrls: urls });
   }
 
+  // Exporta solo los días del reto activo (getChallengeDays lee años completos: se quedan los de sus fechas)
   async function handleExport() {
-    const all = await getAllDays();
-    const payload = { year, month: 10, data: all };
+    const days = Object.values(mapChallengeDays(challenge, await repository.getChallengeDays(challenge)));
+    const start = parseISODate(challenge.startDate);
+    const payload = { format: EXPORT_FORMAT, version: EXPORT_VERSION, year: start.getFullYear(), month: start.getMonth() + 1, challenge, data: days };
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
-    a.download = `promptober-${year}.json`;
+    a.download = `promptober-${challenge.startDate}.json`;
     a.click();
     URL.revokeObjectURL(a.href);
   }
 
+  // Copia completa: todos los stores + blobs en un ZIP
+  async function handleBackup() {
+    try {
+      setBackupProgress({ label: t("progress.readingDatabase"), done: 0, total: 0 });
+      const dump = await repository.dumpDatabase();
+      const zip = await buildBackup(dump, (done, total) => setBackupProgress({ label: t("progress.creatingBackup"), done, total }));
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(zip);
+      a.download = `promptober-backup-${toISODate(new Date())}.zip`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      console.error("Backup error", err);
+      alert(t("alerts.backupError", { message: err.message }));
+    } finally {
+      setBackupProgress(null);
+    }
+  }
+
+  async function handleRestore(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!confirm(t("alerts.confirmRestore"))) return;
+    try {
+      setBackupProgress({ label: t("progress.readingBackup"), done: 0, total: 0 });
+      const backup = await parseBackup(file, (done, total) => setBackupProgress({ label: t("progress.readingImages"), done, total }));
+      if (backup.dbVersion > DB_VERSION) {
+        throw new Error(t("alerts.backupTooNew", { version: backup.dbVersion }));
+      }
+      if (backup.stores[STORE_NAME]) backup.stores[STORE_NAME] = backup.stores[STORE_NAME].map(normalizeDayState);
+      await repository.restoreDatabase(backup.stores, (done, total) => setBackupProgress({ label: t("progress.restoring"), done, total }));
+      alert(t("alerts.restored"));
+      window.location.reload();
+    } catch (err) {
+      console.error("Restore error", err);
+      alert(t("alerts.restoreError", { message: err.message }));
+    } finally {
+      setBackupProgress(null);
+    }
+  }
+
+  // Lee y valida el archivo y prepara la vista previa (no escribe nada todavía)
   function handleImport(e) {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
     const reader = new FileReader();
     reader.onload = async () => {
+      let json;
       try {
-        const json = JSON.parse(String(reader.result));
-        const list = json?.data || [];
-        const db = await openDB();
-        await new Promise((resolve, reject) => {
-          const tx = db.transaction(STORE_NAME, "readwrite");
-          const store = tx.objectStore(STORE_NAME);
-          list.forEach((d) => store.put(d));
-          tx.oncomplete = () => resolve();
-          tx.onerror = () => reject(tx.error);
+        json = JSON.parse(String(reader.result));
+      } catch (err) {
+        setImportPreview({
+          fileName: file.name,
+          validation: { fatal: true, errors: [t("alerts.invalidJson", { message: err.message })], days: [] },
+          diff: null,
         });
-        const st = await getDay(year, selectedDay);
-        setDayState(st);
-        const all = await getAllDays();
-        const map = {};
-        all.forEach((d) => (map[d.day] = d));
-        setAllDaysCache(map);
+        return;
+      }
+      try {
+        json = upgradeExportFile(json, t);
+      } catch (err) {
+        setImportPreview({ fileName: file.name, validation: { fatal: true, errors: [err.message], days: [] }, diff: null });
+        return;
+      }
+      try {
+        const validation = validateImport(json, t);
+        const localById = new Map((await repository.getAllDays()).map((d) => [d.id, d]));
+        const diff = validation.fatal ? null : diffImport(validation.days, localById);
+        const strategy = "overwrite";
+        const writeCount = planImport(validation.days, localById, strategy).length;
+        setImportPreview({ fileName: file.name, validation, diff, strategy, writeCount, localById });
       } catch (err) {
         console.error("Import error", err);
+        alert(t("alerts.importPrepareError", { message: err.message }));
       }
     };
     reader.readAsText(file);
   }
 
-  // Lightbox handlers
-  function openLightbox(idx) {
-    setLightboxIndex(idx);
-    setZoom(1);
-    setPan({ x: 0, y: 0 });
-    panRef.current = { x: 0, y: 0 };
-    setLightboxOpen(true);
+  function handleImportStrategyChange(strategy) {
+    setImportPreview((p) => ({
+      ...p,
+      strategy,
+      writeCount: planImport(p.validation.days, p.localById, strategy).length,
+    }));
   }
 
-  function onWheel(e) {
-    e.preventDefault();
-    const delta = -e.deltaY / 500;
-    setZoom((z) => Math.max(1, Math.min(8, z + delta)));
+  async function confirmImport() {
+    const { validation, localById, strategy } = importPreview;
+    try {
+      await repository.putDays(planImport(validation.days, localById, strategy));
+      setImportPreview(null);
+      const st = await repository.getDay(challenge, selectedDay);
+      if (st) setDayState(st);
+      const challengeDays = await repository.getChallengeDays(challenge);
+      setAllDaysCache(mapChallengeDays(challenge, challengeDays));
+      setArchiveYears(await repository.getArchiveYears());
+    } catch (err) {
+      console.error("Import error", err);
+      alert(t("alerts.importError", { message: err.message }));
+    }
+  }
+
+  // Sets de prompts: guarda los cambios y refresca la lista local
+  async function updatePromptSets(changed) {
+    const byId = new Map(changed.map((set) => [set.id, set]));
+    setPromptSets((list) =>
+      list.map((set) => byId.get(set.id) || set).sort((a, b) => a.position - b.position)
+    );
+    await repository.savePromptSets(changed);
+  }
+
+  async function handleCreatePromptSet(source) {
+    const nextPosition = promptSets.reduce((max, set) => Math.max(max, set.position), -1) + 1;
+    const set = {
+      id: `set-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      name: source ? t("defaults.promptSetCopy", { name: source.name }) : t("defaults.newPromptSet"),
+      position: nextPosition,
+      prompts: source ? [...source.prompts] : Array(challenge.length).fill(""),
+    };
+    await repository.savePromptSets([set]);
+    setPromptSets((list) => [...list, set]);
+    return set;
+  }
+
+  async function handleDeletePromptSet(id) {
+    if (promptSets.length <= 1) return;
+    await repository.deletePromptSet(id);
+    const rest = promptSets.filter((set) => set.id !== id);
+    setPromptSets(rest);
+    if (id === activeSetId) await handleSelectActiveSet(rest[0].id);
+  }
+
+  async function handleMovePromptSet(id, direction) {
+    const from = promptSets.findIndex((set) => set.id === id);
+    const to = from + direction;
+    if (from < 0 || to < 0 || to >= promptSets.length) return;
+    const a = promptSets[from];
+    const b = promptSets[to];
+    await updatePromptSets([
+      { ...a, position: b.position },
+      { ...b, position: a.position },
+    ]);
+  }
+
+  async function handleSelectActiveSet(id) {
+    setActiveSetId(id);
+    await repository.setSetting(activeSetKey(year), id);
+  }
+
+  // Retos: crear, editar, borrar y elegir el activo del año
+  async function handleCreateChallenge() {
+    // Por defecto empieza el día siguiente al último reto del año
+    const last = challenges[challenges.length - 1];
+    const next = last ? dateForDay(last, last.length + 1) : null;
+    const item = {
+      id: `challenge-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      name: t("defaults.newChallenge"),
+      startDate: next && next.getFullYear() === year ? toISODate(next) : `${year}-01-01`,
+      length: 14,
+    };
+    await repository.saveChallenge(item);
+    setChallenges((list) => [...list, item]);
+    return item;
+  }
+
+  async function handleUpdateChallenge(item) {
+    setChallenges((list) => list.map((c) => (c.id === item.id ? item : c)));
+    await repository.saveChallenge(item);
+  }
+
+  async function handleDeleteChallenge(id) {
+    if (challenges.length <= 1) return;
+    await repository.deleteChallenge(id);
+    const rest = challenges.filter((c) => c.id !== id);
+    setChallenges(rest);
+    if (id === challenge.id) await handleSelectActiveChallenge(rest[0].id);
+  }
+
+  async function handleSelectActiveChallenge(id) {
+    const next = challenges.find((c) => c.id === id);
+    if (!next) return;
+    setActiveChallengeId(id);
+    setSelectedDay(getCurrentChallengeDay(next));
+    await repository.setSetting(activeChallengeKey(year), id);
+  }
+
+  async function openArchive() {
+    try {
+      setArchiveSummary(await repository.getArchiveSummary());
+    } catch (error) {
+      console.warn("Error cargando el archivo:", error);
+    }
+  }
+
+  // Gestor de cache: entradas con su día, uso del almacenamiento y ajustes
+  async function loadCacheManager() {
+    const [entries, days, tweetCache, settings] = await Promise.all([
+      repository.getImageCacheEntries(),
+      repository.getAllDays(),
+      repository.getAllTweetUrlsFromCache(),
+      repository.getCacheSettings(),
+    ]);
+    const tweetImages = new Map(tweetCache.map((r) => [r.tweetUrl, r.imageUrls || []]));
+    const dayLabels = new Map();
+    days.forEach((d) => {
+      const urls = [...(d.manualImageUrls || []), ...(tweetImages.get(d.tweetUrl?.trim()) || [])];
+      urls.forEach((u) => dayLabels.set(u, [...(dayLabels.get(u) || []), t("cache.dayLabel", { id: d.id, day: d.day })]));
+    });
+    const estimate = (await navigator.storage?.estimate?.()) || {};
+    const persisted = (await navigator.storage?.persisted?.()) ?? false;
+    setCacheManager({
+      entries: entries
+        .map((e) => ({ ...e, days: dayLabels.get(e.url) || [] }))
+        .sort((a, b) => b.lastAccess - a.lastAccess),
+      usage: estimate.usage,
+      quota: estimate.quota,
+      persisted,
+      settings,
+    });
+    setCacheStats(await repository.getCacheStats());
+  }
+
+  async function openCacheManager() {
+    try {
+      await loadCacheManager();
+    } catch (error) {
+      console.warn("Error cargando el cache:", error);
+    }
+  }
+
+  async function handleCacheDelete(url) {
+    try {
+      await repository.deleteImagesFromCache([url]);
+      await loadCacheManager();
+    } catch (error) {
+      console.error("Cache delete error", error);
+      alert(t("alerts.cacheDeleteError", { message: error.message }));
+    }
+  }
+
+  // Descarga primero y sobrescribe solo si sale bien: si falla (post borrado, sin conexión) se conserva la copia local
+  async function handleCacheRefetch(url) {
+    try {
+      const blob = await fetchBlobWithProgress(url);
+      const thumbnail = await createThumbnail(blob);
+      await repository.saveImageToCache(url, blob, thumbnail);
+      await pruneImageCache();
+    } catch (error) {
+      console.warn(`❌ Error descargando imagen ${url}:`, error.message);
+      alert(t("alerts.refetchFailed"));
+    }
+    await openCacheManager();
+  }
+
+  async function handleCacheSettingsChange(settings) {
+    try {
+      await Promise.all([
+        repository.setSetting("imageCacheBudgetMB", settings.budgetMB),
+        repository.setSetting("imageCacheMaxAgeDays", settings.maxAgeDays),
+      ]);
+      await repository.pruneImageCache();
+      await loadCacheManager();
+    } catch (error) {
+      console.error("Cache settings error", error);
+      alert(t("alerts.cacheSettingsError", { message: error.message }));
+    }
+  }
+
+  async function handleRequestPersist() {
+    try {
+      const granted = await navigator.storage?.persist?.();
+      if (!granted) alert(t("alerts.persistDenied"));
+      await loadCacheManager();
+    } catch (error) {
+      console.error("Persist request error", error);
+      alert(t("alerts.persistError", { message: error.message }));
+    }
+  }
+
+  async function saveReminders(next) {
+    setReminders(next);
+    await repository.setSetting(REMINDERS_KEY, next);
+  }
+
+  // Toca avisar: si el día de hoy del reto activo ya está realizado (o hoy no hay reto) se marca
+  // como atendido sin notificar; si no, notificación con el prompt y aviso dentro de la app.
+  async function checkReminder() {
+    const now = new Date();
+    try {
+      const active = await findChallengeCovering(now, challengeRef.current.id);
+      const day = active ? getTodayChallengeDay(active, now) : null;
+      const state = day ? await repository.getDay(active, day) : null;
+      if (day && !state?.done) {
+        const target = { year: challengeYear(active), challengeId: active.id, day };
+        const stored = await repository.getAllPromptSets();
+        const sets = stored.length ? stored : [defaultPromptSet()];
+        const setId = await repository.getSetting(activeSetKey(target.year));
+        const prompt = (sets.find((s) => s.id === setId) || sets[0]).prompts[day - 1] || "";
+        await showReminderNotification(target, reminderText(day, prompt), () => openReminderDay(target));
+        setReminderNotice({ ...target, prompt });
+      }
+    } catch (error) {
+      console.warn("Error comprobando el recordatorio:", error);
+    }
+    await saveReminders({ ...remindersRef.current, snoozeUntil: null, lastHandled: dateKey(now) });
+  }
+
+  function reminderText(day, prompt) {
+    return {
+      title: t("reminders.notificationTitle", { day }),
+      body: prompt ? t("reminders.notificationBody", { prompt }) : t("reminders.notificationBodyNoPrompt"),
+      snooze: t("reminders.snooze"),
+    };
+  }
+
+  async function snoozeReminder() {
+    const current = remindersRef.current;
+    setReminderNotice(null);
+    await saveReminders({ ...current, snoozeUntil: Date.now() + current.snoozeMinutes * 60 * 1000 });
+  }
+
+  // Abre el día del aviso (`target` de checkReminder), cambiando de año y de reto si hace falta
+  async function openReminderDay(target) {
+    setReminderNotice(null);
+    if (!target?.day) return;
+    const targetYear = target.year ?? new Date().getFullYear();
+    if (target.challengeId) {
+      try {
+        await repository.setSetting(activeChallengeKey(targetYear), target.challengeId);
+      } catch (error) {
+        console.warn("Error guardando el reto activo:", error);
+      }
+    }
+    // Al cambiar de año, la carga de retos abre el reto activo en el día de hoy
+    if (year !== targetYear) {
+      setYear(targetYear);
+      return;
+    }
+    if (target.challengeId) setActiveChallengeId(target.challengeId);
+    setSelectedDay(target.day);
+  }
+
+  async function handleRemindersSave(values) {
+    if (values.enabled && notificationPermission() === "default") await Notification.requestPermission();
+    await saveReminders({ ...reminders, ...values, snoozeUntil: null });
+    setShowRemindersModal(false);
+  }
+
+  async function handleReminderTest() {
+    if (notificationPermission() === "default") await Notification.requestPermission();
+    const target = { year: challengeYear(challenge), challengeId: challenge.id, day: selectedDay };
+    const shown = await showReminderNotification(target, reminderText(selectedDay, prompts[selectedDay - 1] || ""), () => setSelectedDay(selectedDay));
+    if (!shown) alert(t("alerts.notificationsUnavailable"));
+  }
+
+  // Prepara los días del reto activo (fecha + nº de imágenes) para el panel de estadísticas
+  async function openStats() {
+    try {
+      const [days, summary, tweetCache] = await Promise.all([repository.getAllDays(), repository.getArchiveSummary(), repository.getAllTweetUrlsFromCache()]);
+      const map = mapChallengeDays(challenge, days);
+      const tweetImages = new Map(tweetCache.map((r) => [r.tweetUrl, r.imageUrls?.length || 0]));
+      const entries = Array.from({ length: challenge.length }, (_, i) => {
+        const st = map[i + 1];
+        const imageCount =
+          (st?.manualImageUrls || []).filter(Boolean).length +
+          (st?.localImageIds || []).length +
+          (st?.tweetUrl ? tweetImages.get(st.tweetUrl.trim()) || 0 : 0);
+        return { day: i + 1, date: dateForDay(challenge, i + 1), state: st, imageCount };
+      });
+      setStatsData({ entries, summary });
+    } catch (error) {
+      console.warn("Error calculando estadísticas:", error);
+    }
+  }
+
+  // Imágenes de cada día del reto con blob local (visibles, la portada primero): { map, candidates }
+  async function loadDayImageCandidates() {
+    const [days, entries, tweetCache] = await Promise.all([repository.getChallengeDays(challenge), repository.getImageCacheEntries(), repository.getAllTweetUrlsFromCache()]);
+    const map = mapChallengeDays(challenge, days);
+    const blobs = new Map(entries.map((e) => [e.url, e]));
+    const tweetImages = new Map(tweetCache.map((r) => [r.tweetUrl, r.imageUrls || []]));
+    const localIds = Object.values(map).flatMap((st) => st?.localImageIds || []);
+    const localBlobs = new Map((await repository.getLocalImages(localIds)).map((r) => [r.id, r]));
+
+    const candidates = Array.from({ length: challenge.length }, (_, i) => {
+      const st = map[i + 1];
+      if (!st) return [];
+      return dayImages(st, tweetImages.get(st.tweetUrl?.trim()))
+        .map((g) => {
+          const record = g.source === "local" ? localBlobs.get(g.url) : blobs.get(g.url);
+          return { id: g.id, caption: g.caption, alt: g.alt, blob: record?.blob, thumbnail: record?.thumbnail ?? null };
+        })
+        .filter((c) => c.blob);
+    });
+    return { map, candidates };
+  }
+
+  async function openCollage() {
+    try {
+      const { candidates } = await loadDayImageCandidates();
+      setCollageData({ candidates });
+    } catch (error) {
+      console.warn("Error preparando el collage:", error);
+    }
+  }
+
+  // Web estática del reto en un ZIP (calendario + una página por día + imágenes del cache)
+  async function handleSiteExport() {
+    try {
+      setBackupProgress({ label: t("progress.gatheringImages"), done: 0, total: 0 });
+      const { map, candidates } = await loadDayImageCandidates();
+      const days = candidates.map((images, i) => ({
+        day: i + 1,
+        dateLabel: formatShortDate(dateForDay(challenge, i + 1), locale),
+        prompt: prompts[i] || "",
+        state: map[i + 1],
+        images,
+      }));
+      const zip = await buildStaticSite(
+        {
+          title: challenge.name,
+          subtitle: t("site.subtitle", {
+            start: formatShortDate(dateForDay(challenge, 1), locale),
+            end: formatShortDate(dateForDay(challenge, challenge.length), locale),
+            done: days.filter((d) => d.state?.done).length,
+            count: challenge.length,
+          }),
+          startDow: parseISODate(challenge.startDate).getDay(),
+          days,
+          t,
+          locale,
+          weekStart,
+        },
+        (done, total) => setBackupProgress({ label: t("progress.creatingSite"), done, total })
+      );
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(zip);
+      a.download = `promptober-web-${challenge.startDate}.zip`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (error) {
+      console.error("Site export error", error);
+      alert(t("alerts.siteExportError", { message: error.message }));
+    } finally {
+      setBackupProgress(null);
+    }
   }
 
-  function onMouseDown(e) {
-    dragRef.current = { dragging: true, lastX: e.clientX, lastY: e.clientY };
+  // Vídeo resumen: una diapositiva por día completado con imagen
+  async function openRecap() {
+    try {
+      const { map, candidates } = await loadDayImageCandidates();
+      const slides = candidates
+        .map((list, i) => ({ day: i + 1, blob: list[0]?.blob }))
+        .filter((s) => s.blob && map[s.day]?.done)
+        .map((s) => ({
+          label: t("day.labelWithDate", { day: s.day, date: formatShortDate(dateForDay(challenge, s.day), locale) }),
+          caption: prompts[s.day - 1] || "",
+          blob: s.blob,
+        }));
+      setRecapData({ slides });
+    } catch (error) {
+      console.warn("Error preparando el vídeo resumen:", error);
+    }
   }
-  function onMouseMove(e) {
-    if (!dragRef.current.dragging || zoom === 1) return;
-    const dx = e.clientX - dragRef.current.lastX;
-    const dy = e.clientY - dragRef.current.lastY;
-    dragRef.current.lastX = e.clientX;
-    dragRef.current.lastY = e.clientY;
-    panRef.current = { x: panRef.current.x + dx, y: panRef.current.y + dy };
-    setPan({ ...panRef.current });
+
+  // Lightbox handlers
+  function openLightbox(idx) {
+    setLightboxIndex(idx);
+    resetZoom();
+    setCompareIndex(null);
+    setLightboxOpen(true);
   }
-  function onMouseUp() {
-    dragRef.current.dragging = false;
+
+  function toggleCompare() {
+    if (compareIndex !== null) {
+      setCompareIndex(null);
+      return;
+    }
+    setCompareIndex((lightboxIndex + 1) % visibleImages.length);
+    setSplit(50);
   }
 
-  const idx = Math.min(Math.max(selectedDay - 1, 0), PROMPTS.length - 1);
-  const promptText = PROMPTS[idx];
+  const promptText = prompts[selectedDay - 1] || "";
+  const challengeTags = Array.from(new Set(Object.values(allDaysCache).flatMap((d) => d?.journal?.tags || []))).sort();
 
   return (
     <div className="mx-auto max-w-6xl p-4 sm:p-6 md:p-8 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 min-h-screen">
+      {dbNotice && (
+        <div className="mb-4 flex items-center justify-between gap-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 text-sm text-yellow-800 dark:text-yellow-200">
+          <span>
+            {t(
+              {
+                blocked: "notices.dbBlocked",
+                versionchange: "notices.dbVersionChange",
+                localStorage: "notices.storageLocal",
+                memory: "notices.storageMemory",
+              }[dbNotice]
+            )}
+          </span>
+          {dbNotice === "versionchange" ? (
+            <button className="rounded-lg border border-yellow-300 dark:border-yellow-700 px-3 py-1 whitespace-nowrap" onClick={() => window.location.reload()}>
+              {t("notices.reload")}
+            </button>
+          ) : (
+            <button className="text-xl" onClick={() => setDbNotice(null)} title={t("common.close")}>
+              ✕
+            </button>
+          )}
+        </div>
+      )}
+      {reminderNotice && (
+        <div className="mb-4 flex items-center justify-between gap-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3 text-sm text-blue-800 dark:text-blue-200">
+          <span>
+            🔔 {t("reminders.notice", { day: reminderNotice.day })}{reminderNotice.prompt ? ` · ${reminderNotice.prompt}` : ""}
+          </span>
+          <div className="flex gap-2">
+            <button className="rounded-lg border border-blue-300 dark:border-blue-700 px-3 py-1 whitespace-nowrap" onClick={() => openReminderDay(reminderNotice)}>
+              {t("reminders.openDay")}
+            </button>
+            <button className="rounded-lg border border-blue-300 dark:border-blue-700 px-3 py-1 whitespace-nowrap" onClick={snoozeReminder}>
+              {t("reminders.snoozeFor", { minutes: reminders.snoozeMinutes })}
+            </button>
+            <button className="text-xl" onClick={() => setReminderNotice(null)} title={t("common.close")}>
+              ✕
+            </button>
+          </div>
+        </div>
+      )}
       <header className="mb-6 flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
         <div>
-          <h1 className="text-2xl font-bold tracking-tight">Promptober Pop‑Cine</h1>
+          <h1 className="flex items-center gap-2 text-2xl font-bold tracking-tight">
+            Promptober Pop‑Cine
+            <select
+              className="rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-2 py-1 text-base font-semibold"
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              title={t("header.changeYear")}
+            >
+              {archiveYears.map((y) => (
+                <option key={y} value={y}>{y}</option>
+              ))}
+            </select>
+          </h1>
           <p className="text-sm text-muted-foreground">
-            Octubre {year} · Datos guardados localmente (IndexedDB)
+            {challenge.name} · {formatShortDate(dateForDay(challenge, 1), locale)} – {formatShortDate(dateForDay(challenge, challenge.length), locale)} · {t("header.storedLocally")}
+            {!online && (
+              <span className="ml-2 text-orange-600 dark:text-orange-400">
+                · {t("header.offline")}{pendingFetches.length > 0 ? ` (${t("header.queuedFetches", { count: pendingFetches.length })})` : ""}
+              </span>
+            )}
             {cacheStats.imageCount > 0 && (
               <span className="ml-2 text-green-600 dark:text-green-400">
-                · {cacheStats.imageCount} imágenes en cache
+                · {t("header.cachedImages", { count: cacheStats.imageCount, size: formatBytes(cacheStats.imageBytes) })}
               </span>
             )}
           </p>
@@ -725,33 +1686,92 @@ export default function PromptoberApp() {
             className="text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
             onClick={() => setShowHelpModal(true)}
           >
-            ¿Cómo funciona?
+            {t("header.howItWorks")}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={() => setShowPromptSetsModal(true)}
+          >
+            {t("header.promptSets")}{activeSet ? ` · ${activeSet.name}` : ""}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={() => setShowChallengesModal(true)}
+          >
+            {t("header.challenges")}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={openArchive}
+          >
+            {t("header.archive")}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={openStats}
+          >
+            {t("header.stats")}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={openCollage}
+          >
+            {t("header.collage")}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={openRecap}
+          >
+            {t("header.recap")}
+          </button>
+          <button
+            className="ml-3 text-xs text-blue-600 dark:text-blue-400 hover:underline mt-1"
+            onClick={() => setShowRemindersModal(true)}
+          >
+            {t("header.reminder")}{reminders.enabled ? ` · ${reminders.time}` : ""}
           </button>
         </div>
         <div className="flex gap-2">
           <button 
             className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" 
             onClick={toggleTheme}
-            title={isDark ? "Cambiar a modo claro" : "Cambiar a modo oscuro"}
+            title={isDark ? t("header.lightMode") : t("header.darkMode")}
           >
             {isDark ? "☀️" : "🌙"}
           </button>
-          <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleExport}>Exportar JSON</button>
+          <select
+            className="rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-2 py-2 text-sm"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            title={t("header.language")}
+          >
+            {LANGUAGES.map((l) => (
+              <option key={l.id} value={l.id}>{l.label}</option>
+            ))}
+          </select>
+          <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleExport}>{t("header.exportJson")}</button>
           <label className="inline-flex items-center gap-2">
             <input type="file" accept="application/json" className="hidden" onChange={handleImport} id="importFile" />
-            <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => document.getElementById("importFile")?.click()}>Importar JSON</button>
+            <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => document.getElementById("importFile")?.click()}>{t("header.importJson")}</button>
+          </label>
+          <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleBackup} disabled={!!backupProgress} title={t("header.backupHint")}>{t("header.backup")}</button>
+          <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleSiteExport} disabled={!!backupProgress} title={t("header.exportSiteHint")}>{t("header.exportSite")}</button>
+          <label className="inline-flex items-center gap-2">
+            <input type="file" accept=".zip,application/zip" className="hidden" onChange={handleRestore} id="restoreFile" />
+            <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => document.getElementById("restoreFile")?.click()} disabled={!!backupProgress}>{t("header.restore")}</button>
           </label>
           <button 
             className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700 bg-yellow-100 dark:bg-yellow-900" 
             onClick={async () => {
-              if (confirm("¿Limpiar cache de imágenes? Esto liberará espacio pero las imágenes se volverán a descargar.")) {
+              if (confirm(t("alerts.confirmClearCache"))) {
                 // Limpiar ambos caches
-                await clearImageCache();
-                await clearUrlsCache();
+                await repository.clearImageCache();
+                await repository.clearUrlsCache();
                 
                 // Limpiar la interfaz visual
                 setOembedHTML("");
                 setOembedImgs([]);
+                cancelPostDownloads();
                 
                 // Limpiar el estado del día actual
                 if (dayState) {
@@ -759,32 +1779,51 @@ export default function PromptoberApp() {
                     ...dayState,
                     tweetUrl: "",
                     manualImageUrls: [],
-                    done: false  // Desmarcar como realizado
+                    done: false,  // Desmarcar como realizado
+                    updatedAt: Date.now()
                   };
-                  await setDay(updatedDayState);
+                  await repository.setDay(updatedDayState);
                   setDayState(updatedDayState);
                 }
                 
                 // Actualizar estadísticas
-                const stats = await getCacheStats();
+                const stats = await repository.getCacheStats();
                 setCacheStats(stats);
                 
-                alert("Cache limpiado correctamente");
+                alert(t("alerts.cacheCleared"));
               }
             }}
-            title="Limpiar cache de imágenes"
+            title={t("header.clearCacheHint")}
           >
-            🗑️ Limpiar Cache
+            🗑️ {t("header.clearCache")}
+          </button>
+          <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={openCacheManager} title={t("header.manageCacheHint")}>
+            {t("header.manageCache")}
           </button>
         </div>
       </header>
 
-      {/* Top Card */}
-      <section className="mb-8 rounded-2xl border bg-card dark:bg-gray-800 dark:border-gray-700 p-4 shadow-sm">
+      {/* Top Card (acepta imágenes arrastradas o pegadas) */}
+      <section
+        ref={dayCardRef}
+        className={`mb-8 rounded-2xl border bg-card dark:bg-gray-800 dark:border-gray-700 p-4 shadow-sm ${dragOver ? "ring-2 ring-blue-500" : ""}`}
+        onDragOver={(e) => {
+          if (!Array.from(e.dataTransfer?.types || []).includes("Files")) return;
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+        }}
+        onDrop={handleDrop}
+      >
         <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
-          <div>
-            <div className="text-sm text-muted-foreground">Día {selectedDay} · Octubre</div>
-            <h2 className="text-xl font-semibold">{promptText}</h2>
+          <div className="flex items-center gap-3">
+            {cover && <img src={cover.thumb || cover.src} alt={cover.alt || t("day.cover")} title={t("day.cover")} className="h-14 w-14 rounded-lg border object-cover dark:border-gray-600" />}
+            <div>
+              <div className="text-sm text-muted-foreground">{t("day.labelWithDate", { day: selectedDay, date: formatShortDate(dateForDay(challenge, selectedDay), locale) })}</div>
+              <h2 className="text-xl font-semibold">{promptText}</h2>
+            </div>
           </div>
           <label className="inline-flex items-center gap-2 text-sm">
             <input
@@ -793,27 +1832,87 @@ export default function PromptoberApp() {
               checked={!!dayState?.done}
               onChange={toggleDone}
             />
-            Marcado como realizado
+            {t("day.markedDone")}
           </label>
         </div>
 
         <div className="grid gap-4 md:grid-cols-2">
           <div className="space-y-2">
-            <label className="text-sm font-medium">URL del tuit de X (con tus imágenes)</label>
+            <label className="text-sm font-medium">{t("day.postUrl")}</label>
             <div className="flex gap-2">
               <input
                 className="w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
-                placeholder="https://x.com/usuario/status/123456..."
+                placeholder={t("day.postUrlPlaceholder")}
                 value={dayState?.tweetUrl ?? ""}
                 onChange={(e) => persist({ tweetUrl: e.target.value })}
               />
-              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleTweetFetch} disabled={loading}>{loading ? "Cargando…" : "Cargar"}</button>
+              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleTweetFetch} disabled={loading}>
+                {loading
+                  ? postDownloads.length > 0
+                    ? t("day.loadingImages", { done: postDownloads.filter((d) => d.status === "done").length, total: postDownloads.length })
+                    : t("day.loading")
+                  : t("day.load")}
+              </button>
             </div>
-            <p className="text-xs text-muted-foreground">Se usa oEmbed y un intento de extracción automática. Si no aparecen, añade URLs manuales abajo.</p>
+            <p className="text-xs text-muted-foreground">
+              {dayState?.tweetUrl?.trim()
+                ? t("day.platform", { platform: platformLabel(dayState.tweetUrl.trim()) })
+                : t("day.supportedPlatforms", { sources: SOURCE_ADAPTERS.map((a) => a.label).join(", ") })}{" "}
+              {t("day.manualHint")}
+            </p>
+            {pendingFetches.some((p) => p.dayId === dayState?.id) && (
+              <p className="text-xs text-orange-600 dark:text-orange-400">⏳ {t("day.queued")}</p>
+            )}
+            {postError && <p className="text-xs text-red-600 dark:text-red-400">⚠️ {postError}</p>}
+            {postDownloads.some((d) => d.status !== "done") && (
+              <ul className="space-y-1 text-xs">
+                {postDownloads
+                  .filter((d) => d.status !== "done")
+                  .map((d) => {
+                    const ratio = progressRatio(d);
+                    return (
+                      <li key={d.url} className="flex items-center gap-2">
+                        <span className="min-w-0 flex-1 truncate text-muted-foreground" title={d.url}>
+                          {d.url.split("/").pop().split("?")[0] || d.url}
+                        </span>
+                        {d.status === "loading" ? (
+                          <>
+                            <div className="h-1.5 w-24 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+                              <div
+                                className={`h-full rounded-full bg-blue-500 ${ratio === null ? "w-1/3 animate-pulse" : ""}`}
+                                style={ratio === null ? undefined : { width: `${Math.round(ratio * 100)}%` }}
+                              />
+                            </div>
+                            <span className="w-24 text-right tabular-nums text-muted-foreground">
+                              {d.total ? `${formatBytes(d.loaded)} / ${formatBytes(d.total)}` : formatBytes(d.loaded)}
+                            </span>
+                          </>
+                        ) : (
+                          <>
+                            <span className="text-red-600 dark:text-red-400" title={d.error || ""}>
+                              {t("day.downloadFailed")}
+                            </span>
+                            <button className="rounded border px-2 py-0.5 hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => retryPostImage(d.url)}>
+                              {t("day.retry")}
+                            </button>
+                          </>
+                        )}
+                      </li>
+                    );
+                  })}
+                {postDownloads.filter((d) => d.status === "error").length > 1 && (
+                  <li>
+                    <button className="text-blue-600 dark:text-blue-400 hover:underline" onClick={retryFailedPostImages}>
+                      {t("day.retryAll", { count: postDownloads.filter((d) => d.status === "error").length })}
+                    </button>
+                  </li>
+                )}
+              </ul>
+            )}
           </div>
 
           <div className="space-y-2">
-            <label className="text-sm font-medium">URLs de imágenes manuales (opcional; separa por comas o líneas)</label>
+            <label className="text-sm font-medium">{t("day.manualUrls")}</label>
             <textarea
               className="min-h-[80px] w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
               placeholder="https://.../img1.jpg, https://.../img2.png"
@@ -822,42 +1921,107 @@ export default function PromptoberApp() {
               onBlur={handleManualUrlsSave}
             />
             <div className="flex gap-2">
-              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleManualUrlsSave}>Guardar imágenes</button>
-              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => { setManualUrlsInput(""); persist({ manualImageUrls: [] }); }}>Limpiar</button>
+              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleManualUrlsSave}>{t("day.saveImages")}</button>
+              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => { setManualUrlsInput(""); persist({ manualImageUrls: [] }); }}>{t("day.clear")}</button>
             </div>
           </div>
         </div>
 
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            className="hidden"
+            id="localImagesFile"
+            onChange={(e) => {
+              addLocalFiles(e.target.files);
+              e.target.value = "";
+            }}
+          />
+          <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => document.getElementById("localImagesFile")?.click()}>{t("day.upload")}</button>
+          <p className="text-xs text-muted-foreground">{t("day.uploadHint")}</p>
+        </div>
+
+        <DayJournal
+          key={dayState?.id}
+          journal={dayState?.journal}
+          onChange={persistJournal}
+          activeTag={tagFilter}
+          onTagClick={(tag) => setTagFilter((current) => (current === tag ? null : tag))}
+        />
+
         {/* Tweet embed (si existe) */}
         {!!oembedHTML && (
           <div className="mt-4 overflow-hidden rounded-xl border bg-background p-3" dangerouslySetInnerHTML={{ __html: oembedHTML }} />
         )}
 
         {/* Galería de imágenes */}
-        {allImages.length > 0 && (
-          <div className="mt-4 grid grid-cols-2 gap-3 sm:grid-cols-3 md:grid-cols-4">
-            {allImages.map((src, idx) => (
-              <button key={idx} onClick={() => openLightbox(idx)} className="group overflow-hidden rounded-xl border bg-muted/30">
-                <img src={src} alt={`media-${idx}`} className="h-36 w-full object-cover transition-transform duration-200 group-hover:scale-105" />
-              </button>
-            ))}
-          </div>
+        {gallery.length > 0 && (
+          <ImageGallery
+            gallery={gallery}
+            coverId={cover?.id}
+            onOpen={(id) => openLightbox(visibleImages.findIndex((g) => g.id === id))}
+            onUpdate={updateImage}
+            onMove={(fromId, toId) => saveGallery(moveImage(gallery, fromId, toId))}
+            onRemoveLocal={removeLocalImage}
+          />
         )}
       </section>
 
-      {/* Calendario de Octubre con prompts (tooltip) y estado */}
+      {/* Calendario del reto con prompts (tooltip) y estado */}
       <section className="mb-10 rounded-2xl border bg-card dark:bg-gray-800 dark:border-gray-700 p-4 shadow-sm">
-        <h3 className="mb-3 text-lg font-semibold">Calendario · Octubre</h3>
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+          <h3 className="text-lg font-semibold">{t("calendar.title", { name: challenge.name })}</h3>
+          <div className="flex overflow-hidden rounded-lg border text-xs dark:border-gray-600" role="group" aria-label={t("calendar.view")}>
+            {[
+              ["text", t("calendar.viewText")],
+              ["images", t("calendar.viewImages")],
+            ].map(([view, label]) => (
+              <button
+                key={view}
+                className={`px-3 py-1 ${calendarView === view ? "bg-blue-600 text-white" : "hover:bg-accent dark:hover:bg-gray-700"}`}
+                aria-pressed={calendarView === view}
+                onClick={() => changeCalendarView(view)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {challengeTags.length > 0 && (
+          <div className="mb-3 flex flex-wrap items-center gap-1 text-xs">
+            <span className="text-muted-foreground">{t("calendar.tags")}</span>
+            {challengeTags.map((tag) => (
+              <button
+                key={tag}
+                className={`rounded-full border px-2 py-0.5 dark:border-gray-600 ${tagFilter === tag ? "bg-blue-600 text-white border-blue-600" : "hover:bg-accent dark:hover:bg-gray-700"}`}
+                onClick={() => setTagFilter((current) => (current === tag ? null : tag))}
+              >
+                #{tag}
+              </button>
+            ))}
+            {tagFilter && (
+              <button className="ml-1 text-blue-600 dark:text-blue-400 hover:underline" onClick={() => setTagFilter(null)}>
+                {t("calendar.clearFilter")}
+              </button>
+            )}
+          </div>
+        )}
         <CalendarOctober
-          year={year}
+          challenge={challenge}
           selectedDay={selectedDay}
           allDays={allDaysCache}
+          prompts={prompts}
+          tagFilter={tagFilter}
+          view={calendarView}
+          images={calendarImages}
           onSelect={(d) => setSelectedDay(d)}
         />
       </section>
 
       <footer className="text-center text-xs text-muted-foreground">
-        Tus datos se almacenan <strong>solo en este dispositivo</strong> mediante IndexedDB (modo local/"localhost").
+        {richText(t("footer.storage"))}
       </footer>
 
       {/* Modal de Ayuda */}
@@ -866,11 +2030,11 @@ export default function PromptoberApp() {
           <div className="mx-auto w-full max-w-2xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
             {/* Header fijo */}
             <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
-              <h2 className="text-xl font-semibold">¿Cómo funciona Promptober Pop-Cine?</h2>
+              <h2 className="text-xl font-semibold">{t("help.title")}</h2>
               <button 
                 className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
                 onClick={() => setShowHelpModal(false)}
-                title="Cerrar (Escape)"
+                title={t("common.closeEscape")}
               >
                 ✕
               </button>
@@ -879,72 +2043,65 @@ export default function PromptoberApp() {
             {/* Contenido con scroll */}
             <div className="overflow-y-auto p-6 space-y-4 text-sm">
               <div>
-                <h3 className="font-semibold text-green-600 dark:text-green-400 mb-2">🎯 ¿Qué es esto?</h3>
-                <p>Un calendario interactivo para el desafío "Promptober" de octubre, donde cada día tienes un prompt de cine/pop culture para crear imágenes con IA.</p>
+                <h3 className="font-semibold text-green-600 dark:text-green-400 mb-2">🎯 {t("help.whatTitle")}</h3>
+                <p>{t("help.whatText")}</p>
               </div>
 
               <div>
-                <h3 className="font-semibold text-blue-600 dark:text-blue-400 mb-2">📱 Cómo usar la aplicación</h3>
+                <h3 className="font-semibold text-blue-600 dark:text-blue-400 mb-2">📱 {t("help.usageTitle")}</h3>
                 <ol className="list-decimal list-inside space-y-1 ml-2">
-                  <li><strong>Selecciona un día</strong> del calendario de octubre</li>
-                  <li><strong>Pega la URL de tu tweet</strong> de X/Twitter con las imágenes</li>
-                  <li><strong>Haz clic en "Cargar"</strong> para extraer las imágenes automáticamente</li>
-                  <li><strong>O añade URLs manuales</strong> si la extracción automática falla</li>
-                  <li><strong>Marca como realizado</strong> cuando tengas las imágenes</li>
+                  {t("help.usageSteps").map((step) => (
+                    <li key={step}>{richText(step)}</li>
+                  ))}
                 </ol>
               </div>
 
               <div>
-                <h3 className="font-semibold text-orange-600 dark:text-orange-400 mb-2">💾 Almacenamiento de datos</h3>
+                <h3 className="font-semibold text-orange-600 dark:text-orange-400 mb-2">💾 {t("help.storageTitle")}</h3>
                 <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3">
-                  <p className="font-semibold text-yellow-800 dark:text-yellow-200 mb-2">⚠️ Información importante sobre la privacidad:</p>
+                  <p className="font-semibold text-yellow-800 dark:text-yellow-200 mb-2">⚠️ {t("help.privacyTitle")}</p>
                   <ul className="list-disc list-inside space-y-1 text-yellow-700 dark:text-yellow-300">
-                    <li>Todos los datos se guardan <strong>solo en tu dispositivo</strong></li>
-                    <li>Las imágenes se descargan y almacenan <strong>localmente</strong></li>
-                    <li><strong>No se envía nada a servidores externos</strong> (excepto para descargar las imágenes)</li>
-                    <li>Si borras el cache o los datos del navegador, <strong>se perderá toda la información</strong></li>
+                    {t("help.privacyItems").map((item) => (
+                      <li key={item}>{richText(item)}</li>
+                    ))}
                   </ul>
                 </div>
               </div>
 
               <div>
-                <h3 className="font-semibold text-purple-600 dark:text-purple-400 mb-2">🔄 Sistema de Cache</h3>
-                <p>La aplicación usa un sistema inteligente de cache que:</p>
+                <h3 className="font-semibold text-purple-600 dark:text-purple-400 mb-2">🔄 {t("help.cacheTitle")}</h3>
+                <p>{t("help.cacheIntro")}</p>
                 <ul className="list-disc list-inside space-y-1 ml-2">
-                  <li>Guarda las URLs de tweets para cargas rápidas</li>
-                  <li>Descarga y almacena las imágenes localmente</li>
-                  <li>Las imágenes se mantienen 1 año en cache</li>
-                  <li>Las URLs se mantienen 1 año en cache</li>
+                  {t("help.cacheItems").map((item) => (
+                    <li key={item}>{item}</li>
+                  ))}
                 </ul>
               </div>
 
               <div>
-                <h3 className="font-semibold text-red-600 dark:text-red-400 mb-2">💾 Respaldo de datos</h3>
+                <h3 className="font-semibold text-red-600 dark:text-red-400 mb-2">💾 {t("help.backupTitle")}</h3>
                 <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3">
-                  <p className="font-semibold text-blue-800 dark:text-blue-200 mb-2">📥 Para no perder tu progreso:</p>
+                  <p className="font-semibold text-blue-800 dark:text-blue-200 mb-2">📥 {t("help.backupIntro")}</p>
                   <ul className="list-disc list-inside space-y-1 text-blue-700 dark:text-blue-300">
-                    <li>Usa el botón <strong>"Exportar JSON"</strong> para descargar todos tus datos</li>
-                    <li>Guarda el archivo JSON en un lugar seguro</li>
-                    <li>Si cambias de dispositivo, usa <strong>"Importar JSON"</strong> para restaurar</li>
-                    <li>Haz respaldos regulares para no perder tu trabajo</li>
+                    {t("help.backupItems").map((item) => (
+                      <li key={item}>{richText(item)}</li>
+                    ))}
                   </ul>
                 </div>
               </div>
 
               <div>
-                <h3 className="font-semibold text-gray-600 dark:text-gray-400 mb-2">🛠️ Funciones adicionales</h3>
+                <h3 className="font-semibold text-gray-600 dark:text-gray-400 mb-2">🛠️ {t("help.extrasTitle")}</h3>
                 <ul className="list-disc list-inside space-y-1 ml-2">
-                  <li><strong>Lightbox:</strong> Haz clic en las imágenes para verlas en grande con zoom</li>
-                  <li><strong>Modo oscuro:</strong> Cambia el tema con el botón 🌙/☀️</li>
-                  <li><strong>Limpieza de cache:</strong> Usa "🗑️ Limpiar Cache" para liberar espacio</li>
-                  <li><strong>Navegación:</strong> Usa las flechas en el lightbox para ver todas las imágenes</li>
+                  {t("help.extrasItems").map((item) => (
+                    <li key={item}>{richText(item)}</li>
+                  ))}
                 </ul>
               </div>
 
               <div className="text-center pt-4 border-t border-gray-200 dark:border-gray-700">
                 <p className="text-xs text-gray-500 dark:text-gray-400">
-                  💡 <strong>Tip:</strong> Si tienes problemas con la extracción automática de imágenes, 
-                  siempre puedes añadir las URLs de las imágenes manualmente en el campo de abajo.
+                  💡 {richText(t("help.tip"))}
                 </p>
               </div>
             </div>
@@ -953,43 +2110,254 @@ export default function PromptoberApp() {
             <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
               <div className="flex items-center space-x-2 text-xs text-gray-500 dark:text-gray-400">
                 <span>📜</span>
-                <span>Desplázate para ver más contenido</span>
+                <span>{t("help.scrollHint")}</span>
               </div>
               <button 
                 className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
                 onClick={() => setShowHelpModal(false)}
               >
-                Entendido
+                {t("help.gotIt")}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Editor de sets de prompts */}
+      {showPromptSetsModal && (
+        <PromptSetsEditor
+          year={year}
+          length={challenge.length}
+          sets={promptSets}
+          activeSetId={activeSet?.id}
+          onClose={() => setShowPromptSetsModal(false)}
+          onCreate={handleCreatePromptSet}
+          onUpdate={(set) => updatePromptSets([set])}
+          onDelete={handleDeletePromptSet}
+          onMove={handleMovePromptSet}
+          onSelectActive={handleSelectActiveSet}
+        />
+      )}
+
+      {/* Editor de retos */}
+      {showChallengesModal && (
+        <ChallengesEditor
+          year={year}
+          challenges={challenges}
+          activeChallengeId={challenge.id}
+          onClose={() => setShowChallengesModal(false)}
+          onCreate={handleCreateChallenge}
+          onUpdate={handleUpdateChallenge}
+          onDelete={handleDeleteChallenge}
+          onSelectActive={handleSelectActiveChallenge}
+        />
+      )}
+
+      {/* Archivo multi-año */}
+      {archiveSummary && (
+        <ArchiveModal
+          summary={archiveSummary}
+          currentYear={year}
+          onSelectYear={(y) => {
+            setYear(y);
+            setArchiveSummary(null);
+          }}
+          onClose={() => setArchiveSummary(null)}
+        />
+      )}
+
+      {/* Panel de estadísticas */}
+      {statsData && (
+        <StatsPanel
+          year={year}
+          challenge={challenge}
+          entries={statsData.entries}
+          summary={statsData.summary}
+          onClose={() => setStatsData(null)}
+        />
+      )}
+
+      {/* Generador de collage */}
+      {collageData && (
+        <CollageModal
+          challenge={challenge}
+          startDow={parseISODate(challenge.startDate).getDay()}
+          prompts={prompts}
+          candidates={collageData.candidates}
+          defaultDark={isDark}
+          onClose={() => setCollageData(null)}
+        />
+      )}
+
+      {/* Vídeo resumen */}
+      {recapData && <RecapModal challenge={challenge} slides={recapData.slides} onClose={() => setRecapData(null)} />}
+
+      {/* Vista previa de importación */}
+      {importPreview && (
+        <ImportPreviewModal
+          preview={importPreview}
+          onStrategyChange={handleImportStrategyChange}
+          onConfirm={confirmImport}
+          onClose={() => setImportPreview(null)}
+        />
+      )}
+
+      {/* Progreso de copia / restauración */}
+      {backupProgress && (
+        <div className="fixed bottom-4 right-4 z-50 w-72 rounded-lg border bg-white dark:bg-gray-800 dark:border-gray-700 p-3 text-sm shadow-xl">
+          <div className="mb-2 flex justify-between gap-2">
+            <span>{backupProgress.label}</span>
+            {backupProgress.total > 0 && <span className="text-muted-foreground">{backupProgress.done}/{backupProgress.total}</span>}
+          </div>
+          <div className="h-2 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+            <div
+              className={`h-full bg-blue-600 transition-all ${backupProgress.total ? "" : "animate-pulse"}`}
+              style={{ width: backupProgress.total ? `${(backupProgress.done / backupProgress.total) * 100}%` : "100%" }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Recordatorio diario */}
+      {showRemindersModal && (
+        <RemindersModal
+          settings={reminders}
+          permission={notificationPermission()}
+          onSave={handleRemindersSave}
+          onTest={handleReminderTest}
+          onClose={() => setShowRemindersModal(false)}
+        />
+      )}
+
+      {/* Gestor de cache */}
+      {cacheManager && (
+        <CacheManager
+          {...cacheManager}
+          onDelete={handleCacheDelete}
+          onRefetch={handleCacheRefetch}
+          onSettingsChange={handleCacheSettingsChange}
+          onRequestPersist={handleRequestPersist}
+          onClose={() => setCacheManager(null)}
+        />
+      )}
+
       {/* Lightbox */}
       {lightboxOpen && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onMouseUp={onMouseUp} onMouseLeave={onMouseUp}>
-          <div className="mx-auto w-full max-w-5xl rounded-lg bg-background dark:bg-gray-800 p-2">
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onClick={() => setLightboxOpen(false)}>
+          <div className="mx-auto w-full max-w-5xl rounded-lg bg-background dark:bg-gray-800 p-2" onClick={(e) => e.stopPropagation()}>
             <div className="mb-2 flex items-center justify-between gap-2">
-              <div className="text-sm">Vista previa ({lightboxIndex + 1}/{allImages.length})</div>
-              <button className="rounded border px-2 py-1 text-sm" onClick={() => setLightboxOpen(false)}>Cerrar</button>
-            </div>
-            <div className="relative flex h-[70vh] w-full items-center justify-center overflow-hidden rounded-lg bg-black">
-              <img
-                src={allImages[lightboxIndex]}
-                alt="zoomable"
-                className="select-none"
-                draggable={false}
-                onWheel={onWheel}
-                onMouseDown={onMouseDown}
-                onMouseMove={onMouseMove}
-                style={{ transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`, transformOrigin: "center center", maxWidth: "100%", maxHeight: "100%" }}
-              />
+              <div className="text-sm">{t("lightbox.title", { index: lightboxIndex + 1, total: visibleImages.length })}</div>
+              <button className="rounded border px-2 py-1 text-sm" onClick={() => setLightboxOpen(false)}>{t("common.close")}</button>
             </div>
-            <div className="mt-3 flex items-center gap-2">
-              <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => setZoom(1)}>Reset zoom</button>
-              <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => setLightboxIndex((i) => (i - 1 + allImages.length) % allImages.length)}>Anterior</button>
-              <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => setLightboxIndex((i) => (i + 1) % allImages.length)}>Siguiente</button>
+            {compareIndex === null ? (
+              <div {...layerProps} data-zoom-pane className="relative flex h-[70vh] w-full select-none items-center justify-center overflow-hidden rounded-lg bg-black">
+                <img
+                  ref={zoomImageRef}
+                  src={visibleImages[lightboxIndex]?.src}
+                  alt={visibleImages[lightboxIndex]?.alt || visibleImages[lightboxIndex]?.caption || "zoomable"}
+                  className="h-full w-full object-contain"
+                  draggable={false}
+                  style={{ transform, transformOrigin: "center center" }}
+                />
+              </div>
+            ) : compareLayout === "side" ? (
+              // Lado a lado: el mismo zoom/pan se aplica a las dos imágenes
+              <div {...layerProps} className="grid h-[70vh] w-full select-none grid-cols-2 gap-1">
+                {[lightboxIndex, compareIndex].map((idx, pane) => (
+                  <div key={pane} data-zoom-pane className="relative flex items-center justify-center overflow-hidden rounded-lg bg-black">
+                    <img
+                      ref={pane ? undefined : zoomImageRef}
+                      src={visibleImages[idx]?.src}
+                      alt={visibleImages[idx]?.alt || visibleImages[idx]?.caption || (pane ? "B" : "A")}
+                      className="h-full w-full object-contain"
+                      draggable={false}
+                      style={{ transform, transformOrigin: "center center" }}
+                    />
+                    <span className="pointer-events-none absolute left-2 top-2 rounded bg-black/60 px-2 py-0.5 text-xs text-white">{pane ? "B" : "A"} · {idx + 1}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              // Deslizador: B encima de A recortada desde la línea de corte
+              <div {...layerProps} data-zoom-pane className="relative h-[70vh] w-full select-none overflow-hidden rounded-lg bg-black">
+                {[lightboxIndex, compareIndex].map((idx, pane) => (
+                  <div key={pane} className="absolute inset-0 overflow-hidden" style={pane ? { clipPath: `inset(0 0 0 ${split}%)` } : undefined}>
+                    <img
+                      ref={pane ? undefined : zoomImageRef}
+                      src={visibleImages[idx]?.src}
+                      alt={visibleImages[idx]?.alt || visibleImages[idx]?.caption || (pane ? "B" : "A")}
+                      className="h-full w-full object-contain"
+                      draggable={false}
+                      style={{ transform, transformOrigin: "center center" }}
+                    />
+                  </div>
+                ))}
+                <div
+                  className="absolute inset-y-0 z-10 w-1 -translate-x-1/2 cursor-ew-resize bg-white/80"
+                  style={{ left: `${split}%`, touchAction: "none" }}
+                  onPointerDown={(e) => {
+                    e.stopPropagation();
+                    e.currentTarget.setPointerCapture(e.pointerId);
+                  }}
+                  onPointerMove={(e) => {
+                    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+                    e.stopPropagation();
+                    const rect = e.currentTarget.parentElement.getBoundingClientRect();
+                    setSplit(Math.max(0, Math.min(100, ((e.clientX - rect.left) / rect.width) * 100)));
+                  }}
+                  onPointerUp={(e) => e.stopPropagation()}
+                >
+                  <span className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 rounded-full bg-white px-1.5 py-0.5 text-xs text-black shadow">⇆</span>
+                </div>
+                <span className="pointer-events-none absolute left-2 top-2 rounded bg-black/60 px-2 py-0.5 text-xs text-white">A · {lightboxIndex + 1}</span>
+                <span className="pointer-events-none absolute right-2 top-2 rounded bg-black/60 px-2 py-0.5 text-xs text-white">B · {compareIndex + 1}</span>
+              </div>
+            )}
+            {compareIndex === null && visibleImages[lightboxIndex]?.caption && (
+              <p className="mt-2 text-center text-sm">{visibleImages[lightboxIndex].caption}</p>
+            )}
+            <div className="mt-3 flex flex-wrap items-center gap-2">
+              <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={resetZoom}>{t("lightbox.resetZoom")}</button>
+              <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => showImage(-1)}>{t("lightbox.previous")}</button>
+              <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => showImage(1)}>{t("lightbox.next")}</button>
+              {visibleImages.length > 1 && (
+                <button
+                  className={`rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700 ${compareIndex !== null ? "bg-blue-600 text-white border-blue-600" : ""}`}
+                  onClick={toggleCompare}
+                >
+                  {t("lightbox.compare")}
+                </button>
+              )}
+              {compareIndex !== null && (
+                <>
+                  <label className="flex items-center gap-1 text-sm">
+                    B:
+                    <select
+                      className="rounded border bg-background dark:bg-gray-700 dark:border-gray-600 px-2 py-1 text-sm"
+                      value={compareIndex}
+                      onChange={(e) => setCompareIndex(Number(e.target.value))}
+                    >
+                      {visibleImages.map((img, idx) => (
+                        <option key={img.id} value={idx}>
+                          {idx + 1}{img.caption ? ` · ${img.caption}` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <button className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => setCompareLayout((l) => (l === "side" ? "slider" : "side"))}>
+                    {compareLayout === "side" ? t("lightbox.slider") : t("lightbox.sideBySide")}
+                  </button>
+                  <button
+                    className="rounded border px-3 py-2 text-sm dark:border-gray-600 dark:hover:bg-gray-700"
+                    onClick={() => {
+                      setCompareIndex(lightboxIndex);
+                      setLightboxIndex(compareIndex);
+                    }}
+                  >
+                    {t("lightbox.swap")}
+                  </button>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -998,19 +2366,33 @@ export default function PromptoberApp() {
   );
 }
 
-function CalendarOctober({ year, selectedDay, onSelect, allDays }) {
-  const firstDow = new Date(year, 9, 1).getDay(); // 0=Domingo
-  const daysInMonth = 31;
+// Ciclo de la vista previa al pasar el ratón por un día con varias imágenes
+const CALENDAR_PREVIEW_INTERVAL_MS = 1200;
+
+function CalendarOctober({ challenge, selectedDay, onSelect, allDays, prompts, tagFilter, view = "text", images = {} }) {
+  const { t, locale, weekStart } = useI18n();
+  const [hover, setHover] = useState(null); // { day, index } de la vista previa
+  const firstDow = parseISODate(challenge.startDate).getDay(); // 0=Domingo
+  const totalDays = challenge.length;
+
+  const hoverImages = hover ? images[hover.day] || [] : [];
+  useEffect(() => {
+    if (hoverImages.length < 2) return undefined;
+    const timer = setInterval(() => setHover((h) => h && { ...h, index: h.index + 1 }), CALENDAR_PREVIEW_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hover?.day, hoverImages.length]);
 
   const weeks = [];
   let day = 1;
-  const startPad = (firstDow + 6) % 7; // semana empieza en Lunes
+  const startPad = (firstDow - weekStart + 7) % 7; // la semana empieza según el locale
+  const weekCount = Math.ceil((startPad + totalDays) / 7);
+  const spansMonths = dateForDay(challenge, 1).getMonth() !== dateForDay(challenge, totalDays).getMonth();
 
-  for (let w = 0; w < 6; w++) {
+  for (let w = 0; w < weekCount; w++) {
     const row = [];
     for (let d = 0; d < 7; d++) {
       const cellIndex = w * 7 + d;
-      if (cellIndex < startPad || day > daysInMonth) {
+      if (cellIndex < startPad || day > totalDays) {
         row.push(null);
       } else {
         row.push(day++);
@@ -1019,49 +2401,87 @@ function CalendarOctober({ year, selectedDay, onSelect, allDays }) {
     weeks.push(row);
   }
 
-  const dow = ["L", "M", "X", "J", "V", "S", "D"];
+  const dow = weekdayLabels(locale, weekStart);
+  const dowLong = weekdayLabels(locale, weekStart, "long");
 
   return (
     <div>
       <div className="mb-2 grid grid-cols-7 gap-1 text-center text-xs text-muted-foreground">
-        {dow.map((d) => (
-          <div key={d} className="py-1">{d}</div>
+        {dow.map((d, i) => (
+          <div key={i} className="py-1" title={dowLong[i]}>{d}</div>
         ))}
       </div>
       <div className="grid grid-cols-7 gap-1 auto-rows-min">
         {weeks.flat().map((d, i) => {
           const isSel = d === selectedDay;
           const done = d ? allDays[d]?.done : false;
-          const prompt = typeof d === "number" ? PROMPTS[d - 1] : "";
-          const short = prompt ? (prompt.length > 12 ? prompt.slice(0, 12) + "…" : prompt) : "";
+          // Con filtro por etiqueta, atenuar los días que no la tienen
+          const filteredOut = !!(d && tagFilter && !allDays[d]?.journal?.tags?.includes(tagFilter));
+          const prompt = typeof d === "number" ? prompts[d - 1] || "" : "";
+          const date = d ? dateForDay(challenge, d) : null;
+          // Si el reto cruza de mes, mostrar el mes en el primer día y al cambiar de mes
+          const dateLabel = date ? (spansMonths && (d === 1 || date.getDate() === 1) ? formatShortDate(date, locale) : date.getDate()) : "";
+          const cellImages = (d && images[d]) || [];
+          // Vista de imágenes: la portada (primera de la lista) ocupa la casilla
+          const cover = view === "images" ? cellImages[0] : null;
+          const preview = hover?.day === d && cellImages.length > 0 ? hover.index % cellImages.length : null;
           return (
             <button
               key={i}
               disabled={!d}
               onClick={() => d && onSelect(d)}
-              title={d ? `Día ${d} — ${prompt}` : ""}
+              onMouseEnter={() => d && setHover({ day: d, index: 0 })}
+              onMouseLeave={() => setHover(null)}
+              onFocus={() => d && setHover({ day: d, index: 0 })}
+              onBlur={() => setHover(null)}
+              title={d ? t("calendar.cellTitle", { day: d, date: formatShortDate(date, locale), prompt }) : ""}
               className={`relative flex w-full flex-col items-start justify-start rounded-lg border p-2 text-left text-xs transition ${
+                view === "images" ? "aspect-square" : ""
+              } ${
                 d
                   ? isSel
-                    ? "bg-primary text-primary-foreground shadow-sm"
+                    ? cover
+                      ? "ring-2 ring-blue-500 border-blue-500"
+                      : "bg-primary text-primary-foreground shadow-sm"
                     : done
                       ? "bg-green-100 dark:bg-green-900/30 border-green-500 dark:border-green-400"
                       : "bg-card dark:bg-gray-700 hover:bg-accent dark:hover:bg-gray-600 border-gray-200 dark:border-gray-600"
                   : "opacity-40"
-              }`}
+              } ${filteredOut ? "opacity-30" : ""}`}
             >
-              {/* Número del día en la esquina superior izquierda */}
-              <span className="pointer-events-none absolute left-1 top-1 text-[10px] font-semibold opacity-80">{d ?? ""}</span>
+              {/* Portada del día (miniatura del cache local) */}
+              {cover && (
+                <img src={cover} alt="" loading="lazy" decoding="async" className="pointer-events-none absolute inset-0 h-full w-full rounded-lg object-cover" />
+              )}
+
+              {/* Fecha del día en la esquina superior izquierda */}
+              <span
+                className={`pointer-events-none absolute left-1 top-1 text-[10px] font-semibold ${cover ? "rounded bg-black/60 px-1 text-white" : "opacity-80"}`}
+              >
+                {dateLabel}
+              </span>
 
               {/* Punto verde si está hecho */}
-              {done && <span className="pointer-events-none absolute right-1 top-1 h-2 w-2 rounded-full bg-green-500" />}
+              {done && <span className="pointer-events-none absolute right-1 top-1 h-2 w-2 rounded-full bg-green-500 ring-1 ring-white" />}
 
-              {/* Contenido completo del prompt */}
-              {d && (
-                <div className="mt-4 w-full whitespace-normal break-words text-[11px] leading-tight">
+              {/* Contenido completo del prompt (en la vista de imágenes, solo si el día no tiene imagen) */}
+              {d && !cover && (
+                <div className={`mt-4 w-full whitespace-normal break-words text-[11px] leading-tight ${view === "images" ? "line-clamp-4" : ""}`}>
                   {prompt}
                 </div>
               )}
+
+              {/* Vista previa al pasar el ratón: recorre las imágenes del día */}
+              {preview !== null && (
+                <div className="pointer-events-none absolute bottom-full left-1/2 z-20 mb-1 w-40 -translate-x-1/2 rounded-lg border bg-white p-1 shadow-lg dark:border-gray-600 dark:bg-gray-800">
+                  <img src={cellImages[preview]} alt="" className="h-40 w-full rounded object-cover" />
+                  {cellImages.length > 1 && (
+                    <div className="mt-0.5 text-center text-[10px] text-muted-foreground">
+                      {t("calendar.previewCount", { index: preview + 1, total: cellImages.length })}
+                    </div>
+                  )}
+                </div>
+              )}
             </button>
           );
         })}
@@ -0,0 +1,61 @@
+import React from "react";
+import { useI18n } from "./LanguageContext.jsx";
+
+/**
+ * Vista de archivo (modal): un resumen por año con sus retos y días completados.
+ * Recibe el resumen ya calculado por PromptoberApp (getArchiveSummary).
+ */
+export default function ArchiveModal({ summary, currentYear, onSelectYear, onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-2xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("archive.title")}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-3 text-sm">
+          {summary.map((entry) => (
+            <div
+              key={entry.year}
+              className={`rounded-xl border p-3 dark:border-gray-600 ${entry.year === currentYear ? "border-blue-500 dark:border-blue-400" : ""}`}
+            >
+              <div className="mb-2 flex items-center justify-between gap-2">
+                <div>
+                  <div className="text-lg font-semibold">{entry.year}</div>
+                  <div className="text-xs text-muted-foreground">{t("archive.savedDays", { count: entry.dayCount })}</div>
+                </div>
+                <button
+                  className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700 disabled:opacity-40"
+                  disabled={entry.year === currentYear}
+                  onClick={() => onSelectYear(entry.year)}
+                >
+                  {entry.year === currentYear ? t("archive.currentYear") : t("archive.view")}
+                </button>
+              </div>
+              <ul className="space-y-1">
+                {entry.challenges.map((c) => (
+                  <li key={c.id} className="flex items-center gap-2">
+                    <span className="flex-1 truncate">{c.name}</span>
+                    <span className="text-xs text-muted-foreground">{c.doneCount}/{c.length}</span>
+                    <div className="h-2 w-24 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+                      <div className="h-full bg-green-500" style={{ width: `${(c.doneCount / c.length) * 100}%` }} />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+import { formatAge, formatBytes } from "./format.js";
+
+/**
+ * Gestor del cache de imágenes (modal): uso frente a navigator.storage.estimate(),
+ * presupuesto y caducidad configurables, almacenamiento persistente y listado por imagen.
+ */
+export default function CacheManager({ entries, usage, quota, persisted, settings, onDelete, onRefetch, onSettingsChange, onRequestPersist, onClose }) {
+  const { t, locale } = useI18n();
+  const [budgetMB, setBudgetMB] = useState(settings.budgetMB);
+  const [maxAgeDays, setMaxAgeDays] = useState(settings.maxAgeDays);
+  const [busyUrl, setBusyUrl] = useState(null);
+  const [previews, setPreviews] = useState({});
+
+  // Object URLs para las miniaturas mientras el modal está abierto
+  useEffect(() => {
+    const map = {};
+    entries.forEach((e) => {
+      if (e.blob) map[e.url] = URL.createObjectURL(e.thumbnail || e.blob);
+    });
+    setPreviews(map);
+    return () => Object.values(map).forEach((u) => URL.revokeObjectURL(u));
+  }, [entries]);
+
+  const totalBytes = entries.reduce((a, e) => a + e.size, 0);
+  const budgetBytes = settings.budgetMB * 1024 * 1024;
+
+  // Los callbacks de PromptoberApp ya avisan de sus errores; esto cubre cualquier rechazo que se les escape
+  async function run(url, action) {
+    setBusyUrl(url);
+    try {
+      await action(url);
+    } catch (error) {
+      console.error("Cache action error", error);
+      alert(t("alerts.cacheActionError", { message: error.message }));
+    } finally {
+      setBusyUrl(null);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-4xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("cache.title")}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-5 text-sm">
+          {/* Uso */}
+          <div className="grid gap-3 sm:grid-cols-3">
+            <div className="rounded-xl border p-3 dark:border-gray-600">
+              <div className="text-xs text-muted-foreground">{t("cache.cachedImages")}</div>
+              <div className="text-xl font-semibold">{formatBytes(totalBytes)}</div>
+              <div className="text-xs text-muted-foreground">{t("cache.files", { count: entries.length })}</div>
+              {budgetBytes > 0 && (
+                <div className="mt-2 h-2 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+                  <div className="h-full bg-blue-600" style={{ width: `${Math.min((totalBytes / budgetBytes) * 100, 100)}%` }} />
+                </div>
+              )}
+            </div>
+            <div className="rounded-xl border p-3 dark:border-gray-600">
+              <div className="text-xs text-muted-foreground">{t("cache.siteStorage")}</div>
+              <div className="text-xl font-semibold">{usage != null ? formatBytes(usage) : "—"}</div>
+              <div className="text-xs text-muted-foreground">{quota != null ? t("cache.ofQuota", { size: formatBytes(quota) }) : t("cache.storageUnavailable")}</div>
+            </div>
+            <div className="rounded-xl border p-3 dark:border-gray-600">
+              <div className="text-xs text-muted-foreground">{t("cache.persistent")}</div>
+              <div className="text-xl font-semibold">{persisted ? t("cache.persistOn") : t("cache.persistOff")}</div>
+              {!persisted && (
+                <button className="mt-1 text-xs text-blue-600 dark:text-blue-400 hover:underline" onClick={onRequestPersist}>
+                  {t("cache.requestPersist")}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Ajustes */}
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("cache.budget")}</label>
+              <input
+                type="number"
+                min={0}
+                className="w-40 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                value={budgetMB}
+                onChange={(e) => setBudgetMB(Math.max(0, Number(e.target.value) || 0))}
+              />
+            </div>
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("cache.maxAge")}</label>
+              <input
+                type="number"
+                min={0}
+                className="w-40 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                value={maxAgeDays}
+                onChange={(e) => setMaxAgeDays(Math.max(0, Number(e.target.value) || 0))}
+              />
+            </div>
+            <button
+              className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700"
+              onClick={() => onSettingsChange({ budgetMB, maxAgeDays })}
+            >
+              {t("cache.apply")}
+            </button>
+            <p className="text-xs text-muted-foreground">{t("cache.evictionHint")}</p>
+          </div>
+
+          {/* Listado */}
+          {entries.length === 0 ? (
+            <p className="text-muted-foreground">{t("cache.empty")}</p>
+          ) : (
+            <table className="w-full text-left text-xs">
+              <thead className="text-muted-foreground">
+                <tr>
+                  <th className="py-1 pr-2"></th>
+                  <th className="py-1 pr-2">{t("cache.day")}</th>
+                  <th className="py-1 pr-2">{t("cache.size")}</th>
+                  <th className="py-1 pr-2">{t("cache.downloaded")}</th>
+                  <th className="py-1 pr-2">{t("cache.lastUsed")}</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((e) => (
+                  <tr key={e.url} className="border-t dark:border-gray-700">
+                    <td className="py-1 pr-2">
+                      {previews[e.url] && <img src={previews[e.url]} alt="" className="h-10 w-10 rounded object-cover" loading="lazy" />}
+                    </td>
+                    <td className="py-1 pr-2" title={e.url}>{e.days.length ? e.days.join(", ") : <span className="text-muted-foreground">{t("cache.noDay")}</span>}</td>
+                    <td className="py-1 pr-2">{formatBytes(e.size)}</td>
+                    <td className="py-1 pr-2">{formatAge(e.timestamp, locale)}</td>
+                    <td className="py-1 pr-2">{formatAge(e.lastAccess, locale)}</td>
+                    <td className="py-1 whitespace-nowrap text-right">
+                      <button className="rounded border px-2 py-1 dark:border-gray-600 disabled:opacity-40" disabled={busyUrl === e.url} onClick={() => run(e.url, onRefetch)}>
+                        {t("cache.refetch")}
+                      </button>{" "}
+                      <button className="rounded border px-2 py-1 dark:border-gray-600 disabled:opacity-40" disabled={busyUrl === e.url} onClick={() => run(e.url, onDelete)}>
+                        {t("cache.delete")}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+
+/**
+ * Editor de retos (modal): nombre, fecha de inicio y duración.
+ * Igual que PromptSetsEditor, delega la persistencia en los callbacks de PromptoberApp.
+ */
+export default function ChallengesEditor({ year, challenges, activeChallengeId, onClose, onCreate, onUpdate, onDelete, onSelectActive }) {
+  const { t } = useI18n();
+  const [editingId, setEditingId] = useState(activeChallengeId ?? challenges[0]?.id);
+  const editing = challenges.find((c) => c.id === editingId) || challenges[0];
+
+  async function handleCreate() {
+    const item = await onCreate();
+    setEditingId(item.id);
+  }
+
+  async function handleDelete(item) {
+    if (challenges.length <= 1) return;
+    if (!confirm(t("challenges.confirmDelete", { name: item.name }))) return;
+    await onDelete(item.id);
+    if (item.id === editingId) setEditingId(challenges.find((c) => c.id !== item.id)?.id);
+  }
+
+  function handleLengthChange(value) {
+    const length = Math.min(Math.max(parseInt(value, 10) || 1, 1), 366);
+    onUpdate({ ...editing, length });
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-3xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("challenges.title", { year })}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="grid min-h-0 flex-1 gap-4 overflow-y-auto p-6 md:grid-cols-[240px_1fr]">
+          {/* Lista de retos */}
+          <div className="flex flex-col gap-2">
+            <button className="self-start rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={handleCreate}>{t("challenges.create")}</button>
+            <ul className="space-y-1">
+              {challenges.map((item) => (
+                <li
+                  key={item.id}
+                  className={`flex items-center gap-2 rounded-lg border px-2 py-1 text-sm dark:border-gray-600 ${
+                    item.id === editing?.id ? "bg-accent dark:bg-gray-700" : ""
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="activeChallenge"
+                    checked={item.id === activeChallengeId}
+                    onChange={() => onSelectActive(item.id)}
+                    title={t("challenges.use")}
+                  />
+                  <button className="flex-1 truncate text-left" onClick={() => setEditingId(item.id)}>{item.name || t("common.untitled")}</button>
+                  <button className="px-1 disabled:opacity-30" disabled={challenges.length <= 1} onClick={() => handleDelete(item)} title={t("common.delete")}>🗑️</button>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-muted-foreground">{t("challenges.activeHint")}</p>
+          </div>
+
+          {/* Edición del reto seleccionado */}
+          {editing && (
+            <div className="space-y-3">
+              <div className="space-y-1">
+                <label className="text-sm font-medium">{t("common.name")}</label>
+                <input
+                  className="w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                  value={editing.name}
+                  onChange={(e) => onUpdate({ ...editing, name: e.target.value })}
+                />
+              </div>
+              <div className="flex gap-3">
+                <div className="flex-1 space-y-1">
+                  <label className="text-sm font-medium">{t("challenges.startDate")}</label>
+                  <input
+                    type="date"
+                    className="w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                    value={editing.startDate}
+                    min={`${year}-01-01`}
+                    max={`${year}-12-31`}
+                    onChange={(e) => e.target.value && onUpdate({ ...editing, startDate: e.target.value })}
+                  />
+                </div>
+                <div className="w-32 space-y-1">
+                  <label className="text-sm font-medium">{t("challenges.length")}</label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={366}
+                    className="w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                    value={editing.length}
+                    onChange={(e) => handleLengthChange(e.target.value)}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-muted-foreground">{t("challenges.datesHint")}</p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
+          <button
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            onClick={onClose}
+          >
+            {t("common.done")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
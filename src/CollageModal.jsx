@@ -0,0 +1,205 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+import { weekdayLabels } from "./i18n/index.js";
+import { COLLAGE_PRESETS, computeCollageLayout, renderCollage } from "./collage.js";
+
+const PREVIEW_SCALE = 0.2;
+
+/**
+ * Generador de collage del reto (modal). `candidates[día - 1]`: [{ id, blob, thumbnail }] con la portada primero;
+ * el usuario elige qué imagen representa cada día haciendo clic en su miniatura.
+ */
+export default function CollageModal({ challenge, startDow, prompts, candidates, defaultDark, onClose }) {
+  const { t, locale, weekStart } = useI18n();
+  const [presetId, setPresetId] = useState(COLLAGE_PRESETS[0].id);
+  const [showDay, setShowDay] = useState(true);
+  const [showPrompt, setShowPrompt] = useState(true);
+  const [dark, setDark] = useState(defaultDark);
+  const [type, setType] = useState("image/png");
+  const [picks, setPicks] = useState({}); // día → índice en candidates
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const bitmapsRef = useRef(new Map()); // id → Promise<ImageBitmap>
+
+  // Miniaturas de todas las candidatas mientras el modal está abierto
+  const [thumbs, setThumbs] = useState(() => new Map());
+  useEffect(() => {
+    const map = new Map();
+    candidates.flat().forEach((c) => map.set(c.id, URL.createObjectURL(c.thumbnail || c.blob)));
+    setThumbs(map);
+    return () => map.forEach((u) => URL.revokeObjectURL(u));
+  }, [candidates]);
+  useEffect(
+    () => () => {
+      bitmapsRef.current.forEach((p) => p.then((b) => b?.close?.()).catch(() => {}));
+      bitmapsRef.current.clear();
+    },
+    []
+  );
+
+  const layout = useMemo(
+    () => computeCollageLayout({ length: challenge.length, startDow, weekStart, weekdayLabels: weekdayLabels(locale, weekStart) }, presetId),
+    [challenge.length, startDow, weekStart, locale, presetId]
+  );
+  const chosen = candidates.map((list, i) => list[picks[i + 1] ?? 0] || null);
+  const chosenKey = chosen.map((c) => c?.id || "").join("|");
+
+  function bitmapFor(candidate) {
+    if (!bitmapsRef.current.has(candidate.id)) {
+      bitmapsRef.current.set(candidate.id, createImageBitmap(candidate.blob).catch(() => null));
+    }
+    return bitmapsRef.current.get(candidate.id);
+  }
+
+  async function render(scale) {
+    const bitmaps = new Map();
+    await Promise.all(
+      chosen.map(async (c, i) => {
+        const bitmap = c ? await bitmapFor(c) : null;
+        if (bitmap) bitmaps.set(i + 1, bitmap);
+      })
+    );
+    return renderCollage(layout, bitmaps, { title: challenge.name, prompts, showDay, showPrompt, dark, scale, type });
+  }
+
+  // Vista previa reducida al cambiar cualquier opción
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+    render(PREVIEW_SCALE)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreviewUrl(url);
+      })
+      .catch((err) => console.warn("Error generando la vista previa del collage:", err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [layout, chosenKey, showDay, showPrompt, dark, type]);
+
+  async function handleExport() {
+    setBusy(true);
+    try {
+      const blob = await render(1);
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `promptober-collage-${challenge.startDate}.${type === "image/png" ? "png" : "jpg"}`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      alert(t("collage.error", { message: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function cyclePick(day) {
+    const count = candidates[day - 1].length;
+    if (count < 2) return;
+    setPicks((p) => ({ ...p, [day]: ((p[day] ?? 0) + 1) % count }));
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-5xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("collage.title", { name: challenge.name })}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-5 text-sm">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("collage.layout")}</label>
+              <select
+                className="block rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                value={presetId}
+                onChange={(e) => setPresetId(e.target.value)}
+              >
+                {COLLAGE_PRESETS.map((p) => (
+                  <option key={p.id} value={p.id}>{t(`collage.presets.${p.id}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("collage.format")}</label>
+              <select
+                className="block rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+              >
+                <option value="image/png">PNG</option>
+                <option value="image/jpeg">JPEG</option>
+              </select>
+            </div>
+            <label className="inline-flex items-center gap-2">
+              <input type="checkbox" checked={showDay} onChange={(e) => setShowDay(e.target.checked)} /> {t("collage.dayNumber")}
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input type="checkbox" checked={showPrompt} onChange={(e) => setShowPrompt(e.target.checked)} /> {t("collage.prompt")}
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input type="checkbox" checked={dark} onChange={(e) => setDark(e.target.checked)} /> {t("collage.darkBackground")}
+            </label>
+            <span className="text-xs text-muted-foreground">{layout.width} × {layout.height} px</span>
+          </div>
+
+          {previewUrl ? (
+            <img src={previewUrl} alt={t("collage.previewAlt")} className="mx-auto max-h-[45vh] rounded border dark:border-gray-600" />
+          ) : (
+            <p className="text-muted-foreground">{t("collage.generatingPreview")}</p>
+          )}
+
+          <div>
+            <h3 className="mb-1 font-semibold">{t("collage.dayImage")}</h3>
+            <p className="mb-2 text-xs text-muted-foreground">{t("collage.pickHint")}</p>
+            <div className="grid grid-cols-7 gap-1 sm:grid-cols-10 md:grid-cols-12">
+              {candidates.map((list, i) => {
+                const pick = chosen[i];
+                return (
+                  <button
+                    key={i}
+                    className="relative aspect-square overflow-hidden rounded border bg-gray-100 dark:bg-gray-700 dark:border-gray-600 disabled:cursor-default"
+                    disabled={list.length < 2}
+                    onClick={() => cyclePick(i + 1)}
+                    title={
+                      list.length
+                        ? t("collage.tileTitle", { day: i + 1, index: (picks[i + 1] ?? 0) + 1, total: list.length })
+                        : t("collage.tileTitleEmpty", { day: i + 1 })
+                    }
+                  >
+                    {pick && <img src={thumbs.get(pick.id)} alt="" className="h-full w-full object-cover" />}
+                    <span className="absolute left-0.5 top-0.5 rounded bg-black/60 px-1 text-[10px] text-white">{i + 1}</span>
+                    {list.length > 1 && <span className="absolute bottom-0.5 right-0.5 rounded bg-black/60 px-1 text-[10px] text-white">{(picks[i + 1] ?? 0) + 1}/{list.length}</span>}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-end gap-2 p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
+          <button className="rounded-lg border px-4 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={onClose}>
+            {t("common.close")}
+          </button>
+          <button
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-40"
+            disabled={busy}
+            onClick={handleExport}
+          >
+            {busy ? t("collage.generating") : t("collage.download")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
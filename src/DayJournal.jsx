@@ -0,0 +1,114 @@
+import React, { useMemo, useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+import { renderMarkdown } from "./markdown.js";
+
+// Journal type definition (DayState.journal, opcional)
+// {
+//   notes: string; // Markdown
+//   tags: string[];
+//   tool: string; // herramienta o modelo
+//   generationPrompt: string; // prompt de texto enviado al generador
+//   seed: string;
+//   settings: string; // pasos, CFG, tamaño…
+// }
+export const EMPTY_JOURNAL = { notes: "", tags: [], tool: "", generationPrompt: "", seed: "", settings: "" };
+
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#/, "").toLowerCase();
+}
+
+const inputClass = "w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm";
+
+/**
+ * Diario del día dentro de la tarjeta superior: notas en Markdown (editar / vista previa),
+ * etiquetas clicables y detalles de generación. Cada cambio llama a `onChange(patch)`.
+ */
+export default function DayJournal({ journal, onChange, onTagClick, activeTag }) {
+  const { t } = useI18n();
+  const j = { ...EMPTY_JOURNAL, ...journal };
+  const [editing, setEditing] = useState(!j.notes);
+  const [tagInput, setTagInput] = useState("");
+  const notesHTML = useMemo(() => renderMarkdown(j.notes), [j.notes]);
+
+  function addTags(text) {
+    const next = text.split(",").map(normalizeTag).filter(Boolean);
+    if (next.length) onChange({ tags: Array.from(new Set([...j.tags, ...next])) });
+    setTagInput("");
+  }
+
+  return (
+    <details className="mt-4 rounded-xl border dark:border-gray-700 p-3" open={!!(j.notes || j.tags.length || j.tool)}>
+      <summary className="cursor-pointer text-sm font-medium">{t("journal.title")}</summary>
+
+      <div className="mt-3 grid gap-4 md:grid-cols-2">
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="text-sm font-medium">{t("journal.notes")}</label>
+            <button className="text-xs text-blue-600 dark:text-blue-400 hover:underline" onClick={() => setEditing((v) => !v)}>
+              {editing ? t("journal.preview") : t("journal.edit")}
+            </button>
+          </div>
+          {editing ? (
+            <textarea
+              className={`min-h-[140px] ${inputClass}`}
+              placeholder={t("journal.notesPlaceholder")}
+              value={j.notes}
+              onChange={(e) => onChange({ notes: e.target.value })}
+            />
+          ) : j.notes ? (
+            <div className="min-h-[140px] space-y-2 rounded-lg border dark:border-gray-600 px-3 py-2 text-sm" dangerouslySetInnerHTML={{ __html: notesHTML }} />
+          ) : (
+            <p className="text-xs text-muted-foreground">{t("journal.noNotes")}</p>
+          )}
+
+          <label className="text-sm font-medium">{t("journal.tags")}</label>
+          <div className="flex flex-wrap items-center gap-1">
+            {j.tags.map((tag) => (
+              <span
+                key={tag}
+                className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs dark:border-gray-600 ${activeTag === tag ? "bg-blue-600 text-white border-blue-600" : ""}`}
+              >
+                <button onClick={() => onTagClick(tag)} title={t("journal.filterByTag")}>#{tag}</button>
+                <button className="opacity-60 hover:opacity-100" onClick={() => onChange({ tags: j.tags.filter((other) => other !== tag) })} title={t("journal.removeTag")}>
+                  ✕
+                </button>
+              </span>
+            ))}
+            <input
+              className="min-w-[8rem] flex-1 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-2 py-1 text-xs"
+              placeholder={t("journal.addTag")}
+              value={tagInput}
+              onChange={(e) => (e.target.value.endsWith(",") ? addTags(e.target.value) : setTagInput(e.target.value))}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") addTags(tagInput);
+              }}
+              onBlur={() => tagInput && addTags(tagInput)}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="text-sm font-medium">{t("journal.tool")}</label>
+          <input className={inputClass} placeholder={t("journal.toolPlaceholder")} value={j.tool} onChange={(e) => onChange({ tool: e.target.value })} />
+          <label className="text-sm font-medium">{t("journal.generationPrompt")}</label>
+          <textarea
+            className={`min-h-[60px] ${inputClass}`}
+            placeholder={t("journal.generationPromptPlaceholder")}
+            value={j.generationPrompt}
+            onChange={(e) => onChange({ generationPrompt: e.target.value })}
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("journal.seed")}</label>
+              <input className={inputClass} value={j.seed} onChange={(e) => onChange({ seed: e.target.value })} />
+            </div>
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("journal.settings")}</label>
+              <input className={inputClass} placeholder={t("journal.settingsPlaceholder")} value={j.settings} onChange={(e) => onChange({ settings: e.target.value })} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </details>
+  );
+}
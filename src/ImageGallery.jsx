@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+
+/**
+ * Galería del día: arrastrar para reordenar, favorita (portada), ocultar sin borrar
+ * y pie de foto / texto alternativo por imagen. Recibe la galería ya ordenada (ver gallery.js).
+ */
+export default function ImageGallery({ gallery, coverId, onOpen, onUpdate, onMove, onRemoveLocal }) {
+  const { t } = useI18n();
+  const [showHidden, setShowHidden] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [dragId, setDragId] = useState(null);
+  const [dropId, setDropId] = useState(null);
+
+  const hiddenCount = gallery.filter((g) => g.hidden).length;
+  const shown = showHidden ? gallery : gallery.filter((g) => !g.hidden);
+
+  return (
+    <div className="mt-4">
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-3 md:grid-cols-4">
+        {shown.map((img) => (
+          <div
+            key={img.id}
+            className={`relative rounded-xl ${dropId === img.id && dragId !== img.id ? "ring-2 ring-blue-500" : ""} ${img.hidden ? "opacity-40" : ""}`}
+            draggable
+            onDragStart={(e) => {
+              setDragId(img.id);
+              e.dataTransfer.effectAllowed = "move";
+            }}
+            onDragOver={(e) => {
+              if (!dragId) return;
+              e.preventDefault();
+              setDropId(img.id);
+            }}
+            onDrop={(e) => {
+              if (!dragId) return;
+              e.preventDefault();
+              e.stopPropagation();
+              onMove(dragId, img.id);
+              setDragId(null);
+              setDropId(null);
+            }}
+            onDragEnd={() => {
+              setDragId(null);
+              setDropId(null);
+            }}
+          >
+            <button onClick={() => !img.hidden && onOpen(img.id)} className="group w-full overflow-hidden rounded-xl border bg-muted/30">
+              <img
+                src={img.thumb || img.src}
+                alt={img.alt || img.caption || ""}
+                loading="lazy"
+                decoding="async"
+                className="h-36 w-full object-cover transition-transform duration-200 group-hover:scale-105"
+              />
+            </button>
+            {img.id === coverId && (
+              <span className="pointer-events-none absolute left-1 top-1 rounded-full bg-yellow-400 px-2 py-0.5 text-[10px] font-semibold text-black">{t("gallery.cover")}</span>
+            )}
+            <div className="absolute right-1 top-1 flex gap-1">
+              <button
+                className="rounded-full bg-black/60 px-2 py-0.5 text-xs text-white hover:bg-black/80"
+                onClick={() => onUpdate(img.id, { favorite: !img.favorite })}
+                title={img.favorite ? t("gallery.unfavorite") : t("gallery.favorite")}
+              >
+                {img.favorite ? "★" : "☆"}
+              </button>
+              <button
+                className="rounded-full bg-black/60 px-2 py-0.5 text-xs text-white hover:bg-black/80"
+                onClick={() => onUpdate(img.id, { hidden: !img.hidden })}
+                title={img.hidden ? t("gallery.showImage") : t("gallery.hideImage")}
+              >
+                {img.hidden ? t("gallery.show") : t("gallery.hide")}
+              </button>
+              <button
+                className="rounded-full bg-black/60 px-2 py-0.5 text-xs text-white hover:bg-black/80"
+                onClick={() => setEditingId((id) => (id === img.id ? null : img.id))}
+                title={t("gallery.editCaption")}
+              >
+                ✎
+              </button>
+              {img.source === "local" && (
+                <button
+                  className="rounded-full bg-black/60 px-2 py-0.5 text-xs text-white hover:bg-black/80"
+                  onClick={() => onRemoveLocal(img.url)}
+                  title={t("gallery.removeLocal")}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+            {editingId === img.id ? (
+              <div className="mt-1 space-y-1">
+                <input
+                  className="w-full rounded border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-2 py-1 text-xs"
+                  placeholder={t("gallery.caption")}
+                  value={img.caption}
+                  onChange={(e) => onUpdate(img.id, { caption: e.target.value })}
+                />
+                <input
+                  className="w-full rounded border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-2 py-1 text-xs"
+                  placeholder={t("gallery.alt")}
+                  value={img.alt}
+                  onChange={(e) => onUpdate(img.id, { alt: e.target.value })}
+                />
+              </div>
+            ) : (
+              img.caption && <p className="mt-1 truncate text-xs text-muted-foreground" title={img.caption}>{img.caption}</p>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-3 text-xs text-muted-foreground">
+        <span>{t("gallery.dragHint")}</span>
+        {hiddenCount > 0 && (
+          <button className="text-blue-600 dark:text-blue-400 hover:underline" onClick={() => setShowHidden((v) => !v)}>
+            {showHidden ? t("gallery.collapseHidden") : t("gallery.showHidden", { count: hiddenCount })}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from "react";
+import { useI18n } from "./LanguageContext.jsx";
+import { MERGE_STRATEGIES } from "./importDays.js";
+
+function DayList({ title, days, className }) {
+  if (!days.length) return null;
+  return (
+    <div>
+      <h3 className={`mb-1 font-semibold ${className}`}>{title} ({days.length})</h3>
+      <div className="flex flex-wrap gap-1">
+        {days.map((d) => (
+          <span key={d.id} className="rounded border px-1.5 py-0.5 text-xs dark:border-gray-600" title={d.tweetUrl || ""}>
+            {d.id}{d.done ? " ✓" : ""}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Vista previa de importación (dry-run): errores de validación, días añadidos / cambiados / en conflicto
+ * y elección de estrategia. No escribe nada hasta que se llama a `onConfirm`.
+ */
+export default function ImportPreviewModal({ preview, onStrategyChange, onConfirm, onClose }) {
+  const { t } = useI18n();
+  const { fileName, validation, diff, strategy, writeCount } = preview;
+  const importable = !validation.fatal && diff && diff.added.length + diff.changed.length + diff.conflicts.length > 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-2xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("importPreview.title", { fileName })}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-4 text-sm">
+          {validation.errors.length > 0 && (
+            <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-3">
+              <p className="font-semibold text-red-800 dark:text-red-200 mb-2">
+                {validation.fatal ? t("importPreview.invalidFile") : t("importPreview.invalidEntries")}
+              </p>
+              <ul className="list-disc list-inside space-y-1 text-red-700 dark:text-red-300">
+                {validation.errors.slice(0, 20).map((err, i) => (
+                  <li key={i}>{err}</li>
+                ))}
+                {validation.errors.length > 20 && <li>{t("importPreview.moreErrors", { count: validation.errors.length - 20 })}</li>}
+              </ul>
+            </div>
+          )}
+
+          {diff && (
+            <>
+              <DayList title={t("importPreview.added")} days={diff.added} className="text-green-600 dark:text-green-400" />
+              <DayList title={t("importPreview.changed")} days={diff.changed} className="text-blue-600 dark:text-blue-400" />
+              <DayList title={t("importPreview.conflicts")} days={diff.conflicts} className="text-orange-600 dark:text-orange-400" />
+              {diff.unchanged.length > 0 && (
+                <p className="text-xs text-muted-foreground">{t("importPreview.unchanged", { count: diff.unchanged.length })}</p>
+              )}
+
+              {importable && (
+                <div>
+                  <h3 className="mb-1 font-semibold">{t("importPreview.strategy")}</h3>
+                  <div className="space-y-1">
+                    {MERGE_STRATEGIES.map((id) => (
+                      <label key={id} className="flex items-start gap-2">
+                        <input type="radio" name="importStrategy" className="mt-1" checked={strategy === id} onChange={() => onStrategyChange(id)} />
+                        <span>
+                          <strong>{t(`importPreview.strategies.${id}.label`)}</strong>{" "}
+                          <span className="text-xs text-muted-foreground">— {t(`importPreview.strategies.${id}.hint`)}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
+          <span className="text-xs text-muted-foreground">{importable ? t("importPreview.willWrite", { count: writeCount }) : t("importPreview.nothing")}</span>
+          <div className="flex gap-2">
+            <button className="rounded-lg border px-4 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={onClose}>
+              {t("importPreview.cancel")}
+            </button>
+            <button
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-40"
+              disabled={!importable || writeCount === 0}
+              onClick={onConfirm}
+            >
+              {t("importPreview.import")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { LANGUAGES, detectLanguage, firstDayOfWeek, resolveLocale, translate } from './i18n/index.js';
+
+const LanguageContext = createContext();
+
+export function useI18n() {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useI18n debe ser usado dentro de un LanguageProvider');
+  }
+  return context;
+}
+
+export function LanguageProvider({ children }) {
+  const [language, setLanguage] = useState(() => {
+    // Verificar si hay un idioma guardado en localStorage
+    const saved = localStorage.getItem('language');
+    if (LANGUAGES.some((l) => l.id === saved)) {
+      return saved;
+    }
+    // Si no hay idioma guardado, usar el del navegador
+    return detectLanguage();
+  });
+
+  useEffect(() => {
+    // Idioma del documento (lectores de pantalla, separación de palabras)
+    document.documentElement.lang = language;
+
+    // Guardar la preferencia en localStorage
+    localStorage.setItem('language', language);
+  }, [language]);
+
+  const value = useMemo(() => {
+    const locale = resolveLocale(language);
+    return {
+      language,
+      locale,
+      weekStart: firstDayOfWeek(locale),
+      setLanguage,
+      t: (key, vars) => translate(language, locale, key, vars),
+    };
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+}
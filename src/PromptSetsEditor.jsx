@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+
+/**
+ * Editor de sets de prompts (modal).
+ * No toca IndexedDB directamente: todos los cambios se delegan en los callbacks de PromptoberApp.
+ */
+export default function PromptSetsEditor({ year, length, sets, activeSetId, onClose, onCreate, onUpdate, onDelete, onMove, onSelectActive }) {
+  const { t } = useI18n();
+  const [editingId, setEditingId] = useState(activeSetId ?? sets[0]?.id);
+  const editing = sets.find((s) => s.id === editingId) || sets[0];
+
+  async function handleCreate(source) {
+    const set = await onCreate(source);
+    setEditingId(set.id);
+  }
+
+  async function handleDelete(set) {
+    if (sets.length <= 1) return;
+    if (!confirm(t("promptSets.confirmDelete", { name: set.name }))) return;
+    await onDelete(set.id);
+    if (set.id === editingId) setEditingId(sets.find((s) => s.id !== set.id)?.id);
+  }
+
+  function handlePromptChange(index, value) {
+    const prompts = Array.from({ length: Math.max(length, editing.prompts.length) }, (_, i) => editing.prompts[i] ?? "");
+    prompts[index] = value;
+    onUpdate({ ...editing, prompts });
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-4xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("promptSets.title")}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="grid min-h-0 flex-1 gap-4 overflow-hidden p-6 md:grid-cols-[260px_1fr]">
+          {/* Lista de sets */}
+          <div className="flex min-h-0 flex-col gap-2">
+            <div className="flex gap-2">
+              <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => handleCreate(null)}>{t("promptSets.create")}</button>
+              {editing && (
+                <button className="rounded-lg border px-3 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700" onClick={() => handleCreate(editing)}>{t("promptSets.duplicate")}</button>
+              )}
+            </div>
+            <ul className="min-h-0 space-y-1 overflow-y-auto">
+              {sets.map((set, i) => (
+                <li
+                  key={set.id}
+                  className={`flex items-center gap-2 rounded-lg border px-2 py-1 text-sm dark:border-gray-600 ${
+                    set.id === editing?.id ? "bg-accent dark:bg-gray-700" : ""
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="activePromptSet"
+                    checked={set.id === activeSetId}
+                    onChange={() => onSelectActive(set.id)}
+                    title={t("promptSets.useIn", { year })}
+                  />
+                  <button className="flex-1 truncate text-left" onClick={() => setEditingId(set.id)}>{set.name || t("common.untitled")}</button>
+                  <button className="px-1 disabled:opacity-30" disabled={i === 0} onClick={() => onMove(set.id, -1)} title={t("promptSets.moveUp")}>↑</button>
+                  <button className="px-1 disabled:opacity-30" disabled={i === sets.length - 1} onClick={() => onMove(set.id, 1)} title={t("promptSets.moveDown")}>↓</button>
+                  <button className="px-1 disabled:opacity-30" disabled={sets.length <= 1} onClick={() => handleDelete(set)} title={t("common.delete")}>🗑️</button>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-muted-foreground">{t("promptSets.activeHint", { year })}</p>
+          </div>
+
+          {/* Edición del set seleccionado */}
+          {editing && (
+            <div className="flex min-h-0 flex-col gap-3">
+              <label className="text-sm font-medium">{t("common.name")}</label>
+              <input
+                className="w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                value={editing.name}
+                onChange={(e) => onUpdate({ ...editing, name: e.target.value })}
+              />
+              <div className="min-h-0 space-y-1 overflow-y-auto pr-1">
+                {/* Una fila por día del reto activo */}
+                {Array.from({ length }, (_, i) => (
+                  <div key={i} className="flex items-center gap-2">
+                    <span className="w-14 flex-shrink-0 text-xs text-muted-foreground">{t("common.dayN", { day: i + 1 })}</span>
+                    <input
+                      className="w-full rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-2 py-1 text-sm"
+                      value={editing.prompts[i] ?? ""}
+                      onChange={(e) => handlePromptChange(i, e.target.value)}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
+          <button
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            onClick={onClose}
+          >
+            {t("common.done")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
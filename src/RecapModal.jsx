@@ -0,0 +1,235 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+import { RECAP_SIZES, RECAP_TRANSITIONS, canRecordWebM, drawRecapFrame, recapDuration, recapFrameAt, recordWebM, renderGif } from "./recap.js";
+
+const GIF_MAX_SIDE = 360;
+const GIF_FPS = 8;
+
+/**
+ * Vídeo resumen del reto (modal): vista previa en bucle, duración y transición configurables,
+ * grabación WebM con MediaRecorder o GIF animado como alternativa. `slides`: [{ label, caption, blob }].
+ */
+export default function RecapModal({ challenge, slides, onClose }) {
+  const { t, locale } = useI18n();
+  const [slideMs, setSlideMs] = useState(2500);
+  const [transitionMs, setTransitionMs] = useState(600);
+  const [transition, setTransition] = useState(RECAP_TRANSITIONS[0]);
+  const [sizeId, setSizeId] = useState(RECAP_SIZES[0].id);
+  const [bitmaps, setBitmaps] = useState(null);
+  const [job, setJob] = useState(null); // { label, progress }
+  const canvasRef = useRef(null);
+  const recordingRef = useRef(false);
+  const jobAbortRef = useRef(null); // cancela la grabación en curso si el modal se cierra (p. ej. con Escape)
+
+  const size = RECAP_SIZES.find((s) => s.id === sizeId);
+  const timing = { slideMs, transitionMs: Math.min(transitionMs, slideMs), transition };
+  const duration = recapDuration(slides.length, slideMs);
+
+  // Decodificar las imágenes una vez
+  useEffect(() => {
+    let cancelled = false;
+    let decoded = [];
+    Promise.all(slides.map((s) => createImageBitmap(s.blob).catch(() => null))).then((list) => {
+      decoded = list;
+      if (cancelled) list.forEach((b) => b?.close());
+      else setBitmaps(list);
+    });
+    return () => {
+      cancelled = true;
+      decoded.forEach((b) => b?.close());
+    };
+  }, [slides]);
+
+  function drawAt(ctx, ms, width, height) {
+    drawRecapFrame(ctx, recapFrameAt(ms, slides.length, timing), slides, bitmaps, { width, height, transition });
+  }
+
+  useEffect(() => () => jobAbortRef.current?.abort(), []);
+
+  // Vista previa en bucle (se pausa mientras se graba, que pinta el mismo canvas)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !bitmaps || !slides.length) return undefined;
+    const ctx = canvas.getContext("2d");
+    const start = performance.now();
+    let frame = requestAnimationFrame(function loop(now) {
+      if (!recordingRef.current) drawAt(ctx, (now - start) % duration, size.width, size.height);
+      frame = requestAnimationFrame(loop);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [bitmaps, slideMs, transitionMs, transition, sizeId]);
+
+  function download(blob, ext) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `promptober-resumen-${challenge.startDate}.${ext}`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  async function handleWebM() {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    const controller = new AbortController();
+    jobAbortRef.current = controller;
+    recordingRef.current = true;
+    setJob({ label: t("recap.recordingWebM"), progress: 0 });
+    try {
+      const blob = await recordWebM(canvas, (ms) => drawAt(ctx, ms, size.width, size.height), duration, {
+        onProgress: (progress) => setJob({ label: t("recap.recordingWebM"), progress }),
+        signal: controller.signal,
+      });
+      download(blob, "webm");
+    } catch (err) {
+      if (!controller.signal.aborted) alert(t("recap.webmError", { message: err.message }));
+    } finally {
+      recordingRef.current = false;
+      setJob(null);
+    }
+  }
+
+  async function handleGif() {
+    const scale = GIF_MAX_SIDE / Math.max(size.width, size.height);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(size.width * scale);
+    canvas.height = Math.round(size.height * scale);
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    const controller = new AbortController();
+    jobAbortRef.current = controller;
+    setJob({ label: t("recap.generatingGif"), progress: 0 });
+    try {
+      const blob = await renderGif(canvas, (ms) => drawAt(ctx, ms, canvas.width, canvas.height), duration, {
+        fps: GIF_FPS,
+        onProgress: (progress) => setJob({ label: t("recap.generatingGif"), progress }),
+        signal: controller.signal,
+      });
+      download(blob, "gif");
+    } catch (err) {
+      if (!controller.signal.aborted) alert(t("recap.gifError", { message: err.message }));
+    } finally {
+      setJob(null);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={job ? undefined : onClose}>
+      <div className="mx-auto w-full max-w-4xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("recap.title", { name: challenge.name })}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl disabled:opacity-40"
+            onClick={onClose}
+            disabled={!!job}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-5 text-sm">
+          {slides.length === 0 ? (
+            <p className="text-muted-foreground">{t("recap.empty")}</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-end gap-4">
+                <div className="space-y-1">
+                  <label className="text-xs font-medium">{t("recap.secondsPerImage")}</label>
+                  <input
+                    type="number"
+                    min={0.5}
+                    max={10}
+                    step={0.5}
+                    className="block w-28 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                    value={slideMs / 1000}
+                    onChange={(e) => setSlideMs(Math.max(500, Math.min(10000, Number(e.target.value) * 1000 || 500)))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs font-medium">{t("recap.transition")}</label>
+                  <select
+                    className="block rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                    value={transition}
+                    onChange={(e) => setTransition(e.target.value)}
+                  >
+                    {RECAP_TRANSITIONS.map((id) => (
+                      <option key={id} value={id}>{t(`recap.transitions.${id}`)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs font-medium">{t("recap.transitionDuration")}</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={3}
+                    step={0.1}
+                    disabled={transition === "cut"}
+                    className="block w-28 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm disabled:opacity-40"
+                    value={transitionMs / 1000}
+                    onChange={(e) => setTransitionMs(Math.max(0, Math.min(3000, Number(e.target.value) * 1000 || 0)))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs font-medium">{t("recap.size")}</label>
+                  <select
+                    className="block rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm"
+                    value={sizeId}
+                    onChange={(e) => setSizeId(e.target.value)}
+                  >
+                    {RECAP_SIZES.map((s) => (
+                      <option key={s.id} value={s.id}>{t(`recap.sizes.${s.id}`, { width: s.width, height: s.height })}</option>
+                    ))}
+                  </select>
+                </div>
+                <span className="text-xs text-muted-foreground">
+                  {t("recap.summary", {
+                    count: slides.length,
+                    seconds: (duration / 1000).toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+                  })}
+                </span>
+              </div>
+
+              <canvas ref={canvasRef} width={size.width} height={size.height} className="mx-auto max-h-[45vh] max-w-full rounded border bg-black dark:border-gray-600" />
+              {!bitmaps && <p className="text-center text-muted-foreground">{t("recap.preparing")}</p>}
+
+              {job && (
+                <div>
+                  <div className="mb-1 flex justify-between text-xs">
+                    <span>{job.label}…</span>
+                    <span>{Math.round(job.progress * 100)}%</span>
+                  </div>
+                  <div className="h-2 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+                    <div className="h-full bg-blue-600" style={{ width: `${job.progress * 100}%` }} />
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-2 p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
+          <span className="text-xs text-muted-foreground">
+            {canRecordWebM() ? t("recap.webmHint") : t("recap.webmUnsupported")}
+          </span>
+          <div className="flex gap-2">
+            <button
+              className="rounded-lg border px-4 py-2 text-sm hover:bg-accent dark:border-gray-600 dark:hover:bg-gray-700 disabled:opacity-40"
+              disabled={!bitmaps || !slides.length || !!job}
+              onClick={handleGif}
+            >
+              {t("recap.gif")}
+            </button>
+            <button
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-40"
+              disabled={!bitmaps || !slides.length || !!job || !canRecordWebM()}
+              onClick={handleWebM}
+            >
+              {t("recap.webm")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
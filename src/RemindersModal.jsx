@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { useI18n } from "./LanguageContext.jsx";
+
+/**
+ * Ajustes del recordatorio diario (modal): activar/desactivar, hora del aviso y minutos al posponer.
+ * `permission`: estado de Notification.permission ("unsupported" si el navegador no tiene la API).
+ */
+export default function RemindersModal({ settings, permission, onSave, onTest, onClose }) {
+  const { t } = useI18n();
+  const [enabled, setEnabled] = useState(settings.enabled);
+  const [time, setTime] = useState(settings.time);
+  const [snoozeMinutes, setSnoozeMinutes] = useState(settings.snoozeMinutes);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-lg max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("reminders.settingsTitle")}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-4 text-sm">
+          <p className="text-muted-foreground">{t("reminders.settingsIntro")}</p>
+          {permission === "unsupported" && <p className="text-orange-600 dark:text-orange-400">{t("reminders.unsupported")}</p>}
+          {permission === "denied" && <p className="text-orange-600 dark:text-orange-400">{t("reminders.denied")}</p>}
+
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+            {t("reminders.enable")}
+          </label>
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("reminders.time")}</label>
+              <input
+                type="time"
+                className="block w-32 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm disabled:opacity-40"
+                value={time}
+                disabled={!enabled}
+                onChange={(e) => setTime(e.target.value)}
+              />
+            </div>
+            <div className="space-y-1">
+              <label className="text-xs font-medium">{t("reminders.snoozeMinutes")}</label>
+              <input
+                type="number"
+                min={5}
+                max={720}
+                className="block w-32 rounded-lg border bg-background dark:bg-gray-700 dark:border-gray-600 dark:text-gray-100 px-3 py-2 text-sm disabled:opacity-40"
+                value={snoozeMinutes}
+                disabled={!enabled}
+                onChange={(e) => setSnoozeMinutes(Math.max(5, Math.min(720, Number(e.target.value) || 5)))}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-2 p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 flex-shrink-0">
+          <button className="text-xs text-blue-600 dark:text-blue-400 hover:underline" onClick={onTest}>
+            {t("reminders.test")}
+          </button>
+          <button
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            onClick={() => onSave({ enabled, time: time || settings.time, snoozeMinutes })}
+          >
+            {t("common.save")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import React from "react";
+import { useI18n } from "./LanguageContext.jsx";
+import { weekdayLabels } from "./i18n/index.js";
+import { computeChallengeStats, computeYearComparison } from "./stats.js";
+
+// Gráfico de barras mínimo en SVG (sin librerías). `highlight` resalta una barra.
+function BarChart({ values, labels, height = 96, highlight = -1, format = (v) => v }) {
+  const max = Math.max(1, ...values);
+  const barWidth = 100 / values.length;
+  return (
+    <svg viewBox={`0 0 100 ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+      {values.map((v, i) => {
+        const h = (v / max) * (height - 14);
+        return (
+          <g key={i}>
+            <title>{`${labels[i]}: ${format(v)}`}</title>
+            <rect
+              x={i * barWidth + barWidth * 0.15}
+              y={height - 12 - h}
+              width={barWidth * 0.7}
+              height={h}
+              rx={0.8}
+              className={i === highlight ? "fill-green-500" : "fill-blue-500 dark:fill-blue-400"}
+            />
+            {values.length <= 16 && (
+              <text x={i * barWidth + barWidth / 2} y={height - 2} textAnchor="middle" fontSize="6" className="fill-gray-500 dark:fill-gray-400">
+                {labels[i]}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="rounded-xl border p-3 dark:border-gray-600">
+      <div className="text-xs text-muted-foreground">{label}</div>
+      <div className="text-2xl font-semibold">{value}</div>
+      {hint && <div className="text-xs text-muted-foreground">{hint}</div>}
+    </div>
+  );
+}
+
+/**
+ * Panel de estadísticas (modal) del reto activo + comparativa entre años.
+ * `entries` y `summary` los prepara PromptoberApp a partir de IndexedDB.
+ */
+export default function StatsPanel({ year, challenge, entries, summary, onClose }) {
+  const { t, locale, weekStart } = useI18n();
+  const stats = computeChallengeStats(entries, new Date(), weekStart);
+  const years = computeYearComparison(summary);
+  const weekdays = weekdayLabels(locale, weekStart);
+  const weekdayNames = weekdayLabels(locale, weekStart, "long");
+  const percentFormat = new Intl.NumberFormat(locale, { style: "percent" });
+  const percent = (value) => percentFormat.format(value);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="mx-auto w-full max-w-3xl max-h-[90vh] rounded-lg bg-white dark:bg-gray-800 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* Header fijo */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <h2 className="text-xl font-semibold">{t("stats.title", { name: challenge.name })}</h2>
+          <button
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 text-xl"
+            onClick={onClose}
+            title={t("common.closeEscape")}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="overflow-y-auto p-6 space-y-6 text-sm">
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+            <StatCard label={t("stats.completed")} value={percent(stats.completionRate)} hint={t("stats.doneOfTotal", { done: stats.doneCount, count: stats.total })} />
+            <StatCard label={t("stats.onTrack")} value={percent(stats.elapsedRate)} hint={t("stats.elapsedDays", { count: stats.elapsed })} />
+            <StatCard label={t("stats.currentStreak")} value={stats.currentStreak} hint={t("stats.bestStreak", { count: stats.longestStreak })} />
+            <StatCard label={t("stats.missed")} value={stats.missed} />
+            <StatCard
+              label={t("stats.imagesPerDay")}
+              value={stats.imagesPerDoneDay.toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+              hint={t("stats.totalImages", { count: stats.totalImages })}
+            />
+            <StatCard label={t("stats.bestWeekday")} value={stats.bestWeekday >= 0 ? weekdayNames[stats.bestWeekday] : "—"} />
+          </div>
+
+          <div>
+            <h3 className="mb-2 font-semibold">{t("stats.imagesPerDay")}</h3>
+            <BarChart values={stats.imageCounts} labels={entries.map((e) => t("common.dayN", { day: e.day }))} />
+          </div>
+
+          <div>
+            <h3 className="mb-2 font-semibold">{t("stats.byWeekday")}</h3>
+            <BarChart values={stats.byWeekday} labels={weekdays} highlight={stats.bestWeekday} />
+          </div>
+
+          {years.length > 1 && (
+            <div>
+              <h3 className="mb-2 font-semibold">{t("stats.yearComparison")}</h3>
+              <BarChart
+                values={years.map((y) => y.rate)}
+                labels={years.map((y) => String(y.year))}
+                format={percent}
+                highlight={years.findIndex((y) => y.year === year)}
+              />
+              <ul className="mt-2 space-y-1 text-xs text-muted-foreground">
+                {years.map((y) => (
+                  <li key={y.year}>{t("stats.yearLine", { year: y.year, done: y.done, count: y.total, percent: percent(y.rate) })}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+// ------------------------- Copia de seguridad completa (ZIP) -------------------------
+// Estructura del archivo:
+//   manifest.json        → { format, version, dbVersion, createdAt, stores: { [store]: registros[] } }
+//   blobs/<store>/<n>    → contenido de cada Blob; en el manifest el Blob se sustituye por { __blob, type }
+import { createZip, readZip } from "./zip.js";
+
+export const BACKUP_FORMAT = "promptober-backup";
+export const BACKUP_VERSION = 1;
+
+/**
+ * Empaqueta el volcado de la base de datos (`stores`: { [store]: registros[] }) en un ZIP.
+ * `onProgress(done, total)` avanza por cada archivo escrito.
+ */
+export async function buildBackup({ dbVersion, stores }, onProgress) {
+  const files = [];
+  const manifestStores = {};
+
+  Object.entries(stores).forEach(([storeName, records]) => {
+    manifestStores[storeName] = records.map((record) => {
+      const out = { ...record };
+      Object.entries(record).forEach(([field, value]) => {
+        if (value instanceof Blob) {
+          const path = `blobs/${storeName}/${files.length}`;
+          files.push({ name: path, data: value });
+          out[field] = { __blob: path, type: value.type };
+        }
+      });
+      return out;
+    });
+  });
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    dbVersion,
+    createdAt: new Date().toISOString(),
+    stores: manifestStores,
+  };
+  return createZip([{ name: "manifest.json", data: JSON.stringify(manifest) }, ...files], onProgress);
+}
+
+/**
+ * Lee un ZIP de copia y reconstruye los registros con sus Blobs.
+ * Lanza un error si el archivo no es una copia de Promptober o es de una versión más nueva.
+ */
+export async function parseBackup(file, onProgress) {
+  const entries = await readZip(file);
+  const byName = new Map(entries.map((e) => [e.name, e]));
+  const manifestEntry = byName.get("manifest.json");
+  if (!manifestEntry) throw new Error("La copia no contiene manifest.json");
+
+  const manifest = JSON.parse(await (await manifestEntry.blob()).text());
+  if (manifest?.format !== BACKUP_FORMAT) throw new Error("El archivo no es una copia de Promptober");
+  if (manifest.version > BACKUP_VERSION) throw new Error(`Copia en formato v${manifest.version}, más nuevo que el soportado (v${BACKUP_VERSION})`);
+
+  const blobCount = entries.length - 1;
+  let done = 0;
+  const stores = {};
+  for (const [storeName, records] of Object.entries(manifest.stores || {})) {
+    stores[storeName] = [];
+    for (const record of records) {
+      const out = { ...record };
+      for (const [field, value] of Object.entries(record)) {
+        if (value && typeof value === "object" && typeof value.__blob === "string") {
+          const entry = byName.get(value.__blob);
+          if (!entry) throw new Error(`Falta ${value.__blob} en la copia`);
+          const raw = await entry.blob();
+          out[field] = new Blob([raw], { type: value.type || "" });
+          onProgress?.(++done, blobCount);
+        }
+      }
+      stores[storeName].push(out);
+    }
+  }
+  return { dbVersion: manifest.dbVersion, createdAt: manifest.createdAt, stores };
+}
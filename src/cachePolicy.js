@@ -0,0 +1,31 @@
+// ------------------------- Política del cache de imágenes (funciones puras) -------------------------
+// Entrada: [{ url, size, timestamp, lastAccess }] sin blobs. Salida: URLs a borrar.
+
+export const DEFAULT_CACHE_BUDGET_MB = 500;
+export const DEFAULT_CACHE_MAX_AGE_DAYS = 365;
+
+/**
+ * Primero caducan las imágenes más antiguas que `maxAgeMs` (0 = sin caducidad) y después,
+ * si el total sigue por encima de `budgetBytes` (0 = sin límite), se borran las menos usadas (LRU).
+ */
+export function planCacheEviction(entries, { budgetBytes, maxAgeMs, now = Date.now() }) {
+  const evict = [];
+  let remaining = entries;
+
+  if (maxAgeMs > 0) {
+    remaining = [];
+    entries.forEach((e) => (now - e.timestamp > maxAgeMs ? evict.push(e.url) : remaining.push(e)));
+  }
+
+  if (budgetBytes > 0) {
+    let total = remaining.reduce((a, e) => a + e.size, 0);
+    const byLastAccess = [...remaining].sort((a, b) => (a.lastAccess ?? a.timestamp) - (b.lastAccess ?? b.timestamp));
+    for (const e of byLastAccess) {
+      if (total <= budgetBytes) break;
+      evict.push(e.url);
+      total -= e.size;
+    }
+  }
+
+  return evict;
+}
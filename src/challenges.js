@@ -0,0 +1,62 @@
+// ------------------------- Retos y fechas (funciones puras) -------------------------
+
+// Challenge type definition
+// {
+//   id: string;
+//   name: string;
+//   startDate: string; // "YYYY-MM-DD" (fecha local)
+//   length: number; // número de días del reto
+// }
+
+export function defaultChallenge(year) {
+  return { id: `october-${year}`, name: `Octubre ${year}`, startDate: `${year}-10-01`, length: 31 };
+}
+
+export function parseISODate(str) {
+  const [y, m, d] = str.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function toISODate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function challengeYear(challenge) {
+  return parseISODate(challenge.startDate).getFullYear();
+}
+
+// Fecha de calendario correspondiente al día `day` (1..length) del reto
+export function dateForDay(challenge, day) {
+  const start = parseISODate(challenge.startDate);
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + day - 1);
+}
+
+// Año natural del día `day`: un reto que cruza Año Nuevo guarda sus días de enero en el año siguiente
+export function yearForDay(challenge, day) {
+  return dateForDay(challenge, day).getFullYear();
+}
+
+// Años naturales que abarca el reto (uno, o dos si cruza Año Nuevo)
+export function challengeYears(challenge) {
+  const years = [];
+  for (let y = challengeYear(challenge); y <= yearForDay(challenge, challenge.length); y++) years.push(y);
+  return years;
+}
+
+// El id es la fecha real del día (sin ceros), compatible con los `${year}-10-${day}` de Octubre
+export function idFor(challenge, day) {
+  const date = dateForDay(challenge, day);
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Indexa por número de día los registros que pertenecen al reto
+export function mapChallengeDays(challenge, list) {
+  const byId = new Map(list.map((d) => [d.id, d]));
+  const map = {};
+  for (let day = 1; day <= challenge.length; day++) {
+    const st = byId.get(idFor(challenge, day));
+    if (st) map[day] = st;
+  }
+  return map;
+}
@@ -0,0 +1,144 @@
+// ------------------------- Collage / hoja de contactos del reto -------------------------
+// `computeCollageLayout` es puro (posiciones en píxeles); `renderCollage` dibuja en un canvas
+// y devuelve un Blob PNG/JPEG. Cada día ocupa una celda con su imagen recortada tipo "cover".
+
+// El nombre visible de cada preset está en el catálogo (`collage.presets.<id>`)
+export const COLLAGE_PRESETS = [
+  { id: "calendar", calendar: true },
+  { id: "square", columns: (n) => Math.ceil(Math.sqrt(n)) },
+  { id: "wide", columns: (n) => Math.ceil(Math.sqrt((n * 16) / 9)) },
+  { id: "portrait", columns: (n) => Math.max(1, Math.round(Math.sqrt((n * 4) / 5))) },
+];
+
+const TILE = 512;
+const GAP = 16;
+const PADDING = 48;
+const HEADER = 140;
+const WEEKDAY_ROW = 56;
+
+/**
+ * Posiciones de las celdas a tamaño completo (multiplicar por `scale` al dibujar).
+ * Solo para el preset calendario: `startDow` es el día de la semana del día 1 (0 = domingo),
+ * `weekStart` el primer día de la semana del locale y `weekdayLabels` las 7 cabeceras empezando por él.
+ */
+export function computeCollageLayout({ length, startDow, weekStart = 1, weekdayLabels = [] }, presetId) {
+  const preset = COLLAGE_PRESETS.find((p) => p.id === presetId) || COLLAGE_PRESETS[0];
+  const offset = preset.calendar ? (startDow - weekStart + 7) % 7 : 0;
+  const columns = preset.calendar ? 7 : preset.columns(length);
+  const rows = Math.ceil((offset + length) / columns);
+  const top = PADDING + HEADER + (preset.calendar ? WEEKDAY_ROW : 0);
+
+  const tiles = Array.from({ length }, (_, i) => {
+    const cell = offset + i;
+    return {
+      day: i + 1,
+      x: PADDING + (cell % columns) * (TILE + GAP),
+      y: top + Math.floor(cell / columns) * (TILE + GAP),
+      size: TILE,
+    };
+  });
+  const weekdays = preset.calendar
+    ? weekdayLabels.map((label, c) => ({ label, x: PADDING + c * (TILE + GAP) + TILE / 2, y: PADDING + HEADER + WEEKDAY_ROW / 2 }))
+    : [];
+
+  return {
+    width: PADDING * 2 + columns * TILE + (columns - 1) * GAP,
+    height: top + rows * TILE + (rows - 1) * GAP + PADDING,
+    tiles,
+    weekdays,
+  };
+}
+
+// Recorte centrado para llenar la celda sin deformar (object-fit: cover)
+function drawCover(ctx, bitmap, x, y, size) {
+  const scale = Math.max(size / bitmap.width, size / bitmap.height);
+  const w = size / scale;
+  const h = size / scale;
+  ctx.drawImage(bitmap, (bitmap.width - w) / 2, (bitmap.height - h) / 2, w, h, x, y, size, size);
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+// Recorta el texto con "…" para que quepa en `maxWidth`
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let out = text;
+  while (out.length > 1 && ctx.measureText(`${out}…`).width > maxWidth) out = out.slice(0, -1);
+  return `${out}…`;
+}
+
+/**
+ * Dibuja el collage. `bitmaps`: Map día → ImageBitmap (los días sin imagen quedan en gris).
+ * Opciones: { title, prompts, showDay, showPrompt, dark, scale, type: "image/png" | "image/jpeg", quality }.
+ */
+export async function renderCollage(layout, bitmaps, options) {
+  const { title = "", prompts = [], showDay = true, showPrompt = true, dark = true, scale = 1, type = "image/png", quality = 0.92 } = options;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(layout.width * scale);
+  canvas.height = Math.round(layout.height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  const fg = dark ? "#f3f4f6" : "#111827";
+  ctx.fillStyle = dark ? "#111827" : "#ffffff";
+  ctx.fillRect(0, 0, layout.width, layout.height);
+
+  ctx.fillStyle = fg;
+  ctx.textBaseline = "middle";
+  ctx.font = "bold 72px system-ui, sans-serif";
+  ctx.fillText(fitText(ctx, title, layout.width - PADDING * 2), PADDING, PADDING + HEADER / 2);
+
+  ctx.textAlign = "center";
+  ctx.font = "600 32px system-ui, sans-serif";
+  layout.weekdays.forEach((w) => ctx.fillText(w.label, w.x, w.y));
+  ctx.textAlign = "left";
+
+  layout.tiles.forEach((tile) => {
+    const { x, y, size, day } = tile;
+    ctx.save();
+    roundRect(ctx, x, y, size, size, 20);
+    ctx.clip();
+    const bitmap = bitmaps.get(day);
+    if (bitmap) {
+      drawCover(ctx, bitmap, x, y, size);
+    } else {
+      ctx.fillStyle = dark ? "#374151" : "#e5e7eb";
+      ctx.fillRect(x, y, size, size);
+    }
+
+    if (showPrompt && prompts[day - 1]) {
+      const gradient = ctx.createLinearGradient(0, y + size - 120, 0, y + size);
+      gradient.addColorStop(0, "rgba(0,0,0,0)");
+      gradient.addColorStop(1, "rgba(0,0,0,0.75)");
+      ctx.fillStyle = gradient;
+      ctx.fillRect(x, y + size - 120, size, 120);
+      ctx.fillStyle = "#ffffff";
+      ctx.font = "600 34px system-ui, sans-serif";
+      ctx.fillText(fitText(ctx, prompts[day - 1], size - 40), x + 20, y + size - 36);
+    }
+    ctx.restore();
+
+    if (showDay) {
+      ctx.font = "bold 36px system-ui, sans-serif";
+      const label = String(day);
+      const w = ctx.measureText(label).width + 28;
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      roundRect(ctx, x + 14, y + 14, w, 52, 26);
+      ctx.fill();
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(label, x + 28, y + 41);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("No se pudo generar la imagen"))), type, quality);
+  });
+}
@@ -0,0 +1,61 @@
+// ------------------------- Cola de descargas (concurrencia limitada y progreso) -------------------------
+
+// Imágenes de un post que se descargan a la vez
+export const DOWNLOAD_CONCURRENCY = 3;
+
+/**
+ * Ejecuta `worker(item, index)` sobre `items` con como mucho `concurrency` a la vez.
+ * Resuelve cuando terminan todas con [{ status: "fulfilled", value } | { status: "rejected", reason }]
+ * en el orden de `items` (como Promise.allSettled).
+ */
+export async function runWithConcurrency(items, worker, concurrency = DOWNLOAD_CONCURRENCY) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: "fulfilled", value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+}
+
+/**
+ * Descarga `url` como Blob leyendo el cuerpo por trozos para informar del progreso:
+ * `onProgress({ loaded, total })`, con `total` null si el servidor no envía Content-Length.
+ * Lanza si la respuesta no es 2xx o si `signal` se cancela.
+ */
+export async function fetchBlobWithProgress(url, { onProgress, signal, fetchImpl = fetch } = {}) {
+  const response = await fetchImpl(url, { signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const total = Number(response.headers.get("Content-Length")) || null;
+  const type = response.headers.get("Content-Type") || "";
+
+  if (!response.body?.getReader) {
+    const blob = await response.blob();
+    onProgress?.({ loaded: blob.size, total: total ?? blob.size });
+    return blob;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress?.({ loaded, total });
+  }
+  return new Blob(chunks, { type });
+}
+
+// Fracción descargada (0..1) o null si no se conoce el tamaño total
+export function progressRatio({ loaded, total }) {
+  return total ? Math.min(1, loaded / total) : null;
+}
@@ -0,0 +1,18 @@
+// ------------------------- Formato de tamaños y fechas para la UI -------------------------
+
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** i).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+// Tiempo transcurrido en el idioma de `locale` ("hace 5 min", "3 days ago"…)
+export function formatAge(timestamp, locale, now = Date.now()) {
+  const rtf = new Intl.RelativeTimeFormat(locale, { numeric: "always", style: "short" });
+  const minutes = Math.max(Math.floor((now - timestamp) / 60000), 0);
+  if (minutes < 60) return rtf.format(-minutes, "minute");
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return rtf.format(-hours, "hour");
+  return rtf.format(-Math.floor(hours / 24), "day");
+}
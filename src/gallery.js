@@ -0,0 +1,85 @@
+// ------------------------- Galería: metadatos por imagen -------------------------
+// Las imágenes de un día vienen de tres orígenes (post cargado, URLs manuales, subidas locales).
+// DayState.images guarda un registro por imagen con sus metadatos; aquí se combinan con las
+// imágenes presentes en pantalla. Funciones puras.
+
+// ImageRecord type definition
+// {
+//   id: string; // `${source}:${url}`, estable entre recargas
+//   source: "post" | "manual" | "local";
+//   url: string; // URL original (o id del store localImages si source es "local")
+//   caption: string;
+//   alt: string;
+//   favorite: boolean;
+//   hidden: boolean;
+//   position: number;
+// }
+
+export function imageRecordId(source, url) {
+  return `${source}:${url}`;
+}
+
+function defaultRecord(item, position) {
+  return { id: imageRecordId(item.source, item.url), source: item.source, url: item.url, caption: "", alt: "", favorite: false, hidden: false, position };
+}
+
+/**
+ * Combina las imágenes presentes (`items`: [{ source, url, src, thumb? }]) con los registros guardados.
+ * Devuelve la galería ordenada por `position` con `src` (y `thumb`, la miniatura si la hay) para
+ * mostrar; las imágenes nuevas van al final.
+ */
+export function buildGallery(items, records = []) {
+  const byId = new Map(records.map((r) => [r.id, r]));
+  const maxPosition = records.reduce((m, r) => Math.max(m, r.position), -1);
+  let next = maxPosition + 1;
+  return items
+    .map((item) => {
+      const saved = byId.get(imageRecordId(item.source, item.url));
+      return { ...(saved || defaultRecord(item, next++)), src: item.src, thumb: item.thumb ?? item.src };
+    })
+    .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Registros a guardar tras editar la galería: posiciones consecutivas según el orden actual.
+ * Conserva los registros de imágenes del post que ahora no están cargadas (el post se carga a
+ * demanda) y descarta los de URLs manuales o subidas que ya no existen.
+ */
+export function galleryToRecords(gallery, previous = [], postLoaded = true) {
+  const present = new Set(gallery.map((g) => g.id));
+  const kept = postLoaded ? [] : previous.filter((r) => r.source === "post" && !present.has(r.id));
+  const current = gallery.map(({ src, thumb, ...record }) => record);
+  return [...current, ...kept].map((r, position) => ({ ...r, position }));
+}
+
+// Mueve la imagen `fromId` a la posición que ocupa `toId`
+export function moveImage(gallery, fromId, toId) {
+  const from = gallery.findIndex((g) => g.id === fromId);
+  const to = gallery.findIndex((g) => g.id === toId);
+  if (from < 0 || to < 0 || from === to) return gallery;
+  const next = [...gallery];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+// Portada del día: la primera favorita visible o, si no hay, la primera visible
+export function coverImage(records = []) {
+  const visible = [...records].filter((r) => !r.hidden).sort((a, b) => a.position - b.position);
+  return visible.find((r) => r.favorite) || visible[0] || null;
+}
+
+/**
+ * Imágenes visibles de un día con la portada primero (sin URLs para mostrar), a partir del
+ * DayState y de las URLs del post guardadas en el cache. Para el calendario y las exportaciones.
+ */
+export function dayImages(state, postImages = []) {
+  const items = [
+    ...postImages.map((url) => ({ source: "post", url })),
+    ...(state.manualImageUrls || []).filter(Boolean).map((url) => ({ source: "manual", url })),
+    ...(state.localImageIds || []).map((id) => ({ source: "local", url: id })),
+  ];
+  const visible = buildGallery(items, state.images).filter((g) => !g.hidden);
+  const cover = coverImage(visible);
+  return cover ? [cover, ...visible.filter((g) => g !== cover)] : [];
+}
@@ -0,0 +1,133 @@
+// ------------------------- GIF animado mínimo en el navegador -------------------------
+// GIF89a con paleta global fija (cubo 6×7×6 = 252 colores), dithering ordenado 4×4,
+// compresión LZW y bucle infinito (NETSCAPE2.0). Pensado para clips cortos a baja resolución.
+
+const LEVELS = { r: 6, g: 7, b: 6 };
+const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+function buildPalette() {
+  const palette = new Uint8Array(256 * 3);
+  let i = 0;
+  for (let r = 0; r < LEVELS.r; r++) {
+    for (let g = 0; g < LEVELS.g; g++) {
+      for (let b = 0; b < LEVELS.b; b++) {
+        palette[i++] = Math.round((r * 255) / (LEVELS.r - 1));
+        palette[i++] = Math.round((g * 255) / (LEVELS.g - 1));
+        palette[i++] = Math.round((b * 255) / (LEVELS.b - 1));
+      }
+    }
+  }
+  return palette;
+}
+
+const PALETTE = buildPalette();
+
+// RGBA → índices de la paleta fija
+export function quantize(rgba, width, height) {
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const d = BAYER_4[(y & 3) * 4 + (x & 3)] / 16 - 0.5;
+      const level = (v, n) => Math.max(0, Math.min(n - 1, Math.round((v / 255) * (n - 1) + d)));
+      const r = level(rgba[p * 4], LEVELS.r);
+      const g = level(rgba[p * 4 + 1], LEVELS.g);
+      const b = level(rgba[p * 4 + 2], LEVELS.b);
+      out[p] = (r * LEVELS.g + g) * LEVELS.b + b;
+    }
+  }
+  return out;
+}
+
+// Compresión LZW de GIF con códigos de longitud variable; devuelve los bytes en sub-bloques
+export function lzwEncode(indices, minCodeSize = 8) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let dict = new Map();
+  let nextCode = endCode + 1;
+
+  const write = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (nextCode < 4096) {
+      dict.set(key, nextCode++);
+      if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      write(clearCode);
+      dict = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    blocks.push(chunk.length, ...chunk);
+  }
+  blocks.push(0);
+  return Uint8Array.from(blocks);
+}
+
+/**
+ * Codificador incremental: `addFrame(rgba, delayMs)` por cada fotograma y `finish()` para obtener el Blob.
+ */
+export function createGifEncoder(width, height) {
+  const parts = [];
+  const u16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+
+  parts.push(
+    Uint8Array.from([
+      ...Array.from("GIF89a", (c) => c.charCodeAt(0)),
+      ...u16(width),
+      ...u16(height),
+      0xf7, // tabla de color global de 256 entradas
+      0,
+      0,
+    ]),
+    PALETTE,
+    // NETSCAPE2.0: repetir siempre
+    Uint8Array.from([0x21, 0xff, 0x0b, ...Array.from("NETSCAPE2.0", (c) => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0])
+  );
+
+  return {
+    addFrame(rgba, delayMs) {
+      const delay = Math.max(2, Math.round(delayMs / 10)); // centésimas de segundo
+      parts.push(
+        Uint8Array.from([0x21, 0xf9, 0x04, 0, ...u16(delay), 0, 0]),
+        Uint8Array.from([0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0, 8]),
+        lzwEncode(quantize(rgba, width, height), 8)
+      );
+    },
+    finish() {
+      parts.push(Uint8Array.from([0x3b]));
+      return new Blob(parts, { type: "image/gif" });
+    },
+  };
+}
@@ -0,0 +1,424 @@
+// English catalog (same keys as es.js)
+export default {
+  common: {
+    close: "Close",
+    closeEscape: "Close (Escape)",
+    done: "Done",
+    save: "Save",
+    delete: "Delete",
+    name: "Name",
+    untitled: "Untitled",
+    dayN: "Day {day}",
+  },
+  header: {
+    changeYear: "Change year",
+    storedLocally: "Data stored locally (IndexedDB)",
+    offline: "Offline",
+    queuedFetches: { one: "{count} fetch queued", other: "{count} fetches queued" },
+    cachedImages: { one: "{count} cached image ({size})", other: "{count} cached images ({size})" },
+    howItWorks: "How does it work?",
+    promptSets: "Prompt sets",
+    challenges: "Challenges",
+    archive: "Archive",
+    stats: "Statistics",
+    collage: "Collage",
+    recap: "Recap video",
+    reminder: "Reminder",
+    lightMode: "Switch to light mode",
+    darkMode: "Switch to dark mode",
+    language: "Language",
+    exportJson: "Export JSON",
+    importJson: "Import JSON",
+    backupHint: "All data and images in a ZIP",
+    backup: "Full backup",
+    exportSiteHint: "Static site of the challenge (calendar and one page per day) in a ZIP",
+    exportSite: "Export site",
+    restore: "Restore backup",
+    clearCacheHint: "Clear image cache",
+    clearCache: "Clear Cache",
+    manageCacheHint: "View and manage cached images",
+    manageCache: "Manage cache",
+  },
+  notices: {
+    dbBlocked: "⚠️ Another Promptober tab is open with an older version. Close it to finish updating the data.",
+    dbVersionChange: "⚠️ Promptober was updated in another tab. Reload to keep saving changes.",
+    storageLocal: "⚠️ This browser blocks IndexedDB: progress is saved to localStorage, but uploaded images and the image cache only last for this session.",
+    storageMemory: "⚠️ This browser does not allow saving data: changes will be lost when you close the tab. Export a backup before leaving.",
+    reload: "Reload",
+  },
+  day: {
+    labelWithDate: "Day {day} · {date}",
+    cover: "Day cover",
+    markedDone: "Marked as done",
+    postUrl: "Post URL (with your images)",
+    postUrlPlaceholder: "https://x.com/user/status/123456... or bsky.app, Mastodon, ArtStation",
+    loading: "Loading…",
+    load: "Load",
+    loadingImages: "Images {done}/{total}…",
+    downloadFailed: "Download failed",
+    retry: "Retry",
+    retryAll: "Retry all {count} failed",
+    platform: "Platform: {platform}.",
+    platformUnknown: "not recognized",
+    platformUnsupported: "{platform} (no automatic extraction)",
+    supportedPlatforms: "Supported: {sources}.",
+    manualHint: "If no images show up, add manual URLs below.",
+    queued: "Queued: it will load when the connection is back.",
+    postError: "Could not load the post: {message}",
+    noPostImages: "The post has no images that can be extracted. Add their URLs manually or upload the files.",
+    manualUrls: "Manual image URLs (optional; separate with commas or new lines)",
+    saveImages: "Save images",
+    clear: "Clear",
+    upload: "Upload images",
+    uploadHint: "You can also drag files onto this card or paste them with Ctrl+V. They are stored on this device only.",
+  },
+  calendar: {
+    title: "Calendar · {name}",
+    tags: "Tags:",
+    clearFilter: "Clear filter",
+    view: "Calendar view",
+    viewText: "Text",
+    viewImages: "Images",
+    previewCount: "{index} of {total}",
+    cellTitle: "Day {day} ({date}) — {prompt}",
+  },
+  lightbox: {
+    title: "Preview ({index}/{total})",
+    resetZoom: "Reset zoom",
+    previous: "Previous",
+    next: "Next",
+    compare: "Compare",
+    slider: "Slider",
+    sideBySide: "Side by side",
+    swap: "Swap",
+  },
+  reminders: {
+    notificationTitle: "Promptober · Day {day}",
+    notificationBody: "Today's prompt: {prompt}",
+    notificationBodyNoPrompt: "You haven't marked today as done yet",
+    snooze: "Snooze",
+    notice: "Day {day} not marked as done",
+    openDay: "Open day",
+    snoozeFor: "Snooze {minutes} min",
+    settingsTitle: "Daily reminder",
+    settingsIntro: "At the chosen time, if today's challenge day is not marked as done, a notification shows its prompt. Completed days stay quiet. It works while Promptober is open in a tab.",
+    unsupported: "This browser does not support notifications; you will only see the notice inside the app.",
+    denied: "Notifications are blocked for this site; you will only see the notice inside the app.",
+    enable: "Enable reminder",
+    time: "Time",
+    snoozeMinutes: "Snooze (minutes)",
+    test: "Test notification",
+  },
+  progress: {
+    readingDatabase: "Reading database…",
+    creatingBackup: "Creating backup…",
+    readingBackup: "Reading backup…",
+    readingImages: "Reading images…",
+    restoring: "Restoring…",
+    gatheringImages: "Gathering images…",
+    creatingSite: "Creating site…",
+  },
+  sourceErrors: {
+    http: "{platform} answered with HTTP error {status}",
+    notMastodon: "the URL is not a Mastodon post ({instance})",
+    unsupported: "{platform} does not support automatic extraction",
+    unknownPlatform: "unrecognized platform",
+  },
+  alerts: {
+    localSaveFailed: "Could not save the images on this device",
+    localDeleteFailed: "Could not delete the image from this device",
+    confirmDeleteLocal: "Delete this image from the device?",
+    unknownSource: "This URL's platform is not recognized. Supported: {sources}",
+    unsupportedSource: "{platform} does not allow extracting images automatically. Add the image URLs manually or upload the files.",
+    backupError: "Error creating the backup: {message}",
+    confirmRestore: "Restore this backup? ALL data and the image cache on this device will be replaced.",
+    backupTooNew: "The backup comes from a newer version of the app (database v{version})",
+    restored: "Backup restored successfully",
+    restoreError: "Error restoring the backup: {message}",
+    invalidJson: "Invalid JSON: {message}",
+    importPrepareError: "Error preparing the import: {message}",
+    importError: "Error importing: {message}",
+    refetchFailed: "Could not download the image again; the saved copy is kept",
+    persistDenied: "The browser did not grant persistent storage",
+    cacheDeleteError: "Error deleting the image from the cache: {message}",
+    cacheSettingsError: "Error saving the cache settings: {message}",
+    persistError: "Error requesting persistent storage: {message}",
+    cacheActionError: "Image cache error: {message}",
+    notificationsUnavailable: "Notifications are unavailable or not allowed in this browser",
+    siteExportError: "Error exporting the site: {message}",
+    confirmClearCache: "Clear the image cache? This frees space, but images will be downloaded again.",
+    cacheCleared: "Cache cleared successfully",
+  },
+  defaults: {
+    promptSetCopy: "{name} (copy)",
+    newPromptSet: "New set",
+    newChallenge: "New challenge",
+  },
+  cache: {
+    title: "Image cache",
+    cachedImages: "Cached images",
+    files: { one: "{count} file", other: "{count} files" },
+    siteStorage: "Site storage",
+    ofQuota: "of {size} available",
+    storageUnavailable: "navigator.storage unavailable",
+    persistent: "Persistent storage",
+    persistOn: "On",
+    persistOff: "No",
+    requestPersist: "Ask the browser",
+    budget: "Maximum size (MB, 0 = no limit)",
+    maxAge: "Expiry (days, 0 = never)",
+    apply: "Apply",
+    evictionHint: "When the maximum size is exceeded, the least recently used images are deleted first.",
+    empty: "The cache is empty.",
+    day: "Day",
+    size: "Size",
+    downloaded: "Downloaded",
+    lastUsed: "Last used",
+    noDay: "no day",
+    refetch: "Download again",
+    delete: "Delete",
+    dayLabel: "{id} (day {day})",
+  },
+  archive: {
+    title: "Archive",
+    savedDays: { one: "{count} saved day", other: "{count} saved days" },
+    currentYear: "Current year",
+    view: "View",
+  },
+  stats: {
+    title: "Statistics · {name}",
+    completed: "Completed",
+    doneOfTotal: { one: "{done}/{count} day", other: "{done}/{count} days" },
+    onTrack: "On track",
+    elapsedDays: { one: "{count} day elapsed", other: "{count} days elapsed" },
+    currentStreak: "Current streak",
+    bestStreak: "Best streak: {count}",
+    missed: "Missed days",
+    imagesPerDay: "Images per day",
+    totalImages: { one: "{count} image in total", other: "{count} images in total" },
+    bestWeekday: "Most productive day",
+    byWeekday: "Days done by weekday",
+    yearComparison: "Year comparison",
+    yearLine: { one: "{year}: {done}/{count} day ({percent})", other: "{year}: {done}/{count} days ({percent})" },
+  },
+  journal: {
+    title: "Day journal",
+    notes: "Notes (Markdown)",
+    preview: "Preview",
+    edit: "Edit",
+    notesPlaceholder: "Process, references, what went well… **bold**, *italic*, - lists",
+    noNotes: "No notes.",
+    tags: "Tags",
+    filterByTag: "Filter the calendar by this tag",
+    removeTag: "Remove tag",
+    addTag: "Add tag (Enter or comma)",
+    tool: "Tool / model",
+    toolPlaceholder: "Procreate, Midjourney v6, SDXL…",
+    generationPrompt: "Prompt sent to the generator",
+    generationPromptPlaceholder: "The exact text you used",
+    seed: "Seed",
+    settings: "Settings",
+    settingsPlaceholder: "steps 30, cfg 7, 1024×1024",
+  },
+  gallery: {
+    cover: "Cover",
+    unfavorite: "Remove from favorites",
+    favorite: "Mark as favorite (day cover)",
+    showImage: "Show image",
+    hideImage: "Hide image (not deleted)",
+    show: "Show",
+    hide: "Hide",
+    editCaption: "Edit caption and alt text",
+    removeLocal: "Delete local image",
+    caption: "Caption",
+    alt: "Alt text (accessibility)",
+    dragHint: "Drag the images to reorder them.",
+    collapseHidden: "Collapse hidden",
+    showHidden: "Show hidden ({count})",
+  },
+  importPreview: {
+    title: "Import · {fileName}",
+    invalidFile: "⚠️ The file is not valid and will not be imported:",
+    invalidEntries: "⚠️ These entries are not valid and will be skipped:",
+    moreErrors: "… and {count} more",
+    added: "New",
+    changed: "Changed (the local day is empty)",
+    conflicts: "In conflict",
+    unchanged: { one: "{count} day is already identical and will not be touched.", other: "{count} days are already identical and will not be touched." },
+    strategy: "Strategy for existing days",
+    willWrite: { one: "{count} day will be written", other: "{count} days will be written" },
+    nothing: "Nothing to import",
+    cancel: "Cancel",
+    import: "Import",
+    strategies: {
+      overwrite: { label: "Overwrite", hint: "Days in the file replace the local ones" },
+      keep: { label: "Keep local", hint: "Only days that do not exist yet are added" },
+      merge: { label: "Merge images", hint: "Image lists, tags and done state are combined" },
+      newest: { label: "Newest wins", hint: "Based on each day's last modification date" },
+    },
+  },
+  importErrors: {
+    notExport: "The file is not a Promptober export",
+    tooNew: "File in format v{version}, newer than the supported one (v{supported})",
+    notObject: "The file does not contain a JSON object",
+    year: "`year` must be an integer",
+    month: "`month` must be an integer between 1 and 12",
+    data: "`data` must be a list of days",
+    entry: "data[{index}]{id}: {errors}",
+    dayNotObject: "is not an object",
+    id: "`id` must be a non-empty string",
+    duplicateId: "duplicate `id` ({id})",
+    day: "`day` must be an integer ≥ 1",
+    done: "`done` must be a boolean",
+    text: "`{field}` must be a string",
+    textList: "`{field}` must be a list of strings",
+    number: "`{field}` must be a number",
+    images: "`images` must be a list of records with `id` and `url`",
+    journal: "`journal` must be an object",
+  },
+  promptSets: {
+    title: "Prompt sets",
+    create: "New",
+    duplicate: "Duplicate",
+    useIn: "Use in {year}",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    activeHint: "The checked set is the one used in {year}.",
+    confirmDelete: "Delete the set \"{name}\"? Marked days are not deleted.",
+  },
+  challenges: {
+    title: "Challenges of {year}",
+    create: "New challenge",
+    use: "Use this challenge",
+    activeHint: "The checked challenge is the one shown in the calendar.",
+    startDate: "Start date",
+    length: "Days",
+    datesHint: "Each day is stored by its date: if you change the start date, the calendar will show the days saved for the new dates.",
+    confirmDelete: "Delete the challenge \"{name}\"? Saved days are not deleted.",
+  },
+  collage: {
+    title: "Collage · {name}",
+    layout: "Layout",
+    format: "Format",
+    dayNumber: "Day number",
+    prompt: "Prompt",
+    darkBackground: "Dark background",
+    previewAlt: "Collage preview",
+    generatingPreview: "Generating preview…",
+    dayImage: "Image for each day",
+    pickHint: "Click a day with several images to pick another one. The favorite is used by default.",
+    tileTitle: "Day {day} · {index}/{total}",
+    tileTitleEmpty: "Day {day} · no images",
+    generating: "Generating…",
+    download: "Download in high resolution",
+    error: "Error generating the collage: {message}",
+    presets: {
+      calendar: "Calendar (weeks)",
+      square: "Square grid",
+      wide: "Landscape 16:9",
+      portrait: "Portrait 4:5",
+    },
+  },
+  recap: {
+    title: "Recap video · {name}",
+    empty: "There are no completed days with cached images. Mark days as done and load their images.",
+    secondsPerImage: "Seconds per image",
+    transition: "Transition",
+    transitionDuration: "Transition duration (s)",
+    size: "Size",
+    summary: { one: "{count} image · {seconds} s", other: "{count} images · {seconds} s" },
+    preparing: "Preparing images…",
+    recordingWebM: "Recording WebM",
+    generatingGif: "Generating GIF",
+    webmHint: "WebM recording takes as long as the video.",
+    webmUnsupported: "This browser cannot record WebM; use the GIF.",
+    gif: "Animated GIF",
+    webm: "Record WebM",
+    webmError: "Error recording the video: {message}",
+    gifError: "Error generating the GIF: {message}",
+    transitions: {
+      fade: "Fade",
+      slide: "Slide",
+      zoom: "Soft zoom",
+      cut: "Cut",
+    },
+    sizes: {
+      square: "Square {width}×{height}",
+      story: "Portrait {width}×{height}",
+      landscape: "Landscape {width}×{height}",
+    },
+  },
+  site: {
+    subtitle: { one: "{start} – {end} · {done}/{count} day done", other: "{start} – {end} · {done}/{count} days done" },
+    dayTitle: "Day {day} · {prompt} — {title}",
+    done: "✓ Done",
+    noImages: "No images.",
+    originalPost: "Original post",
+    previous: "← Day {day}",
+    next: "Day {day} →",
+  },  footer: {
+    storage: "Your data is stored **on this device only** using IndexedDB (local/\"localhost\" mode).",
+  },
+  help: {
+    title: "How does Promptober Pop-Cine work?",
+    whatTitle: "What is this?",
+    whatText: "An interactive calendar for the October \"Promptober\" challenge, where every day brings a movie/pop culture prompt to create AI images.",
+    usageTitle: "How to use the app",
+    usageSteps: [
+      "**Pick a day** in the challenge calendar (October by default; you can define others in \"Challenges\")",
+      "**Paste the URL of your post** with the images (X/Twitter, Bluesky, Mastodon or ArtStation)",
+      "**Click \"Load\"** to extract the images automatically",
+      "**Or add manual URLs** if automatic extraction fails",
+      "**Or upload your files** with the button, by dragging them or pasting them (Ctrl+V)",
+      "**Mark as done** once you have the images",
+    ],
+    storageTitle: "Data storage",
+    privacyTitle: "Important privacy information:",
+    privacyItems: [
+      "All data is saved **on your device only**",
+      "Images are downloaded and stored **locally**",
+      "**Nothing is sent to external servers** (except to download the images)",
+      "If you clear the browser cache or site data, **all information will be lost**",
+    ],
+    cacheTitle: "Cache system",
+    cacheIntro: "The app uses a smart cache that:",
+    cacheItems: [
+      "Stores post URLs for fast loading",
+      "Downloads and stores images locally",
+      "Keeps images cached for 1 year (configurable in \"Manage cache\")",
+      "When the cache exceeds its maximum size, the least used images are removed first",
+      "Keeps URLs cached for 1 year",
+    ],
+    backupTitle: "Backing up your data",
+    backupIntro: "To keep your progress safe:",
+    backupItems: [
+      "Use the **\"Export JSON\"** button to download all your data",
+      "Keep the JSON file somewhere safe",
+      "If you switch devices, use **\"Import JSON\"** to restore it",
+      "Before importing you will see which days are added, changed or in conflict, and choose how to merge them",
+      "Use **\"Full backup\"** to also save downloaded and uploaded images (ZIP)",
+      "Back up regularly so you never lose your work",
+    ],
+    extrasTitle: "More features",
+    extrasItems: [
+      "**Lightbox:** Click an image to view it large: wheel or pinch to zoom, double-tap to zoom in, swipe or use ←/→ to change image, +/− to zoom and Escape to close",
+      "**Prompt sets:** Create, duplicate and edit your own lists and choose which one to use each year",
+      "**Archive:** Switch years with the selector next to the title or review every year in \"Archive\"",
+      "**Dark mode:** Toggle the theme with the 🌙/☀️ button",
+      "**Language:** Choose Spanish or English with the selector next to the theme button; weekday names and the first day of the week follow the chosen language",
+      "**Gallery:** Drag to reorder, ☆ marks the favorite (the day cover), \"Hide\" removes it without deleting and ✎ adds a caption and alt text",
+      "**Journal:** Write down the process in Markdown, the tool, the prompt and the seed; click a tag to filter the calendar",
+      "**Offline:** Install the app from the browser to open it offline; cached images stay visible and new posts load once the connection is back",
+      "**Cache cleanup:** Use \"🗑️ Clear Cache\" to free up space",
+      "**Navigation:** Use the arrows in the lightbox to browse all the images",
+      "**Collage:** Build the month grid (calendar, square, 16:9 or 4:5) with the cached images and download it as PNG or JPEG",
+      "**Recap video:** One slide per completed day with its prompt; download it as WebM or as an animated GIF",
+      "**Reminder:** At the chosen time, if today is not done yet, a notification shows its prompt (with a snooze option) while the app is open; completed days stay quiet",
+      "**Export site:** Download a ZIP with a static site of the challenge (calendar, one page per day with images and notes) that opens straight from disk",
+      "**Compare:** In the lightbox, \"Compare\" shows two variations side by side or with a slider; zoom and pan apply to both",
+    ],
+    tip: "**Tip:** If automatic image extraction gives you trouble, you can always add the image URLs manually in the field below.",
+    scrollHint: "Scroll to see more",
+    gotIt: "Got it",
+  },
+};
@@ -0,0 +1,424 @@
+// Catálogo en español (idioma de referencia: las claves que falten en otros catálogos salen de aquí)
+export default {
+  common: {
+    close: "Cerrar",
+    closeEscape: "Cerrar (Escape)",
+    done: "Listo",
+    save: "Guardar",
+    delete: "Eliminar",
+    name: "Nombre",
+    untitled: "Sin nombre",
+    dayN: "Día {day}",
+  },
+  header: {
+    changeYear: "Cambiar de año",
+    storedLocally: "Datos guardados localmente (IndexedDB)",
+    offline: "Sin conexión",
+    queuedFetches: { one: "{count} carga en cola", other: "{count} cargas en cola" },
+    cachedImages: { one: "{count} imagen en cache ({size})", other: "{count} imágenes en cache ({size})" },
+    howItWorks: "¿Cómo funciona?",
+    promptSets: "Sets de prompts",
+    challenges: "Retos",
+    archive: "Archivo",
+    stats: "Estadísticas",
+    collage: "Collage",
+    recap: "Vídeo resumen",
+    reminder: "Recordatorio",
+    lightMode: "Cambiar a modo claro",
+    darkMode: "Cambiar a modo oscuro",
+    language: "Idioma",
+    exportJson: "Exportar JSON",
+    importJson: "Importar JSON",
+    backupHint: "Todos los datos y las imágenes en un ZIP",
+    backup: "Copia completa",
+    exportSiteHint: "Web estática del reto (calendario y una página por día) en un ZIP",
+    exportSite: "Exportar web",
+    restore: "Restaurar copia",
+    clearCacheHint: "Limpiar cache de imágenes",
+    clearCache: "Limpiar Cache",
+    manageCacheHint: "Ver y gestionar las imágenes en cache",
+    manageCache: "Gestionar cache",
+  },
+  notices: {
+    dbBlocked: "⚠️ Hay otra pestaña de Promptober abierta con una versión anterior. Ciérrala para terminar de actualizar los datos.",
+    dbVersionChange: "⚠️ Promptober se ha actualizado en otra pestaña. Recarga para seguir guardando cambios.",
+    storageLocal: "⚠️ Este navegador no permite usar IndexedDB: el progreso se guarda en localStorage, pero las imágenes subidas y el cache de imágenes solo duran esta sesión.",
+    storageMemory: "⚠️ Este navegador no permite guardar datos: los cambios se perderán al cerrar la pestaña. Exporta una copia antes de salir.",
+    reload: "Recargar",
+  },
+  day: {
+    labelWithDate: "Día {day} · {date}",
+    cover: "Portada del día",
+    markedDone: "Marcado como realizado",
+    postUrl: "URL de la publicación (con tus imágenes)",
+    postUrlPlaceholder: "https://x.com/usuario/status/123456... o bsky.app, Mastodon, ArtStation",
+    loading: "Cargando…",
+    load: "Cargar",
+    loadingImages: "Imágenes {done}/{total}…",
+    downloadFailed: "Error al descargar",
+    retry: "Reintentar",
+    retryAll: "Reintentar las {count} fallidas",
+    platform: "Plataforma: {platform}.",
+    platformUnknown: "no reconocida",
+    platformUnsupported: "{platform} (sin extracción automática)",
+    supportedPlatforms: "Soportadas: {sources}.",
+    manualHint: "Si no aparecen imágenes, añade URLs manuales abajo.",
+    queued: "En cola: se cargará al recuperar la conexión.",
+    postError: "No se pudo cargar la publicación: {message}",
+    noPostImages: "La publicación no tiene imágenes que se puedan extraer. Añade sus URLs manualmente o sube los archivos.",
+    manualUrls: "URLs de imágenes manuales (opcional; separa por comas o líneas)",
+    saveImages: "Guardar imágenes",
+    clear: "Limpiar",
+    upload: "Subir imágenes",
+    uploadHint: "También puedes arrastrar archivos a esta tarjeta o pegarlos con Ctrl+V. Se guardan solo en este dispositivo.",
+  },
+  calendar: {
+    title: "Calendario · {name}",
+    tags: "Etiquetas:",
+    clearFilter: "Quitar filtro",
+    view: "Vista del calendario",
+    viewText: "Texto",
+    viewImages: "Imágenes",
+    previewCount: "{index} de {total}",
+    cellTitle: "Día {day} ({date}) — {prompt}",
+  },
+  lightbox: {
+    title: "Vista previa ({index}/{total})",
+    resetZoom: "Reset zoom",
+    previous: "Anterior",
+    next: "Siguiente",
+    compare: "Comparar",
+    slider: "Deslizador",
+    sideBySide: "Lado a lado",
+    swap: "Intercambiar",
+  },
+  reminders: {
+    notificationTitle: "Promptober · Día {day}",
+    notificationBody: "Hoy toca: {prompt}",
+    notificationBodyNoPrompt: "Aún no has marcado el día de hoy como realizado",
+    snooze: "Posponer",
+    notice: "Día {day} sin marcar como realizado",
+    openDay: "Abrir día",
+    snoozeFor: "Posponer {minutes} min",
+    settingsTitle: "Recordatorio diario",
+    settingsIntro: "A la hora elegida, si el día de hoy del reto no está marcado como realizado, se muestra una notificación con su prompt. Los días ya completados no avisan. Funciona mientras Promptober esté abierto en alguna pestaña.",
+    unsupported: "Este navegador no admite notificaciones; solo verás el aviso dentro de la app.",
+    denied: "Las notificaciones están bloqueadas para este sitio; solo verás el aviso dentro de la app.",
+    enable: "Activar recordatorio",
+    time: "Hora",
+    snoozeMinutes: "Posponer (minutos)",
+    test: "Probar notificación",
+  },
+  progress: {
+    readingDatabase: "Leyendo base de datos…",
+    creatingBackup: "Creando copia…",
+    readingBackup: "Leyendo copia…",
+    readingImages: "Leyendo imágenes…",
+    restoring: "Restaurando…",
+    gatheringImages: "Reuniendo imágenes…",
+    creatingSite: "Creando web…",
+  },
+  sourceErrors: {
+    http: "{platform} respondió con un error HTTP {status}",
+    notMastodon: "la URL no es una publicación de Mastodon ({instance})",
+    unsupported: "{platform} no admite extracción automática",
+    unknownPlatform: "plataforma no reconocida",
+  },
+  alerts: {
+    localSaveFailed: "No se pudieron guardar las imágenes en el dispositivo",
+    localDeleteFailed: "No se pudo borrar la imagen del dispositivo",
+    confirmDeleteLocal: "¿Eliminar esta imagen del dispositivo?",
+    unknownSource: "No se reconoce la plataforma de esta URL. Soportadas: {sources}",
+    unsupportedSource: "{platform} no permite extraer las imágenes automáticamente. Añade sus URLs manualmente o sube los archivos.",
+    backupError: "Error creando la copia: {message}",
+    confirmRestore: "¿Restaurar esta copia? Se reemplazarán TODOS los datos y el cache de imágenes de este dispositivo.",
+    backupTooNew: "La copia es de una versión más nueva de la app (base de datos v{version})",
+    restored: "Copia restaurada correctamente",
+    restoreError: "Error restaurando la copia: {message}",
+    invalidJson: "JSON no válido: {message}",
+    importPrepareError: "Error preparando la importación: {message}",
+    importError: "Error importando: {message}",
+    refetchFailed: "No se pudo volver a descargar la imagen; se conserva la copia guardada",
+    persistDenied: "El navegador no ha concedido almacenamiento persistente",
+    cacheDeleteError: "Error borrando la imagen del cache: {message}",
+    cacheSettingsError: "Error guardando los ajustes del cache: {message}",
+    persistError: "Error solicitando almacenamiento persistente: {message}",
+    cacheActionError: "Error en el cache de imágenes: {message}",
+    notificationsUnavailable: "Las notificaciones no están disponibles o no tienen permiso en este navegador",
+    siteExportError: "Error exportando la web: {message}",
+    confirmClearCache: "¿Limpiar cache de imágenes? Esto liberará espacio pero las imágenes se volverán a descargar.",
+    cacheCleared: "Cache limpiado correctamente",
+  },
+  defaults: {
+    promptSetCopy: "{name} (copia)",
+    newPromptSet: "Nuevo set",
+    newChallenge: "Nuevo reto",
+  },
+  cache: {
+    title: "Cache de imágenes",
+    cachedImages: "Imágenes en cache",
+    files: { one: "{count} archivo", other: "{count} archivos" },
+    siteStorage: "Almacenamiento del sitio",
+    ofQuota: "de {size} disponibles",
+    storageUnavailable: "navigator.storage no disponible",
+    persistent: "Almacenamiento persistente",
+    persistOn: "Activado",
+    persistOff: "No",
+    requestPersist: "Solicitar al navegador",
+    budget: "Tamaño máximo (MB, 0 = sin límite)",
+    maxAge: "Caducidad (días, 0 = nunca)",
+    apply: "Aplicar",
+    evictionHint: "Al superar el tamaño máximo se borran primero las imágenes usadas hace más tiempo.",
+    empty: "El cache está vacío.",
+    day: "Día",
+    size: "Tamaño",
+    downloaded: "Descargada",
+    lastUsed: "Último uso",
+    noDay: "sin día",
+    refetch: "Volver a descargar",
+    delete: "Borrar",
+    dayLabel: "{id} (día {day})",
+  },
+  archive: {
+    title: "Archivo",
+    savedDays: { one: "{count} día guardado", other: "{count} días guardados" },
+    currentYear: "Año actual",
+    view: "Ver",
+  },
+  stats: {
+    title: "Estadísticas · {name}",
+    completed: "Completado",
+    doneOfTotal: { one: "{done}/{count} día", other: "{done}/{count} días" },
+    onTrack: "Al día",
+    elapsedDays: { one: "{count} día transcurrido", other: "{count} días transcurridos" },
+    currentStreak: "Racha actual",
+    bestStreak: "Mejor racha: {count}",
+    missed: "Días sin hacer",
+    imagesPerDay: "Imágenes por día",
+    totalImages: { one: "{count} imagen en total", other: "{count} imágenes en total" },
+    bestWeekday: "Día más productivo",
+    byWeekday: "Días hechos por día de la semana",
+    yearComparison: "Comparativa por año",
+    yearLine: { one: "{year}: {done}/{count} día ({percent})", other: "{year}: {done}/{count} días ({percent})" },
+  },
+  journal: {
+    title: "Diario del día",
+    notes: "Notas (Markdown)",
+    preview: "Vista previa",
+    edit: "Editar",
+    notesPlaceholder: "Proceso, referencias, qué salió bien… **negrita**, *cursiva*, - listas",
+    noNotes: "Sin notas.",
+    tags: "Etiquetas",
+    filterByTag: "Filtrar el calendario por esta etiqueta",
+    removeTag: "Quitar etiqueta",
+    addTag: "Añadir etiqueta (Enter o coma)",
+    tool: "Herramienta / modelo",
+    toolPlaceholder: "Procreate, Midjourney v6, SDXL…",
+    generationPrompt: "Prompt enviado al generador",
+    generationPromptPlaceholder: "El texto exacto que usaste",
+    seed: "Seed",
+    settings: "Ajustes",
+    settingsPlaceholder: "steps 30, cfg 7, 1024×1024",
+  },
+  gallery: {
+    cover: "Portada",
+    unfavorite: "Quitar de favoritas",
+    favorite: "Marcar como favorita (portada del día)",
+    showImage: "Mostrar imagen",
+    hideImage: "Ocultar imagen (no se borra)",
+    show: "Mostrar",
+    hide: "Ocultar",
+    editCaption: "Editar pie de foto y texto alternativo",
+    removeLocal: "Eliminar imagen local",
+    caption: "Pie de foto",
+    alt: "Texto alternativo (accesibilidad)",
+    dragHint: "Arrastra las imágenes para reordenarlas.",
+    collapseHidden: "Esconder ocultas",
+    showHidden: "Mostrar ocultas ({count})",
+  },
+  importPreview: {
+    title: "Importar · {fileName}",
+    invalidFile: "⚠️ El archivo no es válido y no se importará:",
+    invalidEntries: "⚠️ Estas entradas no son válidas y se omitirán:",
+    moreErrors: "… y {count} más",
+    added: "Nuevos",
+    changed: "Cambiados (el día local está vacío)",
+    conflicts: "En conflicto",
+    unchanged: { one: "{count} día ya es idéntico y no se tocará.", other: "{count} días ya son idénticos y no se tocarán." },
+    strategy: "Estrategia para días existentes",
+    willWrite: { one: "Se escribirá {count} día", other: "Se escribirán {count} días" },
+    nothing: "No hay nada que importar",
+    cancel: "Cancelar",
+    import: "Importar",
+    strategies: {
+      overwrite: { label: "Sobrescribir", hint: "Los días del archivo reemplazan a los locales" },
+      keep: { label: "Mantener locales", hint: "Solo se añaden los días que no existen" },
+      merge: { label: "Unir imágenes", hint: "Se combinan las listas de imágenes, las etiquetas y el estado hecho" },
+      newest: { label: "El más reciente gana", hint: "Según la fecha de última modificación de cada día" },
+    },
+  },
+  importErrors: {
+    notExport: "El archivo no es una exportación de Promptober",
+    tooNew: "Archivo en formato v{version}, más nuevo que el soportado (v{supported})",
+    notObject: "El archivo no contiene un objeto JSON",
+    year: "`year` debe ser un entero",
+    month: "`month` debe ser un entero entre 1 y 12",
+    data: "`data` debe ser una lista de días",
+    entry: "data[{index}]{id}: {errors}",
+    dayNotObject: "no es un objeto",
+    id: "`id` debe ser un texto no vacío",
+    duplicateId: "`id` duplicado ({id})",
+    day: "`day` debe ser un entero ≥ 1",
+    done: "`done` debe ser booleano",
+    text: "`{field}` debe ser texto",
+    textList: "`{field}` debe ser una lista de textos",
+    number: "`{field}` debe ser un número",
+    images: "`images` debe ser una lista de registros con `id` y `url`",
+    journal: "`journal` debe ser un objeto",
+  },
+  promptSets: {
+    title: "Sets de prompts",
+    create: "Nuevo",
+    duplicate: "Duplicar",
+    useIn: "Usar en {year}",
+    moveUp: "Subir",
+    moveDown: "Bajar",
+    activeHint: "El set marcado es el que se usa en {year}.",
+    confirmDelete: "¿Eliminar el set \"{name}\"? Los días marcados no se borran.",
+  },
+  challenges: {
+    title: "Retos de {year}",
+    create: "Nuevo reto",
+    use: "Usar este reto",
+    activeHint: "El reto marcado es el que muestra el calendario.",
+    startDate: "Fecha de inicio",
+    length: "Días",
+    datesHint: "Cada día se guarda por su fecha: si cambias la fecha de inicio, el calendario mostrará los días guardados para las nuevas fechas.",
+    confirmDelete: "¿Eliminar el reto \"{name}\"? Los días guardados no se borran.",
+  },
+  collage: {
+    title: "Collage · {name}",
+    layout: "Distribución",
+    format: "Formato",
+    dayNumber: "Número de día",
+    prompt: "Prompt",
+    darkBackground: "Fondo oscuro",
+    previewAlt: "Vista previa del collage",
+    generatingPreview: "Generando vista previa…",
+    dayImage: "Imagen de cada día",
+    pickHint: "Haz clic en un día con varias imágenes para elegir otra. Por defecto se usa la favorita.",
+    tileTitle: "Día {day} · {index}/{total}",
+    tileTitleEmpty: "Día {day} · sin imágenes",
+    generating: "Generando…",
+    download: "Descargar en alta resolución",
+    error: "Error generando el collage: {message}",
+    presets: {
+      calendar: "Calendario (semanas)",
+      square: "Cuadrícula cuadrada",
+      wide: "Horizontal 16:9",
+      portrait: "Vertical 4:5",
+    },
+  },
+  recap: {
+    title: "Vídeo resumen · {name}",
+    empty: "No hay días completados con imágenes en cache. Marca días como realizados y carga sus imágenes.",
+    secondsPerImage: "Segundos por imagen",
+    transition: "Transición",
+    transitionDuration: "Duración de la transición (s)",
+    size: "Tamaño",
+    summary: { one: "{count} imagen · {seconds} s", other: "{count} imágenes · {seconds} s" },
+    preparing: "Preparando imágenes…",
+    recordingWebM: "Grabando WebM",
+    generatingGif: "Generando GIF",
+    webmHint: "La grabación WebM dura lo mismo que el vídeo.",
+    webmUnsupported: "Este navegador no puede grabar WebM; usa el GIF.",
+    gif: "GIF animado",
+    webm: "Grabar WebM",
+    webmError: "Error grabando el vídeo: {message}",
+    gifError: "Error generando el GIF: {message}",
+    transitions: {
+      fade: "Fundido",
+      slide: "Deslizar",
+      zoom: "Zoom suave",
+      cut: "Corte",
+    },
+    sizes: {
+      square: "Cuadrado {width}×{height}",
+      story: "Vertical {width}×{height}",
+      landscape: "Horizontal {width}×{height}",
+    },
+  },
+  site: {
+    subtitle: { one: "{start} – {end} · {done}/{count} día realizado", other: "{start} – {end} · {done}/{count} días realizados" },
+    dayTitle: "Día {day} · {prompt} — {title}",
+    done: "✓ Realizado",
+    noImages: "Sin imágenes.",
+    originalPost: "Publicación original",
+    previous: "← Día {day}",
+    next: "Día {day} →",
+  },  footer: {
+    storage: "Tus datos se almacenan **solo en este dispositivo** mediante IndexedDB (modo local/\"localhost\").",
+  },
+  help: {
+    title: "¿Cómo funciona Promptober Pop-Cine?",
+    whatTitle: "¿Qué es esto?",
+    whatText: "Un calendario interactivo para el desafío \"Promptober\" de octubre, donde cada día tienes un prompt de cine/pop culture para crear imágenes con IA.",
+    usageTitle: "Cómo usar la aplicación",
+    usageSteps: [
+      "**Selecciona un día** del calendario del reto (Octubre por defecto; puedes definir otros en \"Retos\")",
+      "**Pega la URL de tu publicación** con las imágenes (X/Twitter, Bluesky, Mastodon o ArtStation)",
+      "**Haz clic en \"Cargar\"** para extraer las imágenes automáticamente",
+      "**O añade URLs manuales** si la extracción automática falla",
+      "**O sube tus archivos** con el botón, arrastrándolos o pegándolos (Ctrl+V)",
+      "**Marca como realizado** cuando tengas las imágenes",
+    ],
+    storageTitle: "Almacenamiento de datos",
+    privacyTitle: "Información importante sobre la privacidad:",
+    privacyItems: [
+      "Todos los datos se guardan **solo en tu dispositivo**",
+      "Las imágenes se descargan y almacenan **localmente**",
+      "**No se envía nada a servidores externos** (excepto para descargar las imágenes)",
+      "Si borras el cache o los datos del navegador, **se perderá toda la información**",
+    ],
+    cacheTitle: "Sistema de Cache",
+    cacheIntro: "La aplicación usa un sistema inteligente de cache que:",
+    cacheItems: [
+      "Guarda las URLs de tweets para cargas rápidas",
+      "Descarga y almacena las imágenes localmente",
+      "Las imágenes se mantienen 1 año en cache (configurable en \"Gestionar cache\")",
+      "Si el cache supera el tamaño máximo, se borran primero las imágenes menos usadas",
+      "Las URLs se mantienen 1 año en cache",
+    ],
+    backupTitle: "Respaldo de datos",
+    backupIntro: "Para no perder tu progreso:",
+    backupItems: [
+      "Usa el botón **\"Exportar JSON\"** para descargar todos tus datos",
+      "Guarda el archivo JSON en un lugar seguro",
+      "Si cambias de dispositivo, usa **\"Importar JSON\"** para restaurar",
+      "Antes de importar verás qué días se añaden, cambian o entran en conflicto, y podrás elegir cómo mezclarlos",
+      "Usa **\"Copia completa\"** para guardar también las imágenes descargadas y subidas (ZIP)",
+      "Haz respaldos regulares para no perder tu trabajo",
+    ],
+    extrasTitle: "Funciones adicionales",
+    extrasItems: [
+      "**Lightbox:** Haz clic en las imágenes para verlas en grande: rueda o pellizco para zoom, doble toque para acercar, desliza o usa ←/→ para cambiar de imagen, +/− para zoom y Escape para cerrar",
+      "**Sets de prompts:** Crea, duplica y edita tus propias listas y elige cuál usar cada año",
+      "**Archivo:** Cambia de año con el selector junto al título o revisa todos los años en \"Archivo\"",
+      "**Modo oscuro:** Cambia el tema con el botón 🌙/☀️",
+      "**Idioma:** Elige español o inglés con el selector junto al botón del tema; los días de la semana y el primer día de la semana siguen el idioma elegido",
+      "**Galería:** Arrastra para reordenar, ☆ marca la favorita (portada del día), \"Ocultar\" la quita sin borrarla y ✎ añade pie de foto y texto alternativo",
+      "**Diario:** Anota el proceso en Markdown, la herramienta, el prompt y la seed; pulsa una etiqueta para filtrar el calendario",
+      "**Sin conexión:** Instala la app desde el navegador para abrirla offline; las imágenes en cache siguen visibles y los posts nuevos se cargan al volver la conexión",
+      "**Limpieza de cache:** Usa \"🗑️ Limpiar Cache\" para liberar espacio",
+      "**Navegación:** Usa las flechas en el lightbox para ver todas las imágenes",
+      "**Collage:** Genera la cuadrícula del mes (calendario, cuadrada, 16:9 o 4:5) con las imágenes en cache y descárgala en PNG o JPEG",
+      "**Vídeo resumen:** Una diapositiva por día completado con su prompt; descárgalo en WebM o como GIF animado",
+      "**Recordatorio:** A la hora elegida, si el día de hoy no está realizado, avisa con una notificación y su prompt (con opción de posponer) mientras la app esté abierta; los días completados no avisan",
+      "**Exportar web:** Descarga un ZIP con una web estática del reto (calendario, una página por día con imágenes y notas) que se abre directamente desde el disco",
+      "**Comparar:** En el lightbox, \"Comparar\" muestra dos variaciones lado a lado o con un deslizador; el zoom y el desplazamiento afectan a ambas",
+    ],
+    tip: "**Tip:** Si tienes problemas con la extracción automática de imágenes, siempre puedes añadir las URLs de las imágenes manualmente en el campo de abajo.",
+    scrollHint: "Desplázate para ver más contenido",
+    gotIt: "Entendido",
+  },
+};
@@ -0,0 +1,67 @@
+// ------------------------- Internacionalización -------------------------
+// Catálogos por idioma (es.js, en.js) con claves anidadas: t("header.archive").
+// Interpolación con {nombre}; los plurales son objetos { one, other } elegidos con Intl.PluralRules
+// a partir de `count`; las listas (p. ej. los pasos de la ayuda) son arrays y devuelven un array.
+// Si falta una clave se usa la del español y, en último caso, la propia clave.
+import es from "./es.js";
+import en from "./en.js";
+
+export const DEFAULT_LANGUAGE = "es";
+
+export const LANGUAGES = [
+  { id: "es", label: "Español", locale: "es-ES" },
+  { id: "en", label: "English", locale: "en-US" },
+];
+
+const CATALOGS = { es, en };
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// Idioma inicial: el del navegador si hay catálogo, si no el español
+export function detectLanguage(preferred = navigator.languages || [navigator.language]) {
+  const match = preferred.map((l) => String(l).slice(0, 2).toLowerCase()).find((l) => CATALOGS[l]);
+  return match || DEFAULT_LANGUAGE;
+}
+
+// Locale para Intl: la variante del navegador si es del mismo idioma (en-GB empieza la semana en lunes)
+export function resolveLocale(language, preferred = navigator.languages || [navigator.language]) {
+  const own = preferred.find((l) => String(l).toLowerCase().startsWith(`${language}-`));
+  return own || LANGUAGES.find((l) => l.id === language)?.locale || language;
+}
+
+export function translate(language, locale, key, vars = {}) {
+  let value = lookup(CATALOGS[language], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+  const interpolate = (text) => String(text).replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m));
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (typeof value === "object") value = value[new Intl.PluralRules(locale).select(vars.count ?? 0)] ?? value.other;
+  return interpolate(value);
+}
+
+// Claves del catálogo de referencia que faltan en `language` (para los self-tests)
+export function missingKeys(language) {
+  const keys = (node, prefix = "") =>
+    Object.entries(node).flatMap(([k, v]) => (v && typeof v === "object" && !Array.isArray(v) && !("other" in v) ? keys(v, `${prefix}${k}.`) : [`${prefix}${k}`]));
+  return keys(CATALOGS[DEFAULT_LANGUAGE]).filter((key) => lookup(CATALOGS[language], key) === undefined);
+}
+
+// Primer día de la semana del locale en numeración de Date#getDay (0 = domingo). Intl.Locale#getWeekInfo
+// (o la propiedad weekInfo en versiones anteriores); sin soporte se asume lunes.
+export function firstDayOfWeek(locale) {
+  try {
+    const intlLocale = new Intl.Locale(locale);
+    const info = intlLocale.getWeekInfo?.() || intlLocale.weekInfo;
+    if (info?.firstDay) return info.firstDay % 7;
+  } catch {
+    // locale no válido: caer al lunes
+  }
+  return 1;
+}
+
+// Iniciales de los días de la semana empezando por `weekStart` (0 = domingo)
+export function weekdayLabels(locale, weekStart, style = "narrow") {
+  const format = new Intl.DateTimeFormat(locale, { weekday: style });
+  // 7 de enero de 2024 fue domingo
+  return Array.from({ length: 7 }, (_, i) => format.format(new Date(2024, 0, 7 + ((weekStart + i) % 7))));
+}
@@ -0,0 +1,186 @@
+// ------------------------- Importación: validación, diff y estrategias de mezcla -------------------------
+// Funciones puras: PromptoberApp lee el archivo y los días locales, y escribe el resultado.
+// Los mensajes de error salen del catálogo (`importErrors.*`) con la función `t` que se recibe.
+import { normalizeDayState } from "./storage/dayState.js";
+
+// Nombre y descripción de cada estrategia en `importPreview.strategies.<id>`
+export const MERGE_STRATEGIES = ["overwrite", "keep", "merge", "newest"];
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string");
+}
+
+// Devuelve la lista de problemas de un DayState (vacía si es válido)
+export function validateDayState(d, t) {
+  if (!d || typeof d !== "object" || Array.isArray(d)) return [t("importErrors.dayNotObject")];
+  const errors = [];
+  if (typeof d.id !== "string" || !d.id) errors.push(t("importErrors.id"));
+  if (!Number.isInteger(d.year)) errors.push(t("importErrors.year"));
+  if (!Number.isInteger(d.day) || d.day < 1) errors.push(t("importErrors.day"));
+  if (typeof d.done !== "boolean") errors.push(t("importErrors.done"));
+  if (d.tweetUrl !== undefined && typeof d.tweetUrl !== "string") errors.push(t("importErrors.text", { field: "tweetUrl" }));
+  if (d.manualImageUrls !== undefined && !isStringArray(d.manualImageUrls)) errors.push(t("importErrors.textList", { field: "manualImageUrls" }));
+  if (d.localImageIds !== undefined && !isStringArray(d.localImageIds)) errors.push(t("importErrors.textList", { field: "localImageIds" }));
+  if (d.challengeId !== undefined && typeof d.challengeId !== "string") errors.push(t("importErrors.text", { field: "challengeId" }));
+  if (d.updatedAt !== undefined && typeof d.updatedAt !== "number") errors.push(t("importErrors.number", { field: "updatedAt" }));
+  if (d.images !== undefined && !(Array.isArray(d.images) && d.images.every((r) => r && typeof r.id === "string" && typeof r.url === "string"))) {
+    errors.push(t("importErrors.images"));
+  }
+  if (d.journal !== undefined) {
+    const j = d.journal;
+    if (!j || typeof j !== "object" || Array.isArray(j)) errors.push(t("importErrors.journal"));
+    else {
+      if (j.tags !== undefined && !isStringArray(j.tags)) errors.push(t("importErrors.textList", { field: "journal.tags" }));
+      ["notes", "tool", "generationPrompt", "seed", "settings"].forEach((k) => {
+        if (j[k] !== undefined && typeof j[k] !== "string") errors.push(t("importErrors.text", { field: `journal.${k}` }));
+      });
+    }
+  }
+  return errors;
+}
+
+export const EXPORT_FORMAT = "promptober-export";
+export const EXPORT_VERSION = 2;
+
+/**
+ * Lleva un archivo exportado al formato actual antes de validarlo.
+ * v1 (sin `format`/`version`, también el de la primera versión de la app): `{ year, month: 10, data }`
+ * o directamente la lista de días. Lanza un error si el archivo es de un formato más nuevo.
+ */
+export function upgradeExportFile(json, t) {
+  if (Array.isArray(json)) {
+    const data = json.map(normalizeDayState);
+    json = { year: data.find((d) => Number.isInteger(d?.year))?.year, month: 10, data };
+  }
+  if (!json || typeof json !== "object") return json;
+  const version = json.version ?? 1;
+  if (json.format !== undefined && json.format !== EXPORT_FORMAT) {
+    throw new Error(t("importErrors.notExport"));
+  }
+  if (version > EXPORT_VERSION) {
+    throw new Error(t("importErrors.tooNew", { version, supported: EXPORT_VERSION }));
+  }
+  let out = json;
+  if (version < 2) {
+    out = {
+      ...out,
+      month: out.month ?? 10,
+      data: Array.isArray(out.data) ? out.data.map(normalizeDayState) : out.data,
+    };
+  }
+  return { ...out, format: EXPORT_FORMAT, version: EXPORT_VERSION };
+}
+
+// Valida el sobre `{ year, month, data }`. `fatal` indica que no se puede importar nada.
+export function validateImport(json, t) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { fatal: true, errors: [t("importErrors.notObject")], days: [] };
+  }
+  const errors = [];
+  if (!Number.isInteger(json.year)) errors.push(t("importErrors.year"));
+  if (!Number.isInteger(json.month) || json.month < 1 || json.month > 12) errors.push(t("importErrors.month"));
+  if (!Array.isArray(json.data)) {
+    return { fatal: true, errors: [...errors, t("importErrors.data")], days: [] };
+  }
+  if (errors.length) return { fatal: true, errors, days: [] };
+
+  const days = [];
+  const seen = new Set();
+  json.data.forEach((d, i) => {
+    const dayErrors = validateDayState(d, t);
+    if (!dayErrors.length && seen.has(d.id)) dayErrors.push(t("importErrors.duplicateId", { id: d.id }));
+    if (dayErrors.length) {
+      errors.push(t("importErrors.entry", { index: i, id: d?.id ? ` (${d.id})` : "", errors: dayErrors.join(", ") }));
+    } else {
+      seen.add(d.id);
+      days.push(d);
+    }
+  });
+  return { fatal: false, errors, days };
+}
+
+function sameDay(a, b) {
+  const norm = (d) =>
+    JSON.stringify({
+      done: !!d.done,
+      tweetUrl: d.tweetUrl || "",
+      manualImageUrls: d.manualImageUrls || [],
+      localImageIds: d.localImageIds || [],
+      journal: d.journal || null,
+      images: d.images || [],
+    });
+  return norm(a) === norm(b);
+}
+
+function hasJournal(j) {
+  return !!j && Object.values(j).some((v) => (Array.isArray(v) ? v.length : v));
+}
+
+function hasContent(d) {
+  return !!(d.done || d.tweetUrl || d.manualImageUrls?.length || d.localImageIds?.length || hasJournal(d.journal));
+}
+
+// Une dos diarios: los textos locales ganan si no están vacíos, las etiquetas se combinan
+function mergeJournal(local, incoming) {
+  if (!hasJournal(local)) return incoming;
+  if (!hasJournal(incoming)) return local;
+  const out = { ...incoming, ...local };
+  Object.keys(incoming).forEach((k) => {
+    if (!local[k]) out[k] = incoming[k];
+  });
+  out.tags = union(local.tags, incoming.tags);
+  return out;
+}
+
+// Clasifica los días entrantes frente a los locales (`localById`: Map id → DayState)
+export function diffImport(incoming, localById) {
+  const diff = { added: [], changed: [], conflicts: [], unchanged: [] };
+  incoming.forEach((d) => {
+    const local = localById.get(d.id);
+    if (!local) diff.added.push(d);
+    else if (sameDay(local, d)) diff.unchanged.push(d);
+    else if (hasContent(local)) diff.conflicts.push(d);
+    else diff.changed.push(d);
+  });
+  return diff;
+}
+
+function union(a = [], b = []) {
+  return Array.from(new Set([...a, ...b]));
+}
+
+// Une los metadatos de imágenes por `id`: los locales ganan y las nuevas van al final
+function mergeImageRecords(local = [], incoming = []) {
+  const ids = new Set(local.map((r) => r.id));
+  return [...local, ...incoming.filter((r) => !ids.has(r.id))].map((r, position) => ({ ...r, position }));
+}
+
+// Registro a escribir para un día según la estrategia, o null si no hay que tocarlo
+export function resolveDay(local, incoming, strategy) {
+  if (!local) return incoming;
+  if (sameDay(local, incoming)) return null;
+  switch (strategy) {
+    case "keep":
+      return null;
+    case "merge":
+      return {
+        ...local,
+        done: !!(local.done || incoming.done),
+        tweetUrl: local.tweetUrl || incoming.tweetUrl || "",
+        manualImageUrls: union(local.manualImageUrls, incoming.manualImageUrls),
+        localImageIds: union(local.localImageIds, incoming.localImageIds),
+        journal: mergeJournal(local.journal, incoming.journal),
+        images: mergeImageRecords(local.images, incoming.images),
+        updatedAt: Date.now(),
+      };
+    case "newest":
+      return (incoming.updatedAt || 0) > (local.updatedAt || 0) ? incoming : null;
+    case "overwrite":
+    default:
+      return incoming;
+  }
+}
+
+export function planImport(incoming, localById, strategy) {
+  return incoming.map((d) => resolveDay(localById.get(d.id), d, strategy)).filter(Boolean);
+}
@@ -2,12 +2,24 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import PromptoberApp from './App.jsx'
 import { ThemeProvider } from './ThemeContext.jsx'
+import { LanguageProvider } from './LanguageContext.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ThemeProvider>
-      <PromptoberApp />
+      <LanguageProvider>
+        <PromptoberApp />
+      </LanguageProvider>
     </ThemeProvider>
   </React.StrictMode>,
 )
+
+// Service worker solo en el build: precarga la app y sirve imágenes cacheadas sin conexión
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+      console.warn('No se pudo registrar el service worker:', err)
+    })
+  })
+}
@@ -0,0 +1,86 @@
+// ------------------------- Markdown mínimo para las notas del diario -------------------------
+// Escapa todo el HTML antes de aplicar el formato, así el resultado se puede inyectar con
+// dangerouslySetInnerHTML. Soporta: títulos (#), listas (-, *, 1.), citas (>), bloques ```,
+// **negrita**, *cursiva*, `código`, [enlaces](https://…) y saltos de párrafo.
+
+function escapeHTML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function inline(text) {
+  return escapeHTML(text)
+    .replace(/`([^`]+)`/g, '<code class="rounded bg-gray-100 dark:bg-gray-700 px-1">$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noreferrer" class="text-blue-600 dark:text-blue-400 underline">$1</a>');
+}
+
+export function renderMarkdown(source) {
+  const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+  const out = [];
+  let list = null; // "ul" | "ol"
+  let paragraph = [];
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) out.push(`<p>${paragraph.map(inline).join("<br>")}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) out.push(`</${list}>`);
+    list = null;
+  };
+
+  for (const line of lines) {
+    if (code) {
+      if (/^```/.test(line)) {
+        out.push(`<pre class="overflow-x-auto rounded bg-gray-100 dark:bg-gray-700 p-2"><code>${escapeHTML(code.join("\n"))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (/^```/.test(line)) {
+      flushParagraph();
+      closeList();
+      code = [];
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      closeList();
+      const level = heading[1].length + 2; // h3..h5 dentro de la tarjeta
+      out.push(`<h${level} class="font-semibold">${inline(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const type = bullet ? "ul" : "ol";
+      if (list !== type) {
+        closeList();
+        out.push(type === "ul" ? '<ul class="list-disc pl-5">' : '<ol class="list-decimal pl-5">');
+        list = type;
+      }
+      out.push(`<li>${inline((bullet || numbered)[1])}</li>`);
+    } else if (quote) {
+      flushParagraph();
+      closeList();
+      out.push(`<blockquote class="border-l-4 border-gray-300 dark:border-gray-600 pl-3 italic">${inline(quote[1])}</blockquote>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+  if (code) out.push(`<pre class="overflow-x-auto rounded bg-gray-100 dark:bg-gray-700 p-2"><code>${escapeHTML(code.join("\n"))}</code></pre>`);
+  flushParagraph();
+  closeList();
+  return out.join("\n");
+}
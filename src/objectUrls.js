@@ -0,0 +1,61 @@
+// ------------------------- Object URLs con contador de referencias -------------------------
+// Una misma imagen puede mostrarse en varios sitios (galería, portada, lightbox). Cada uso adquiere
+// la URL por clave y la libera al terminar; la URL se revoca cuando nadie la usa. Los usos se
+// agrupan en ámbitos (p. ej. el día seleccionado) que se liberan de una vez.
+
+export function createObjectUrlManager({ create = (blob) => URL.createObjectURL(blob), revoke = (url) => URL.revokeObjectURL(url) } = {}) {
+  const entries = new Map(); // clave → { url, refs }
+
+  const manager = {
+    // Devuelve la URL de `key` (la crea a partir de `blob` si todavía no existe) y suma una referencia
+    acquire(key, blob) {
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { url: create(blob), refs: 0 };
+        entries.set(key, entry);
+      }
+      entry.refs++;
+      return entry.url;
+    },
+
+    // Resta una referencia; con cero se revoca la URL
+    release(key) {
+      const entry = entries.get(key);
+      if (!entry) return;
+      if (--entry.refs <= 0) {
+        revoke(entry.url);
+        entries.delete(key);
+      }
+    },
+
+    // Número de URLs vivas (para depurar fugas)
+    get size() {
+      return entries.size;
+    },
+
+    // Ámbito: recuerda lo que adquiere para liberarlo todo junto con releaseAll()
+    scope() {
+      const keys = [];
+      return {
+        acquire(key, blob) {
+          keys.push(key);
+          return manager.acquire(key, blob);
+        },
+        release(key) {
+          const i = keys.indexOf(key);
+          if (i < 0) return;
+          keys.splice(i, 1);
+          manager.release(key);
+        },
+        releaseAll() {
+          keys.splice(0).forEach((key) => manager.release(key));
+        },
+      };
+    },
+  };
+
+  return manager;
+}
+
+// Gestor compartido por toda la app
+export const objectUrls = createObjectUrlManager();
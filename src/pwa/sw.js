@@ -0,0 +1,114 @@
+// ------------------------- Service worker -------------------------
+// Lo genera el plugin `pwa()` de vite.config.js al compilar, rellenando la versión del cache
+// y la lista de archivos del build. No se registra en desarrollo.
+//  - Precarga el build de Vite para que la app abra sin conexión.
+//  - Navegaciones: red primero, index.html precargado si no hay conexión.
+//  - Imágenes: primero el store `images` de IndexedDB (el cache de la app), luego la red.
+//  - Recordatorios: los botones de la notificación se reenvían a la pestaña, que es quien los programa.
+
+const CACHE_NAME = "promptober-__CACHE_VERSION__";
+const PRECACHE = __PRECACHE__;
+
+const DB_NAME = "promptoberDB";
+const IMAGES_STORE_NAME = "images";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("promptober-") && k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Abre la base de datos de la app sin pedir versión: las migraciones son cosa de la app.
+// Si todavía no existe se aborta la creación para no dejar una base vacía en v1.
+function openAppDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getCachedImage(url) {
+  const db = await openAppDB();
+  try {
+    if (!db.objectStoreNames.contains(IMAGES_STORE_NAME)) return null;
+    return await new Promise((resolve, reject) => {
+      const req = db.transaction(IMAGES_STORE_NAME, "readonly").objectStore(IMAGES_STORE_NAME).get(url);
+      req.onsuccess = () => resolve(req.result?.blob || null);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function imageResponse(request) {
+  try {
+    const blob = await getCachedImage(request.url);
+    if (blob) {
+      return new Response(blob, { headers: { "Content-Type": blob.type || "application/octet-stream" } });
+    }
+  } catch (err) {
+    console.warn("SW: error leyendo el cache de imágenes", err);
+  }
+  return fetch(request);
+}
+
+async function navigationResponse(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.match("index.html")) || (await cache.match("./")) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigationResponse(request));
+    return;
+  }
+  if (request.destination === "image") {
+    event.respondWith(imageResponse(request));
+    return;
+  }
+  if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(caches.match(request).then((hit) => hit || fetch(request)));
+  }
+});
+
+// Acciones del recordatorio diario: "snooze" pospone, el clic normal abre el día
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const message = { type: event.action === "snooze" ? "reminder-snooze" : "reminder-open", target: event.notification.data };
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((list) => {
+      list.forEach((client) => client.postMessage(message));
+      if (message.type === "reminder-open") {
+        const client = list[0];
+        return client ? client.focus() : self.clients.openWindow("./");
+      }
+      return undefined;
+    })
+  );
+});
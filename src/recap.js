@@ -0,0 +1,175 @@
+// ------------------------- Vídeo resumen del reto -------------------------
+// Diapositivas (una imagen por día completado) con el prompt como rótulo y transiciones.
+// `recapFrameAt` es puro; `drawRecapFrame` pinta en un canvas; `recordWebM` graba en tiempo
+// real con MediaRecorder y `renderGif` genera los fotogramas uno a uno con gif.js.
+import { createGifEncoder } from "./gif.js";
+
+// Los nombres visibles están en el catálogo (`recap.transitions.<id>`, `recap.sizes.<id>`)
+export const RECAP_TRANSITIONS = ["fade", "slide", "zoom", "cut"];
+
+export const RECAP_SIZES = [
+  { id: "square", width: 1080, height: 1080 },
+  { id: "story", width: 1080, height: 1920 },
+  { id: "landscape", width: 1920, height: 1080 },
+];
+
+export function recapDuration(slideCount, slideMs) {
+  return slideCount * slideMs;
+}
+
+/**
+ * Qué se ve en el instante `t` (ms): diapositiva actual, progreso dentro de ella (0–1) y,
+ * durante los últimos `transitionMs`, la siguiente con el avance de la transición (0–1).
+ */
+export function recapFrameAt(t, slideCount, { slideMs, transitionMs, transition }) {
+  const total = recapDuration(slideCount, slideMs);
+  const time = Math.max(0, Math.min(t, total - 1));
+  const index = Math.floor(time / slideMs);
+  const local = time - index * slideMs;
+  const transitionStart = slideMs - transitionMs;
+  const hasNext = transition !== "cut" && index < slideCount - 1 && transitionMs > 0 && local >= transitionStart;
+  return {
+    index,
+    progress: local / slideMs,
+    next: hasNext ? index + 1 : null,
+    mix: hasNext ? (local - transitionStart) / transitionMs : 0,
+  };
+}
+
+function drawImageCover(ctx, bitmap, width, height, zoom = 1) {
+  const scale = Math.max(width / bitmap.width, height / bitmap.height) * zoom;
+  const w = bitmap.width * scale;
+  const h = bitmap.height * scale;
+  ctx.drawImage(bitmap, (width - w) / 2, (height - h) / 2, w, h);
+}
+
+function wrapLines(ctx, text, maxWidth, maxLines) {
+  const words = text.split(/\s+/);
+  const lines = [];
+  let line = "";
+  words.forEach((word) => {
+    const test = line ? `${line} ${word}` : word;
+    if (ctx.measureText(test).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = test;
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += "…";
+  }
+  return lines;
+}
+
+function drawSlide(ctx, slide, bitmap, width, height, progress, transition) {
+  ctx.fillStyle = "#111827";
+  ctx.fillRect(0, 0, width, height);
+  if (bitmap) drawImageCover(ctx, bitmap, width, height, transition === "zoom" ? 1 + 0.08 * progress : 1);
+
+  const unit = Math.min(width, height) / 1080;
+  const band = 260 * unit;
+  const gradient = ctx.createLinearGradient(0, height - band, 0, height);
+  gradient.addColorStop(0, "rgba(0,0,0,0)");
+  gradient.addColorStop(1, "rgba(0,0,0,0.8)");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, height - band, width, band);
+
+  ctx.fillStyle = "#ffffff";
+  ctx.textBaseline = "alphabetic";
+  ctx.font = `600 ${34 * unit}px system-ui, sans-serif`;
+  ctx.fillText(slide.label, 48 * unit, height - 150 * unit);
+  ctx.font = `bold ${56 * unit}px system-ui, sans-serif`;
+  wrapLines(ctx, slide.caption, width - 96 * unit, 2)
+    .reverse()
+    .forEach((line, i) => ctx.fillText(line, 48 * unit, height - 48 * unit - i * 64 * unit));
+}
+
+/**
+ * Pinta el fotograma `frame` (de recapFrameAt). `slides`: [{ label, caption }], `bitmaps[i]`: ImageBitmap o null.
+ */
+export function drawRecapFrame(ctx, frame, slides, bitmaps, { width, height, transition }) {
+  const { index, progress, next, mix } = frame;
+  ctx.save();
+  ctx.globalAlpha = 1;
+  if (next !== null && transition === "slide") {
+    ctx.translate(-width * mix, 0);
+    drawSlide(ctx, slides[index], bitmaps[index], width, height, progress, transition);
+    ctx.translate(width, 0);
+    drawSlide(ctx, slides[next], bitmaps[next], width, height, 0, transition);
+  } else {
+    drawSlide(ctx, slides[index], bitmaps[index], width, height, progress, transition);
+    if (next !== null) {
+      ctx.globalAlpha = mix;
+      drawSlide(ctx, slides[next], bitmaps[next], width, height, 0, transition);
+    }
+  }
+  ctx.restore();
+}
+
+export function canRecordWebM() {
+  return typeof MediaRecorder !== "undefined" && typeof HTMLCanvasElement.prototype.captureStream === "function";
+}
+
+/**
+ * Graba `durationMs` de animación en tiempo real: `draw(t)` pinta el canvas en cada frame.
+ * `onProgress(0–1)` durante la grabación; `signal` la cancela. Devuelve un Blob WebM.
+ */
+export function recordWebM(canvas, draw, durationMs, { fps = 30, onProgress, signal } = {}) {
+  const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) => MediaRecorder.isTypeSupported(t));
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType, videoBitsPerSecond: 8_000_000 } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+
+  return new Promise((resolve, reject) => {
+    let failure = null;
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      if (failure) reject(failure);
+      else resolve(new Blob(chunks, { type: "video/webm" }));
+    };
+    recorder.onerror = (e) => reject(e.error || new Error("Error de MediaRecorder"));
+
+    draw(0);
+    recorder.start();
+    const start = performance.now();
+    // Si se cancela (el modal se cierra) o un fotograma falla, se para la grabación y se liberan las pistas
+    const tick = () => {
+      const t = performance.now() - start;
+      try {
+        signal?.throwIfAborted();
+        draw(Math.min(t, durationMs));
+        onProgress?.(Math.min(t / durationMs, 1));
+      } catch (error) {
+        failure = error;
+        recorder.stop();
+        return;
+      }
+      if (t < durationMs) requestAnimationFrame(tick);
+      else recorder.stop();
+    };
+    requestAnimationFrame(tick);
+  });
+}
+
+/**
+ * GIF animado (alternativa sin MediaRecorder): fotogramas a `fps` y a la resolución del canvas.
+ * Cede el hilo entre fotogramas para que la interfaz siga respondiendo; `signal` la cancela entre fotogramas.
+ */
+export async function renderGif(canvas, draw, durationMs, { fps = 10, onProgress, signal } = {}) {
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const encoder = createGifEncoder(canvas.width, canvas.height);
+  const frameMs = 1000 / fps;
+  const count = Math.ceil(durationMs / frameMs);
+  for (let i = 0; i < count; i++) {
+    signal?.throwIfAborted();
+    draw(i * frameMs);
+    encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, frameMs);
+    onProgress?.((i + 1) / count);
+    await new Promise((r) => setTimeout(r, 0));
+  }
+  return encoder.finish();
+}
@@ -0,0 +1,47 @@
+// ------------------------- Recordatorios diarios -------------------------
+// Cálculo puro de cuándo toca avisar. El aviso se programa con setTimeout mientras la pestaña
+// está abierta y se muestra con la Notification API (vía service worker si está registrado).
+
+// RemindersSettings (ajuste "reminders")
+// {
+//   enabled: boolean;
+//   time: "HH:MM"; // hora local del aviso
+//   snoozeMinutes: number;
+//   snoozeUntil: number | null; // timestamp
+//   lastHandled: "YYYY-MM-DD" | null; // día ya avisado o ya completado (no volver a avisar)
+// }
+export const DEFAULT_REMINDERS = { enabled: false, time: "20:00", snoozeMinutes: 60, snoozeUntil: null, lastHandled: null };
+
+// Etiqueta de la notificación: un aviso nuevo sustituye al anterior
+export const REMINDER_TAG = "promptober-reminder";
+
+export function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function reminderTimeOn(date, time) {
+  const [h, m] = String(time || DEFAULT_REMINDERS.time).split(":").map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), h || 0, m || 0);
+}
+
+/**
+ * Próximo instante en el que hay que comprobar el recordatorio (puede ser `now` si ya toca),
+ * o null si están desactivados.
+ */
+export function nextReminderCheck(now, settings) {
+  if (!settings?.enabled) return null;
+  // Un aviso pospuesto vence a su hora aunque el día ya se haya avisado
+  if (settings.snoozeUntil) return settings.snoozeUntil > now.getTime() ? new Date(settings.snoozeUntil) : now;
+  if (settings.lastHandled === dateKey(now)) {
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    return reminderTimeOn(tomorrow, settings.time);
+  }
+  const today = reminderTimeOn(now, settings.time);
+  return today > now ? today : now;
+}
+
+export function isReminderDue(now, settings) {
+  const next = nextReminderCheck(now, settings);
+  return !!next && next.getTime() <= now.getTime();
+}
@@ -0,0 +1,169 @@
+// ------------------------- Exportación como web estática (ZIP) -------------------------
+// Estructura:
+//   index.html            → calendario del reto (como CalendarOctober) con la portada de cada día
+//   dias/dia-NN.html      → prompt, imágenes, notas del diario y enlaces anterior/siguiente
+//   imagenes/dia-NN-K.ext → blobs copiados del cache de IndexedDB
+//   estilos.css
+// Solo enlaces relativos y sin JavaScript: funciona abriendo index.html desde el disco.
+// Los textos salen del catálogo con la `t` del idioma activo, igual que en la app.
+import { createZip } from "./zip.js";
+import { renderMarkdown } from "./markdown.js";
+import { weekdayLabels } from "./i18n/index.js";
+
+const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/avif": "avif", "image/svg+xml": "svg" };
+
+function esc(text) {
+  return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+export const dayPagePath = (day) => `dias/dia-${pad(day)}.html`;
+
+// Celdas del calendario (null = hueco) con la semana empezando en `weekStart` (0 = domingo)
+export function calendarCells(startDow, length, weekStart = 1) {
+  const offset = (startDow - weekStart + 7) % 7;
+  const cells = [...Array(offset).fill(null), ...Array.from({ length }, (_, i) => i + 1)];
+  while (cells.length % 7) cells.push(null);
+  return cells;
+}
+
+const CSS = `
+:root { color-scheme: light dark; --bg: #fff; --fg: #111827; --muted: #6b7280; --card: #f9fafb; --border: #e5e7eb; --done-bg: #dcfce7; --done: #22c55e; --accent: #2563eb; }
+@media (prefers-color-scheme: dark) { :root { --bg: #111827; --fg: #f3f4f6; --muted: #9ca3af; --card: #374151; --border: #4b5563; --done-bg: rgba(20, 83, 45, 0.3); --done: #4ade80; --accent: #60a5fa; } }
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--fg); font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; }
+main { max-width: 72rem; margin: 0 auto; padding: 2rem 1rem; }
+a { color: var(--accent); }
+h1 { margin: 0 0 .25rem; font-size: 1.5rem; }
+.muted { color: var(--muted); font-size: .875rem; }
+.calendar { display: grid; grid-template-columns: repeat(7, 1fr); gap: .25rem; margin-top: 1.5rem; }
+.dow { text-align: center; font-size: .75rem; color: var(--muted); padding: .25rem 0; }
+.cell { position: relative; display: flex; flex-direction: column; min-height: 6rem; padding: .5rem; border: 1px solid var(--border); border-radius: .5rem; background: var(--card); color: inherit; text-decoration: none; font-size: 11px; line-height: 1.2; overflow: hidden; }
+.cell.empty { opacity: .4; background: transparent; }
+.cell.done { background: var(--done-bg); border-color: var(--done); }
+.cell:hover { outline: 2px solid var(--accent); }
+.cell .date { font-size: 10px; font-weight: 600; opacity: .8; }
+.cell .dot { position: absolute; top: .25rem; right: .25rem; width: .5rem; height: .5rem; border-radius: 50%; background: var(--done); }
+.cell img { width: 100%; aspect-ratio: 1; object-fit: cover; border-radius: .375rem; margin: .25rem 0; }
+.cell .prompt { margin-top: .25rem; word-break: break-word; }
+.nav { display: flex; justify-content: space-between; margin: 1rem 0; }
+.gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(16rem, 1fr)); gap: .75rem; margin: 1.5rem 0; }
+figure { margin: 0; }
+figure img { width: 100%; border-radius: .75rem; border: 1px solid var(--border); }
+figcaption { font-size: .8rem; color: var(--muted); margin-top: .25rem; }
+.card { border: 1px solid var(--border); border-radius: 1rem; padding: 1rem; margin-top: 1rem; }
+.tags span { display: inline-block; border: 1px solid var(--border); border-radius: 999px; padding: 0 .5rem; margin: 0 .25rem .25rem 0; font-size: .75rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; margin: 0; }
+dt { font-weight: 600; }
+dd { margin: 0; white-space: pre-wrap; }
+pre, code { background: var(--card); border-radius: .25rem; padding: 0 .25rem; }
+pre { padding: .5rem; overflow-x: auto; }
+blockquote { border-left: 4px solid var(--border); margin: 0; padding-left: .75rem; font-style: italic; }
+`;
+
+function page(lang, title, body, root = "") {
+  return `<!DOCTYPE html>
+<html lang="${esc(lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(title)}</title>
+<link rel="stylesheet" href="${root}estilos.css">
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function journalSection(journal, t) {
+  if (!journal) return "";
+  const details = [
+    [t("journal.tool"), journal.tool],
+    [t("journal.generationPrompt"), journal.generationPrompt],
+    [t("journal.seed"), journal.seed],
+    [t("journal.settings"), journal.settings],
+  ].filter(([, v]) => v);
+  const parts = [];
+  if (journal.notes) parts.push(`<div class="notes">${renderMarkdown(journal.notes)}</div>`);
+  if (journal.tags?.length) parts.push(`<p class="tags">${journal.tags.map((tag) => `<span>#${esc(tag)}</span>`).join("")}</p>`);
+  if (details.length) parts.push(`<dl>${details.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join("")}</dl>`);
+  return parts.length ? `<section class="card">${parts.join("\n")}</section>` : "";
+}
+
+/**
+ * Genera el ZIP de la web. `days[i]`: { day, dateLabel, prompt, state, images: [{ blob, caption, alt }] }.
+ * `t`, `locale` y `weekStart` vienen de useI18n: textos, `<html lang>` y orden de la semana.
+ * `onProgress(done, total)` avanza por cada archivo escrito en el ZIP.
+ */
+export async function buildStaticSite({ title, subtitle, startDow, days, t, locale, weekStart }, onProgress) {
+  const files = [{ name: "estilos.css", data: CSS }];
+  const imagePaths = days.map((d) =>
+    d.images.map((img, k) => {
+      const path = `imagenes/dia-${pad(d.day)}-${k + 1}.${EXTENSIONS[img.blob.type] || "img"}`;
+      files.push({ name: path, data: img.blob });
+      return path;
+    })
+  );
+
+  const cells = calendarCells(startDow, days.length, weekStart)
+    .map((n) => {
+      if (n === null) return `<div class="cell empty"></div>`;
+      const d = days[n - 1];
+      const cover = imagePaths[n - 1][0];
+      return `<a class="cell${d.state?.done ? " done" : ""}" href="${dayPagePath(n)}" title="${esc(t("calendar.cellTitle", { day: n, date: d.dateLabel, prompt: d.prompt }))}">
+<span class="date">${esc(d.dateLabel)}</span>${d.state?.done ? '<span class="dot"></span>' : ""}
+${cover ? `<img src="${cover}" alt="${esc(d.images[0].alt || d.prompt)}" loading="lazy">` : ""}
+<span class="prompt">${esc(d.prompt)}</span>
+</a>`;
+    })
+    .join("\n");
+  files.push({
+    name: "index.html",
+    data: page(
+      locale,
+      title,
+      `<h1>${esc(title)}</h1>
+<p class="muted">${esc(subtitle)}</p>
+<div class="calendar">
+${weekdayLabels(locale, weekStart)
+  .map((w) => `<div class="dow">${esc(w)}</div>`)
+  .join("")}
+${cells}
+</div>`
+    ),
+  });
+
+  days.forEach((d, i) => {
+    const prev = i > 0 ? `<a href="../${dayPagePath(d.day - 1)}">${esc(t("site.previous", { day: d.day - 1 }))}</a>` : "<span></span>";
+    const next = i < days.length - 1 ? `<a href="../${dayPagePath(d.day + 1)}">${esc(t("site.next", { day: d.day + 1 }))}</a>` : "<span></span>";
+    const gallery = d.images
+      .map(
+        (img, k) =>
+          `<figure><a href="../${imagePaths[i][k]}"><img src="../${imagePaths[i][k]}" alt="${esc(img.alt || img.caption || d.prompt)}" loading="lazy"></a>${
+            img.caption ? `<figcaption>${esc(img.caption)}</figcaption>` : ""
+          }</figure>`
+      )
+      .join("\n");
+    files.push({
+      name: dayPagePath(d.day),
+      data: page(
+        locale,
+        t("site.dayTitle", { day: d.day, prompt: d.prompt, title }),
+        `<p><a href="../index.html">← ${esc(title)}</a></p>
+<p class="muted">${esc(t("day.labelWithDate", { day: d.day, date: d.dateLabel }))}${d.state?.done ? ` · ${esc(t("site.done"))}` : ""}</p>
+<h1>${esc(d.prompt)}</h1>
+${gallery ? `<div class="gallery">${gallery}</div>` : `<p class="muted">${esc(t("site.noImages"))}</p>`}
+${/^https?:\/\//i.test(d.state?.tweetUrl || "") ? `<p><a href="${esc(d.state.tweetUrl)}" rel="noreferrer">${esc(t("site.originalPost"))}</a></p>` : ""}
+${journalSection(d.state?.journal, t)}
+<nav class="nav">${prev}${next}</nav>`,
+        "../"
+      ),
+    });
+  });
+
+  return createZip(files, onProgress);
+}
@@ -0,0 +1,37 @@
+// ------------------------- Adaptador: ArtStation -------------------------
+// JSON público del proyecto: https://www.artstation.com/projects/<hash>.json
+// Si el navegador lo bloquea por CORS, se reintenta a través de allorigins.
+import { SourceError } from "./errors.js";
+
+const ARTWORK_REGEX = /^https?:\/\/(?:www\.)?artstation\.com\/artwork\/([A-Za-z0-9]+)/i;
+
+async function fetchProjectJson(hash, fetchImpl) {
+  const endpoint = `https://www.artstation.com/projects/${hash}.json`;
+  try {
+    const res = await fetchImpl(endpoint);
+    if (res.ok) return res.json();
+  } catch (error) {
+    console.warn("ArtStation directo falló:", error.message);
+  }
+  const res = await fetchImpl(`https://api.allorigins.win/get?url=${encodeURIComponent(endpoint)}`);
+  if (!res.ok) throw new SourceError("http", { platform: "ArtStation", status: res.status });
+  const data = await res.json();
+  return JSON.parse(data.contents);
+}
+
+export default {
+  id: "artstation",
+  label: "ArtStation",
+  matches(url) {
+    return ARTWORK_REGEX.test(url);
+  },
+  async fetchMedia(url, fetchImpl = fetch) {
+    const [, hash] = url.match(ARTWORK_REGEX);
+    const project = await fetchProjectJson(hash, fetchImpl);
+    const images = (project.assets || [])
+      .filter((a) => a.asset_type === "image" && a.has_image !== false)
+      .map((a) => a.image_url)
+      .filter(Boolean);
+    return { images, html: "" };
+  },
+};
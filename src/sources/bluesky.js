@@ -0,0 +1,40 @@
+// ------------------------- Adaptador: Bluesky -------------------------
+// API pública del AppView (sin autenticación): resolveHandle + getPostThread.
+import { SourceError } from "./errors.js";
+
+const API = "https://public.api.bsky.app/xrpc";
+const POST_REGEX = /^https?:\/\/(www\.)?bsky\.app\/profile\/([^/]+)\/post\/([A-Za-z0-9]+)/i;
+
+// Imágenes de un embed de post (imágenes sueltas o cita con imágenes)
+export function extractBlueskyImages(embed) {
+  if (!embed) return [];
+  if (embed.$type === "app.bsky.embed.images#view") {
+    return (embed.images || []).map((img) => img.fullsize).filter(Boolean);
+  }
+  if (embed.$type === "app.bsky.embed.recordWithMedia#view") {
+    return extractBlueskyImages(embed.media);
+  }
+  return [];
+}
+
+export default {
+  id: "bluesky",
+  label: "Bluesky",
+  matches(url) {
+    return POST_REGEX.test(url);
+  },
+  async fetchMedia(url, fetchImpl = fetch) {
+    const [, , actor, rkey] = url.match(POST_REGEX);
+    let did = actor;
+    if (!actor.startsWith("did:")) {
+      const res = await fetchImpl(`${API}/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(actor)}`);
+      if (!res.ok) throw new SourceError("http", { platform: "Bluesky", status: res.status });
+      did = (await res.json()).did;
+    }
+    const uri = `at://${did}/app.bsky.feed.post/${rkey}`;
+    const res = await fetchImpl(`${API}/app.bsky.feed.getPostThread?depth=0&uri=${encodeURIComponent(uri)}`);
+    if (!res.ok) throw new SourceError("http", { platform: "Bluesky", status: res.status });
+    const data = await res.json();
+    return { images: extractBlueskyImages(data?.thread?.post?.embed), html: "" };
+  },
+};
@@ -0,0 +1,12 @@
+// ------------------------- Errores de los adaptadores -------------------------
+// Los adaptadores no traducen: lanzan un código (`sourceErrors.<code>` en el catálogo) con sus
+// valores y la UI compone el mensaje con t() en el idioma activo.
+
+export class SourceError extends Error {
+  constructor(code, params = {}) {
+    super(`Source error "${code}" ${JSON.stringify(params)}`);
+    this.name = "SourceError";
+    this.code = code;
+    this.params = params;
+  }
+}
@@ -0,0 +1,43 @@
+// ------------------------- Adaptadores de origen de publicaciones -------------------------
+// Cada adaptador expone:
+//   id, label
+//   matches(url) → boolean
+//   fetchMedia(url, fetchImpl = fetch) → Promise<{ images: string[]; html: string; embedScript?: string }>
+// `fetchImpl` permite probar cada adaptador con respuestas grabadas (ver ./selfTests.js).
+// Los fallos conocidos se lanzan como SourceError (código + valores) y la UI los traduce.
+import x from "./x.js";
+import bluesky from "./bluesky.js";
+import artstation from "./artstation.js";
+import mastodon from "./mastodon.js";
+import { SourceError } from "./errors.js";
+
+// Mastodon va al final: su patrón (/@usuario/<id>) vale para cualquier dominio
+export const SOURCE_ADAPTERS = [x, bluesky, artstation, mastodon];
+
+// Plataformas que se reconocen pero no se pueden extraer desde el navegador. Instagram: la API y el
+// oEmbed exigen un token de Meta y su CDN no permite descargar las imágenes desde otro origen (CORS).
+// La UI pide añadir las URLs a mano o subir los archivos.
+export const UNSUPPORTED_SOURCES = [
+  { id: "instagram", label: "Instagram", pattern: /^https?:\/\/(www\.)?instagram\.com\/(?:[^/]+\/)?(p|reel)\/[A-Za-z0-9_-]+/i },
+];
+
+export function detectSource(url) {
+  return SOURCE_ADAPTERS.find((adapter) => adapter.matches(url)) || null;
+}
+
+export function detectUnsupportedSource(url) {
+  return UNSUPPORTED_SOURCES.find((source) => source.pattern.test(url)) || null;
+}
+
+export async function fetchPostMedia(url, fetchImpl = fetch) {
+  const adapter = detectSource(url);
+  if (!adapter) {
+    const unsupported = detectUnsupportedSource(url);
+    throw unsupported ? new SourceError("unsupported", { platform: unsupported.label }) : new SourceError("unknownPlatform");
+  }
+  const result = await adapter.fetchMedia(url, fetchImpl);
+  return { source: adapter.id, ...result };
+}
+
+export { extractImgSrcsFromHTML } from "./x.js";
+export { SourceError } from "./errors.js";
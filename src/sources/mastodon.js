@@ -0,0 +1,49 @@
+// ------------------------- Adaptador: Mastodon (cualquier instancia) -------------------------
+// API pública de estados: GET https://<instancia>/api/v1/statuses/<id>
+// El patrón /@usuario/<id> también lo usan otras webs (p. ej. Medium), así que la respuesta se
+// valida antes de leerla: si no tiene forma de estado de Mastodon se lanza el código NOT_MASTODON.
+import { SourceError } from "./errors.js";
+
+export const NOT_MASTODON = "notMastodon";
+
+const STATUS_REGEXES = [
+  /^https?:\/\/([^/]+)\/@[^/]+\/(\d+)/i, // https://mastodon.social/@user/123
+  /^https?:\/\/([^/]+)\/users\/[^/]+\/statuses\/(\d+)/i, // https://mastodon.social/users/user/statuses/123
+];
+
+// Un estado de la API trae `id`, `url` (o `uri`) y la lista `media_attachments`
+function isStatus(data) {
+  return !!data && typeof data === "object" && typeof data.id === "string" && typeof (data.url ?? data.uri) === "string" && Array.isArray(data.media_attachments);
+}
+
+function parseStatusUrl(url) {
+  for (const regex of STATUS_REGEXES) {
+    const m = url.match(regex);
+    if (m) return { instance: m[1], id: m[2] };
+  }
+  return null;
+}
+
+export default {
+  id: "mastodon",
+  label: "Mastodon",
+  matches(url) {
+    return !!parseStatusUrl(url);
+  },
+  async fetchMedia(url, fetchImpl = fetch) {
+    const { instance, id } = parseStatusUrl(url);
+    const res = await fetchImpl(`https://${instance}/api/v1/statuses/${id}`);
+    if (!res.ok) throw new SourceError("http", { platform: "Mastodon", status: res.status });
+    let data;
+    try {
+      data = await res.json();
+    } catch {
+      throw new SourceError(NOT_MASTODON, { instance });
+    }
+    // Los boosts traen el contenido en `reblog`
+    const status = isStatus(data?.reblog) ? data.reblog : data;
+    if (!isStatus(status)) throw new SourceError(NOT_MASTODON, { instance });
+    const images = status.media_attachments.filter((m) => m?.type === "image" && typeof m.url === "string").map((m) => m.url);
+    return { images, html: "" };
+  },
+};
@@ -0,0 +1,87 @@
+// ------------------------- Self Tests de adaptadores (respuestas grabadas) -------------------------
+// Cada prueba sustituye `fetch` por una función que sirve fixtures con la forma real de cada API.
+import { detectSource, detectUnsupportedSource, fetchPostMedia } from "./index.js";
+import { NOT_MASTODON } from "./mastodon.js";
+import { SourceError } from "./errors.js";
+import blueskyHandle from "./fixtures/bluesky-resolveHandle.json";
+import blueskyThread from "./fixtures/bluesky-getPostThread.json";
+import mastodonStatus from "./fixtures/mastodon-status.json";
+import artstationProject from "./fixtures/artstation-project.json";
+import xOembed from "./fixtures/x-oembed.json";
+import xProxyText from "./fixtures/x-proxy.txt?raw";
+
+// Devuelve un fetch falso: `routes` es una lista de [prefijo de URL, cuerpo]; lo demás responde 404
+function fixtureFetch(routes) {
+  return async (url) => {
+    const route = routes.find(([prefix]) => url.startsWith(prefix));
+    if (!route) return new Response("not found", { status: 404 });
+    const body = typeof route[1] === "string" ? route[1] : JSON.stringify(route[1]);
+    return new Response(body, { status: 200 });
+  };
+}
+
+export async function runSourceAdapterTests() {
+  try {
+    // Detección de plataforma
+    console.assert(detectSource("https://x.com/a/status/1")?.id === "x", "detectSource X fallo");
+    console.assert(detectSource("https://bsky.app/profile/a.bsky.social/post/3l6oveex3ii2l")?.id === "bluesky", "detectSource Bluesky fallo");
+    console.assert(detectSource("https://mastodon.social/@artist/113245678901234567")?.id === "mastodon", "detectSource Mastodon fallo");
+    console.assert(
+      detectSource("https://www.instagram.com/p/DAbc123_x/") === null && detectUnsupportedSource("https://www.instagram.com/p/DAbc123_x/")?.id === "instagram",
+      "detectSource Instagram no soportado fallo"
+    );
+    console.assert(detectSource("https://www.artstation.com/artwork/Xy12Ab")?.id === "artstation", "detectSource ArtStation fallo");
+    console.assert(detectSource("https://example.com/foo") === null, "detectSource desconocido fallo");
+
+    const bsky = await fetchPostMedia(
+      "https://bsky.app/profile/artist.bsky.social/post/3l6oveex3ii2l",
+      fixtureFetch([
+        ["https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle", blueskyHandle],
+        ["https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread", blueskyThread],
+      ])
+    );
+    console.assert(bsky.images.length === 2 && bsky.images[0].includes("feed_fullsize"), "adaptador Bluesky fallo");
+
+    const masto = await fetchPostMedia(
+      "https://mastodon.social/@artist/113245678901234567",
+      fixtureFetch([["https://mastodon.social/api/v1/statuses/113245678901234567", mastodonStatus]])
+    );
+    console.assert(masto.images.length === 1 && masto.images[0].endsWith("a1b2c3.png"), "adaptador Mastodon fallo");
+
+    // Otras webs con URLs /@usuario/<id>: HTML o JSON sin forma de estado → error claro
+    const medium = await fetchPostMedia(
+      "https://medium.com/@writer/123",
+      fixtureFetch([["https://medium.com/api/v1/statuses/123", "<!doctype html><title>Medium</title>"]])
+    ).catch((e) => e);
+    console.assert(medium instanceof SourceError && medium.code === NOT_MASTODON, "Mastodon respuesta HTML fallo");
+    const notStatus = await fetchPostMedia(
+      "https://example.org/@writer/123",
+      fixtureFetch([["https://example.org/api/v1/statuses/123", { error: "nope" }]])
+    ).catch((e) => e);
+    console.assert(notStatus instanceof SourceError && notStatus.code === NOT_MASTODON, "Mastodon respuesta sin estado fallo");
+
+    const art = await fetchPostMedia(
+      "https://www.artstation.com/artwork/Xy12Ab",
+      fixtureFetch([["https://www.artstation.com/projects/Xy12Ab.json", artstationProject]])
+    );
+    console.assert(art.images.length === 1 && art.images[0].includes("artist-neo.jpg"), "adaptador ArtStation fallo");
+
+    const insta = await fetchPostMedia("https://www.instagram.com/p/DAbc123_x/", fixtureFetch([])).catch((e) => e);
+    console.assert(insta instanceof SourceError && insta.code === "unsupported" && insta.params.platform === "Instagram", "Instagram no soportado fallo");
+
+    // X: el oEmbed no trae <img>, así que las imágenes salen del proxy
+    const tweet = await fetchPostMedia(
+      "https://x.com/artist/status/1973385010481606663",
+      fixtureFetch([
+        ["https://publish.x.com/oembed", xOembed],
+        ["https://r.jina.ai/", xProxyText],
+      ])
+    );
+    console.assert(
+      tweet.html.includes("twitter-tweet") && tweet.images.length === 2 && tweet.images.every((u) => u.endsWith("name=large")),
+      "adaptador X fallo"
+    );
+  } catch (e) {
+    console.warn("Self-tests de adaptadores error (no crítico):", e);
+  }
+}
@@ -0,0 +1,78 @@
+// ------------------------- Estadísticas del reto (funciones puras) -------------------------
+// Trabajan sobre `entries`: una entrada por día del reto, ya resuelta por PromptoberApp:
+//   { day: number; date: Date; state?: DayState; imageCount: number }
+
+function isDone(entry) {
+  return !!entry.state?.done;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Racha más larga de días hechos consecutivos
+export function longestStreak(entries) {
+  let best = 0;
+  let run = 0;
+  entries.forEach((entry) => {
+    run = isDone(entry) ? run + 1 : 0;
+    best = Math.max(best, run);
+  });
+  return best;
+}
+
+// Racha actual hasta hoy; si hoy aún no está hecho, cuenta desde ayer
+export function currentStreak(entries, today = new Date()) {
+  const limit = startOfDay(today).getTime();
+  const elapsed = entries.filter((e) => e.date.getTime() <= limit);
+  let i = elapsed.length - 1;
+  if (i >= 0 && elapsed[i].date.getTime() === limit && !isDone(elapsed[i])) i--;
+  let streak = 0;
+  for (; i >= 0 && isDone(elapsed[i]); i--) streak++;
+  return streak;
+}
+
+// `weekStart`: primer día de la semana del locale (0 = domingo); byWeekday y bestWeekday empiezan por él
+export function computeChallengeStats(entries, today = new Date(), weekStart = 1) {
+  const limit = startOfDay(today).getTime();
+  const elapsed = entries.filter((e) => e.date.getTime() <= limit);
+  const doneCount = entries.filter(isDone).length;
+  // Días pasados sin marcar (hoy no cuenta como fallado)
+  const missed = elapsed.filter((e) => !isDone(e) && e.date.getTime() < limit).length;
+
+  const byWeekday = Array(7).fill(0);
+  entries.filter(isDone).forEach((e) => {
+    byWeekday[(e.date.getDay() - weekStart + 7) % 7]++;
+  });
+  const bestWeekdayCount = Math.max(...byWeekday);
+
+  const imageCounts = entries.map((e) => e.imageCount);
+  const totalImages = imageCounts.reduce((a, b) => a + b, 0);
+
+  return {
+    total: entries.length,
+    elapsed: elapsed.length,
+    doneCount,
+    completionRate: entries.length ? doneCount / entries.length : 0,
+    elapsedRate: elapsed.length ? elapsed.filter(isDone).length / elapsed.length : 0,
+    currentStreak: currentStreak(entries, today),
+    longestStreak: longestStreak(entries),
+    missed,
+    imageCounts,
+    totalImages,
+    imagesPerDoneDay: doneCount ? totalImages / doneCount : 0,
+    byWeekday,
+    bestWeekday: bestWeekdayCount > 0 ? byWeekday.indexOf(bestWeekdayCount) : -1,
+  };
+}
+
+// Comparativa por año a partir del resumen del archivo (getArchiveSummary)
+export function computeYearComparison(summary) {
+  return summary
+    .map((entry) => {
+      const total = entry.challenges.reduce((a, c) => a + c.length, 0);
+      const done = entry.challenges.reduce((a, c) => a + c.doneCount, 0);
+      return { year: entry.year, done, total, rate: total ? done / total : 0 };
+    })
+    .sort((a, b) => a.year - b.year);
+}
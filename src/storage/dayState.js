@@ -0,0 +1,18 @@
+// ------------------------- DayState -------------------------
+// Forma canónica de los registros del store de días. La usan la migración v7 y la importación,
+// así que vive en la capa de datos y no depende de la UI.
+
+// Rellena los campos opcionales de un DayState con sus valores por defecto. `year` es el año natural
+// de la fecha del id (un reto que cruza Año Nuevo tiene días en dos años), no el del reto.
+export function normalizeDayState(d) {
+  if (!d || typeof d !== "object" || Array.isArray(d)) return d;
+  const yearFromId = typeof d.id === "string" ? Number(d.id.split("-")[0]) : NaN;
+  return {
+    ...d,
+    year: Number.isInteger(yearFromId) ? yearFromId : d.year,
+    done: typeof d.done === "boolean" ? d.done : !!d.done,
+    tweetUrl: d.tweetUrl ?? "",
+    manualImageUrls: d.manualImageUrls ?? [],
+    localImageIds: d.localImageIds ?? [],
+  };
+}
@@ -0,0 +1,36 @@
+// ------------------------- Almacenamiento -------------------------
+// Punto de entrada de la capa de datos: elige el backend disponible y expone `repository`.
+// Orden: IndexedDB → localStorage (solo datos de texto) → memoria (solo la sesión).
+import { createRepository } from "./repository.js";
+import { createIndexedDBBackend } from "./indexedDB.js";
+import { createLocalStorageBackend } from "./localStorage.js";
+import { createMemoryBackend } from "./memory.js";
+
+export { createRepository, createIndexedDBBackend, createLocalStorageBackend, createMemoryBackend };
+export { DB_NAME, DB_VERSION, MIGRATIONS, ALL_STORE_NAMES, STORE_NAME } from "./schema.js";
+export { normalizeDayState } from "./dayState.js";
+
+// Avisos de la conexión para la UI: "blocked" (otra pestaña impide actualizar)
+// y "versionchange" (otra pestaña actualizó la base de datos; hay que recargar)
+export const storageEvents = new EventTarget();
+
+async function detectBackend() {
+  try {
+    if (typeof indexedDB === "undefined") throw new Error("IndexedDB no disponible");
+    const backend = createIndexedDBBackend({ events: storageEvents });
+    await backend.probe();
+    return backend;
+  } catch (error) {
+    console.warn("IndexedDB no se puede usar; se prueba localStorage:", error);
+  }
+  try {
+    const backend = createLocalStorageBackend();
+    await backend.probe();
+    return backend;
+  } catch (error) {
+    console.warn("localStorage no se puede usar; los datos solo durarán esta sesión:", error);
+  }
+  return createMemoryBackend();
+}
+
+export const repository = createRepository(detectBackend());
@@ -0,0 +1,219 @@
+// ------------------------- Backend IndexedDB -------------------------
+// Operaciones genéricas por store (get/put/delete/índices/volcado) sobre IndexedDB con las
+// migraciones de schema.js. Es el backend normal; repository.js no sabe qué backend usa.
+// Usa una única conexión compartida que se cierra (y se olvida) cuando otra pestaña actualiza.
+import { ALL_STORE_NAMES, DB_NAME, DB_VERSION, MIGRATIONS } from "./schema.js";
+
+function onResult(req, done) {
+  req.onsuccess = () => done(req.result);
+}
+
+// Lecturas que `read` puede combinar en una transacción: lanzan sus peticiones sobre el store
+// y entregan el resultado a `done`
+const READ_OPS = {
+  get: (store, done, key) => onResult(store.get(key), done),
+  getAll: (store, done) => onResult(store.getAll(), (r) => done(r || [])),
+  getAllByIndex: (store, done, index, value) => onResult(store.index(index).getAll(value), (r) => done(r || [])),
+  count: (store, done) => onResult(store.count(), done),
+  // Registros en el mismo orden que `keys` (undefined si no existen)
+  getMany: (store, done, keys) => {
+    const results = new Array(keys.length);
+    let pending = keys.length;
+    if (!pending) return done(results);
+    keys.forEach((key, i) =>
+      onResult(store.get(key), (r) => {
+        results[i] = r;
+        if (--pending === 0) done(results);
+      })
+    );
+  },
+  // Valores distintos de un índice (recorre solo las claves)
+  indexKeys: (store, done, index) => {
+    const keys = [];
+    const req = store.index(index).openKeyCursor(null, "nextunique");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return done(keys);
+      keys.push(cursor.key);
+      cursor.continue();
+    };
+  },
+};
+
+/**
+ * `events` recibe los avisos de la conexión para la UI: "blocked" (otra pestaña impide
+ * actualizar) y "versionchange" (otra pestaña actualizó la base de datos; hay que recargar).
+ */
+export function createIndexedDBBackend({ events = new EventTarget(), factory = globalThis.indexedDB } = {}) {
+  let connection = null; // Promise<IDBDatabase> compartida
+
+  function openDB() {
+    return new Promise((resolve, reject) => {
+      const req = factory.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        MIGRATIONS.filter((m) => m.version > event.oldVersion).forEach((m) => {
+          console.log(`🛠️ Migración v${m.version}: ${m.description}`);
+          m.up(db, req.transaction);
+        });
+      };
+      req.onblocked = () => events.dispatchEvent(new Event("blocked"));
+      req.onsuccess = () => {
+        const db = req.result;
+        // Cerrar para no bloquear el upgrade que pide otra pestaña
+        db.onversionchange = () => {
+          db.close();
+          connection = null;
+          events.dispatchEvent(new Event("versionchange"));
+        };
+        // El navegador puede cerrar la conexión (p. ej. al borrar datos del sitio)
+        db.onclose = () => (connection = null);
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function connect() {
+    if (!connection) {
+      connection = openDB().catch((error) => {
+        connection = null;
+        throw error;
+      });
+    }
+    return connection;
+  }
+
+  // Varias peticiones en una transacción: resuelve al completarse con lo que devuelva `run`
+  async function transaction(names, mode, run) {
+    const db = await connect();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(names, mode);
+      const result = run(tx, db);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transacción cancelada"));
+    });
+  }
+
+  /**
+   * Lecturas de uno o varios stores en una sola transacción de solo lectura.
+   * `reads`: [[op, store, ...args]] con op en get | getMany | getAll | getAllByIndex | count | indexKeys.
+   * Devuelve los resultados en el mismo orden.
+   */
+  function read(reads) {
+    const names = Array.from(new Set(reads.map(([, name]) => name)));
+    return transaction(names, "readonly", (tx) => {
+      const results = new Array(reads.length);
+      reads.forEach(([op, name, ...args], i) => READ_OPS[op](tx.objectStore(name), (r) => (results[i] = r), ...args));
+      return results;
+    });
+  }
+
+  async function readOne(op, name, ...args) {
+    const [result] = await read([[op, name, ...args]]);
+    return result;
+  }
+
+  return {
+    kind: "indexedDB",
+
+    // Comprueba que IndexedDB se puede abrir (en algunos modos privados falla) y deja la conexión lista
+    async probe() {
+      await connect();
+    },
+
+    // Cierra la conexión compartida; la siguiente operación abre otra
+    async close() {
+      const pending = connection;
+      connection = null;
+      if (pending) (await pending).close();
+    },
+
+    read,
+
+    get(name, key) {
+      return readOne("get", name, key);
+    },
+
+    getMany(name, keys) {
+      return readOne("getMany", name, keys);
+    },
+
+    getAll(name) {
+      return readOne("getAll", name);
+    },
+
+    getAllByIndex(name, index, value) {
+      return readOne("getAllByIndex", name, index, value);
+    },
+
+    indexKeys(name, index) {
+      return readOne("indexKeys", name, index);
+    },
+
+    count(name) {
+      return readOne("count", name);
+    },
+
+    async put(name, record) {
+      await transaction(name, "readwrite", (tx) => tx.objectStore(name).put(record));
+    },
+
+    async putMany(name, records) {
+      await transaction(name, "readwrite", (tx) => records.forEach((r) => tx.objectStore(name).put(r)));
+    },
+
+    // Lee y reescribe un registro en la misma transacción; `update(record)` devuelve el nuevo
+    update(name, key, update) {
+      return transaction(name, "readwrite", (tx) => {
+        const store = tx.objectStore(name);
+        const holder = { value: undefined };
+        const req = store.get(key);
+        req.onsuccess = () => {
+          holder.value = req.result;
+          if (req.result) store.put(update(req.result));
+        };
+        return holder;
+      }).then((holder) => holder.value);
+    },
+
+    async delete(name, key) {
+      await transaction(name, "readwrite", (tx) => tx.objectStore(name).delete(key));
+    },
+
+    async deleteMany(name, keys) {
+      await transaction(name, "readwrite", (tx) => keys.forEach((key) => tx.objectStore(name).delete(key)));
+    },
+
+    async clear(name) {
+      await transaction(name, "readwrite", (tx) => tx.objectStore(name).clear());
+    },
+
+    // Lee todos los stores en una sola transacción
+    dump() {
+      return transaction(ALL_STORE_NAMES, "readonly", (tx, db) => {
+        const dump = { dbVersion: db.version, stores: {} };
+        ALL_STORE_NAMES.forEach((name) => READ_OPS.getAll(tx.objectStore(name), (r) => (dump.stores[name] = r)));
+        return dump;
+      });
+    },
+
+    // Vacía todos los stores y escribe el volcado en una única transacción (todo o nada)
+    async restore(stores, onProgress) {
+      const names = ALL_STORE_NAMES.filter((name) => Array.isArray(stores[name]));
+      const total = names.reduce((a, name) => a + stores[name].length, 0);
+      let done = 0;
+      await transaction(ALL_STORE_NAMES, "readwrite", (tx) => {
+        ALL_STORE_NAMES.forEach((name) => tx.objectStore(name).clear());
+        names.forEach((name) => {
+          const store = tx.objectStore(name);
+          stores[name].forEach((record) => {
+            const req = store.put(record);
+            req.onsuccess = () => onProgress?.(++done, total);
+          });
+        });
+      });
+    },
+  };
+}
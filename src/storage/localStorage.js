@@ -0,0 +1,63 @@
+// ------------------------- Backend localStorage (alternativa) -------------------------
+// Para navegadores donde IndexedDB está bloqueado (algunos modos privados). Trabaja sobre el
+// backend en memoria y guarda cada store de texto como JSON en `${prefix}${store}` tras cada
+// escritura. Los stores con blobs (cache de imágenes y subidas) solo viven durante la sesión:
+// localStorage no admite binarios y su cuota ronda los 5 MB.
+import { ALL_STORE_NAMES, BLOB_STORE_NAMES } from "./schema.js";
+import { createMemoryBackend } from "./memory.js";
+
+const PERSISTED_STORE_NAMES = ALL_STORE_NAMES.filter((name) => !BLOB_STORE_NAMES.includes(name));
+
+/**
+ * `storage`: objeto con la interfaz Storage (window.localStorage o un sustituto en las pruebas).
+ */
+export function createLocalStorageBackend(storage = globalThis.localStorage, prefix = "promptober:") {
+  const initial = {};
+  PERSISTED_STORE_NAMES.forEach((name) => {
+    try {
+      const saved = JSON.parse(storage.getItem(prefix + name) || "[]");
+      if (Array.isArray(saved)) initial[name] = saved;
+    } catch (error) {
+      console.warn(`Store ${name} ilegible en localStorage; se empieza vacío:`, error);
+    }
+  });
+  const memory = createMemoryBackend(initial);
+
+  async function save(name) {
+    if (!PERSISTED_STORE_NAMES.includes(name)) return;
+    storage.setItem(prefix + name, JSON.stringify(await memory.getAll(name)));
+  }
+
+  // Envuelve una escritura de la memoria para guardar después el store afectado
+  const persisting =
+    (method) =>
+    async (name, ...args) => {
+      const result = await memory[method](name, ...args);
+      await save(name);
+      return result;
+    };
+
+  return {
+    ...memory,
+    kind: "localStorage",
+
+    // Falla si localStorage no está disponible o no admite escrituras
+    async probe() {
+      const key = `${prefix}probe`;
+      storage.setItem(key, "1");
+      storage.removeItem(key);
+    },
+
+    put: persisting("put"),
+    putMany: persisting("putMany"),
+    update: persisting("update"),
+    delete: persisting("delete"),
+    deleteMany: persisting("deleteMany"),
+    clear: persisting("clear"),
+
+    async restore(stores, onProgress) {
+      await memory.restore(stores, onProgress);
+      for (const name of PERSISTED_STORE_NAMES) await save(name);
+    },
+  };
+}
@@ -0,0 +1,128 @@
+// ------------------------- Backend en memoria -------------------------
+// Misma interfaz que indexedDB.js con un Map por store. Sirve para probar la capa de datos sin
+// navegador y como último recurso si no hay IndexedDB ni localStorage (los datos duran la sesión).
+// Los registros se copian con structuredClone al entrar y salir, como hace IndexedDB.
+import { ALL_STORE_NAMES, DB_VERSION, STORE_INDEXES, STORE_KEYS } from "./schema.js";
+
+// Orden de claves de IndexedDB para los tipos que usamos: números antes que cadenas
+function compareKeys(a, b) {
+  if (typeof a !== typeof b) return typeof a === "number" ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * `initial`: { [store]: registros[] } para sembrar los stores.
+ */
+export function createMemoryBackend(initial = {}) {
+  const stores = new Map(ALL_STORE_NAMES.map((name) => [name, new Map()]));
+  const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+  function storeFor(name) {
+    const store = stores.get(name);
+    if (!store) throw new Error(`Store desconocido: ${name}`);
+    return store;
+  }
+
+  function sorted(name) {
+    return Array.from(storeFor(name).entries())
+      .sort(([a], [b]) => compareKeys(a, b))
+      .map(([, record]) => record);
+  }
+
+  function write(name, record, target = storeFor(name)) {
+    const key = record?.[STORE_KEYS[name]];
+    if (key === undefined) throw new Error(`Registro sin clave "${STORE_KEYS[name]}" en ${name}`);
+    target.set(key, clone(record));
+  }
+
+  Object.entries(initial).forEach(([name, records]) => records.forEach((r) => write(name, r)));
+
+  const backend = {
+    kind: "memory",
+
+    async probe() {},
+
+    async close() {},
+
+    // Varias lecturas a la vez (ver indexedDB.js): [[op, store, ...args]] → resultados en orden
+    async read(reads) {
+      return Promise.all(reads.map(([op, ...args]) => backend[op](...args)));
+    },
+
+    async get(name, key) {
+      return clone(storeFor(name).get(key));
+    },
+
+    async getMany(name, keys) {
+      return keys.map((key) => clone(storeFor(name).get(key)));
+    },
+
+    async getAll(name) {
+      return sorted(name).map(clone);
+    },
+
+    async getAllByIndex(name, index, value) {
+      const field = STORE_INDEXES[name]?.[index];
+      if (!field) throw new Error(`Índice desconocido: ${name}.${index}`);
+      return sorted(name).filter((r) => r[field] === value).map(clone);
+    },
+
+    async indexKeys(name, index) {
+      const field = STORE_INDEXES[name]?.[index];
+      if (!field) throw new Error(`Índice desconocido: ${name}.${index}`);
+      const keys = new Set(sorted(name).map((r) => r[field]).filter((v) => v !== undefined));
+      return Array.from(keys).sort(compareKeys);
+    },
+
+    async put(name, record) {
+      write(name, record);
+    },
+
+    async putMany(name, records) {
+      records.forEach((r) => write(name, r));
+    },
+
+    async update(name, key, update) {
+      const current = storeFor(name).get(key);
+      if (current) write(name, update(clone(current)));
+      return clone(current);
+    },
+
+    async delete(name, key) {
+      storeFor(name).delete(key);
+    },
+
+    async deleteMany(name, keys) {
+      keys.forEach((key) => storeFor(name).delete(key));
+    },
+
+    async clear(name) {
+      storeFor(name).clear();
+    },
+
+    async count(name) {
+      return storeFor(name).size;
+    },
+
+    async dump() {
+      return { dbVersion: DB_VERSION, stores: Object.fromEntries(ALL_STORE_NAMES.map((name) => [name, sorted(name).map(clone)])) };
+    },
+
+    // Todo o nada: los stores nuevos se llenan aparte y solo se sustituyen si no hubo errores
+    async restore(data, onProgress) {
+      const names = ALL_STORE_NAMES.filter((name) => Array.isArray(data[name]));
+      const total = names.reduce((a, name) => a + data[name].length, 0);
+      const next = new Map(ALL_STORE_NAMES.map((name) => [name, new Map()]));
+      let done = 0;
+      names.forEach((name) =>
+        data[name].forEach((record) => {
+          write(name, record, next.get(name));
+          onProgress?.(++done, total);
+        })
+      );
+      next.forEach((records, name) => stores.set(name, records));
+    },
+  };
+
+  return backend;
+}
@@ -0,0 +1,384 @@
+// ------------------------- Repositorio de datos -------------------------
+// Única puerta de la UI a la persistencia: días, sets de prompts, ajustes, retos, cache de
+// imágenes y de URLs, imágenes locales y copias completas. Trabaja sobre un backend con
+// operaciones genéricas por store (indexedDB.js, memory.js o localStorage.js).
+import { challengeYear, challengeYears, defaultChallenge, idFor, mapChallengeDays } from "../challenges.js";
+import { planCacheEviction, DEFAULT_CACHE_BUDGET_MB, DEFAULT_CACHE_MAX_AGE_DAYS } from "../cachePolicy.js";
+import {
+  CHALLENGES_STORE_NAME,
+  DAYS_YEAR_INDEX,
+  IMAGES_STORE_NAME,
+  LOCAL_IMAGES_STORE_NAME,
+  PROMPT_SETS_STORE_NAME,
+  SETTINGS_STORE_NAME,
+  STORE_NAME,
+  URLS_STORE_NAME,
+} from "./schema.js";
+
+// Las URLs de un post se mantienen 1 año en cache
+const URLS_CACHE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Espera antes de escribir los cambios encolados con queueDay (se agrupan en una transacción)
+export const DAY_WRITE_DELAY_MS = 400;
+
+// DayState type definition
+// {
+//   id: string; // fecha del día: `${year}-${month}-${date}` (ver idFor)
+//   year: number;
+//   day: number; // 1..challenge.length
+//   challengeId?: string;
+//   updatedAt?: number; // ms; lo usa la estrategia de importación "el más reciente gana"
+//   done: boolean;
+//   tweetUrl?: string;
+//   manualImageUrls?: string[]; // URLs de imágenes añadidas manualmente
+//   localImageIds?: string[]; // ids en el store localImages (archivos subidos / pegados)
+// }
+
+// PromptSet type definition
+// {
+//   id: string;
+//   name: string;
+//   position: number; // orden en la lista de sets
+//   prompts: string[]; // un prompt por día (índice 0 = día 1)
+// }
+
+// CachedImage: { url, blob, thumbnail, size, timestamp (descarga), lastAccess (para LRU) }
+// LocalImage: { id, dayId, name, type, blob, thumbnail, timestamp }
+// `thumbnail`: Blob de la miniatura (ver thumbnails.js), null si el original ya es pequeño o
+// undefined si aún no se ha generado (registros anteriores a las miniaturas). `size` suma ambos.
+
+// Años con días o retos guardados, más el año en curso (orden descendente)
+function archiveYears(dayYears, challenges) {
+  const years = new Set([new Date().getFullYear(), ...dayYears.filter((y) => y !== undefined), ...challenges.map(challengeYear)]);
+  return Array.from(years).sort((a, b) => b - a);
+}
+
+/**
+ * `backend` puede ser el backend o una promesa que lo resuelva (la detección es asíncrona).
+ */
+export function createRepository(backend, { dayWriteDelayMs = DAY_WRITE_DELAY_MS } = {}) {
+  const ready = Promise.resolve(backend);
+
+  // Días pendientes de escribir por id (el último estado de cada día gana)
+  const pendingDays = new Map();
+  let flushTimer = null;
+  let flushing = Promise.resolve(); // última escritura en curso (nunca rechaza)
+
+  function flushDays() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!pendingDays.size) return flushing;
+    const list = Array.from(pendingDays.values());
+    pendingDays.clear();
+    const write = flushing.then(async () => (await ready).putMany(STORE_NAME, list));
+    flushing = write.catch((error) => console.warn("Error guardando días:", error));
+    return write;
+  }
+
+  // Toda operación escribe antes los días encolados, así las lecturas ven siempre lo último
+  const db = async () => {
+    flushDays();
+    await flushing;
+    return ready;
+  };
+
+  const repo = {
+    async backendKind() {
+      return (await db()).kind;
+    },
+
+    // ------------------------- Días -------------------------
+    async getDay(challenge, day) {
+      return (await db()).get(STORE_NAME, idFor(challenge, day));
+    },
+
+    async getDayById(id) {
+      return (await db()).get(STORE_NAME, id);
+    },
+
+    async setDay(state) {
+      await (await db()).put(STORE_NAME, state);
+    },
+
+    // Encola el estado del día y lo escribe tras `dayWriteDelayMs` sin cambios (para la tarjeta
+    // del día, que guarda en cada pulsación); varias llamadas seguidas acaban en una transacción
+    queueDay(state) {
+      pendingDays.set(state.id, state);
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(() => flushDays().catch(() => {}), dayWriteDelayMs);
+    },
+
+    // Escribe ya los días encolados (al ocultar la página o antes de cerrar)
+    flush() {
+      return flushDays();
+    },
+
+    // Escribe varios días en una sola transacción
+    async putDays(list) {
+      await (await db()).putMany(STORE_NAME, list);
+    },
+
+    async getAllDays() {
+      return (await db()).getAll(STORE_NAME);
+    },
+
+    async getDaysByYear(year) {
+      return (await db()).getAllByIndex(STORE_NAME, DAYS_YEAR_INDEX, year);
+    },
+
+    // Días de un reto (de todos los años que abarca) en una sola transacción
+    async getChallengeDays(challenge) {
+      const lists = await (await db()).read(challengeYears(challenge).map((year) => ["getAllByIndex", STORE_NAME, DAYS_YEAR_INDEX, year]));
+      return lists.flat();
+    },
+
+    // Años distintos con días guardados
+    async getDayYears() {
+      return (await db()).indexKeys(STORE_NAME, DAYS_YEAR_INDEX);
+    },
+
+    // ------------------------- Sets de prompts -------------------------
+    async getAllPromptSets() {
+      return (await (await db()).getAll(PROMPT_SETS_STORE_NAME)).sort((a, b) => a.position - b.position);
+    },
+
+    async savePromptSets(sets) {
+      await (await db()).putMany(PROMPT_SETS_STORE_NAME, sets);
+    },
+
+    async deletePromptSet(id) {
+      await (await db()).delete(PROMPT_SETS_STORE_NAME, id);
+    },
+
+    // Devuelve los sets guardados; si no hay ninguno, siembra `defaultSet`
+    async loadPromptSets(defaultSet) {
+      const sets = await repo.getAllPromptSets();
+      if (sets.length > 0) return sets;
+      await repo.savePromptSets([defaultSet]);
+      return [defaultSet];
+    },
+
+    // ------------------------- Ajustes -------------------------
+    async getSetting(key) {
+      return (await (await db()).get(SETTINGS_STORE_NAME, key))?.value;
+    },
+
+    async setSetting(key, value) {
+      await (await db()).put(SETTINGS_STORE_NAME, { key, value });
+    },
+
+    // ------------------------- Retos -------------------------
+    async getAllChallenges() {
+      return (await db()).getAll(CHALLENGES_STORE_NAME);
+    },
+
+    async saveChallenge(challenge) {
+      await (await db()).put(CHALLENGES_STORE_NAME, challenge);
+    },
+
+    async deleteChallenge(id) {
+      await (await db()).delete(CHALLENGES_STORE_NAME, id);
+    },
+
+    // Retos del año ordenados por fecha; si no hay ninguno, siembra Octubre
+    async loadChallenges(year) {
+      const list = (await repo.getAllChallenges())
+        .filter((c) => challengeYear(c) === year)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+      if (list.length > 0) return list;
+      const october = defaultChallenge(year);
+      await repo.saveChallenge(october);
+      return [october];
+    },
+
+    async getArchiveYears() {
+      const [dayYears, challenges] = await (await db()).read([
+        ["indexKeys", STORE_NAME, DAYS_YEAR_INDEX],
+        ["getAll", CHALLENGES_STORE_NAME],
+      ]);
+      return archiveYears(dayYears, challenges);
+    },
+
+    // Resumen por año para la vista de archivo: retos del año con sus días completados
+    async getArchiveSummary() {
+      const [days, challenges] = await (await db()).read([
+        ["getAll", STORE_NAME],
+        ["getAll", CHALLENGES_STORE_NAME],
+      ]);
+      return archiveYears(days.map((d) => d.year), challenges).map((year) => {
+        const yearDays = days.filter((d) => d.year === year);
+        const yearChallenges = challenges.filter((c) => challengeYear(c) === year);
+        const list = yearChallenges.length > 0 ? yearChallenges : [defaultChallenge(year)];
+        return {
+          year,
+          dayCount: yearDays.length,
+          challenges: list
+            .sort((a, b) => a.startDate.localeCompare(b.startDate))
+            .map((c) => {
+              const map = mapChallengeDays(c, days); // el reto puede seguir en el año siguiente
+              return { ...c, doneCount: Object.values(map).filter((d) => d.done).length };
+            }),
+        };
+      });
+    },
+
+    // ------------------------- Cache de imágenes -------------------------
+    async saveImageToCache(url, blob, thumbnail = null) {
+      const now = Date.now();
+      const size = blob.size + (thumbnail?.size ?? 0);
+      await (await db()).put(IMAGES_STORE_NAME, { url, blob, thumbnail, size, timestamp: now, lastAccess: now });
+    },
+
+    // Devuelve { blob, thumbnail } y actualiza `lastAccess`; la caducidad la aplica pruneImageCache
+    async getCachedImage(url) {
+      const record = await (await db()).update(IMAGES_STORE_NAME, url, (r) => ({ ...r, lastAccess: Date.now() }));
+      return record?.blob ? { blob: record.blob, thumbnail: record.thumbnail } : null;
+    },
+
+    async getImageFromCache(url) {
+      return (await repo.getCachedImage(url))?.blob || null;
+    },
+
+    // Completa la miniatura de una imagen ya cacheada (se generan a demanda para las antiguas)
+    async setImageThumbnail(url, thumbnail) {
+      await (await db()).update(IMAGES_STORE_NAME, url, (r) => ({ ...r, thumbnail, size: (r.blob?.size ?? 0) + (thumbnail?.size ?? 0) }));
+    },
+
+    // Lista el cache de imágenes con su tamaño (incluye el blob para previsualizar)
+    async getImageCacheEntries() {
+      return (await (await db()).getAll(IMAGES_STORE_NAME)).map((r) => ({
+        url: r.url,
+        blob: r.blob,
+        thumbnail: r.thumbnail ?? null,
+        size: r.size ?? r.blob?.size ?? 0,
+        timestamp: r.timestamp,
+        lastAccess: r.lastAccess ?? r.timestamp,
+      }));
+    },
+
+    async deleteImagesFromCache(urls) {
+      await (await db()).deleteMany(IMAGES_STORE_NAME, urls);
+    },
+
+    async getCacheSettings() {
+      const [budgetMB, maxAgeDays] = await Promise.all([repo.getSetting("imageCacheBudgetMB"), repo.getSetting("imageCacheMaxAgeDays")]);
+      return {
+        budgetMB: budgetMB ?? DEFAULT_CACHE_BUDGET_MB,
+        maxAgeDays: maxAgeDays ?? DEFAULT_CACHE_MAX_AGE_DAYS,
+      };
+    },
+
+    // Aplica caducidad + presupuesto de tamaño (LRU). Devuelve cuántas imágenes se borraron.
+    async pruneImageCache() {
+      const { budgetMB, maxAgeDays } = await repo.getCacheSettings();
+      const entries = await repo.getImageCacheEntries();
+      const evict = planCacheEviction(entries, {
+        budgetBytes: budgetMB * 1024 * 1024,
+        maxAgeMs: maxAgeDays * 24 * 60 * 60 * 1000,
+      });
+      if (evict.length) {
+        await repo.deleteImagesFromCache(evict);
+        console.log(`🧹 ${evict.length} imágenes expulsadas del cache`);
+      }
+      return evict.length;
+    },
+
+    async clearImageCache() {
+      await (await db()).clear(IMAGES_STORE_NAME);
+      console.log("🗑️ Cache de imágenes limpiado");
+    },
+
+    // ------------------------- Cache de URLs de posts -------------------------
+    async saveTweetUrlsToCache(tweetUrl, imageUrls) {
+      await (await db()).put(URLS_STORE_NAME, { tweetUrl, imageUrls, timestamp: Date.now() });
+    },
+
+    async getTweetUrlsFromCache(tweetUrl) {
+      const result = await (await db()).get(URLS_STORE_NAME, tweetUrl);
+      if (!result?.imageUrls) return null;
+      const isExpired = Date.now() - result.timestamp > URLS_CACHE_MAX_AGE_MS;
+      return isExpired ? null : result.imageUrls;
+    },
+
+    // URLs de imágenes de varios posts en una transacción: Map tweetUrl → imageUrls (sin las caducadas)
+    async getTweetUrlsManyFromCache(tweetUrls) {
+      const records = await (await db()).getMany(URLS_STORE_NAME, tweetUrls);
+      const now = Date.now();
+      return new Map(
+        records.filter((r) => r?.imageUrls && now - r.timestamp <= URLS_CACHE_MAX_AGE_MS).map((r) => [r.tweetUrl, r.imageUrls])
+      );
+    },
+
+    async getAllTweetUrlsFromCache() {
+      return (await db()).getAll(URLS_STORE_NAME);
+    },
+
+    async clearUrlsCache() {
+      await (await db()).clear(URLS_STORE_NAME);
+      console.log("🗑️ Cache de URLs limpiado");
+    },
+
+    async getCacheStats() {
+      const [images, urlCount] = await (await db()).read([
+        ["getAll", IMAGES_STORE_NAME],
+        ["count", URLS_STORE_NAME],
+      ]);
+      return {
+        imageCount: images.length,
+        imageBytes: images.reduce((a, r) => a + (r.size ?? r.blob?.size ?? 0), 0),
+        urlCount,
+      };
+    },
+
+    /**
+     * Miniaturas (o el original si no hay) de imágenes del cache y subidas, en una sola transacción.
+     * `refs`: [{ id, source, url }] como las de gallery.dayImages. Devuelve Map id → { blob, thumbnail }
+     * solo con las que están guardadas en el dispositivo (las URLs manuales no se cachean).
+     */
+    async getImageThumbnails(refs) {
+      const cached = refs.filter((r) => r.source !== "local");
+      const local = refs.filter((r) => r.source === "local");
+      const [images, locals] = await (await db()).read([
+        ["getMany", IMAGES_STORE_NAME, cached.map((r) => r.url)],
+        ["getMany", LOCAL_IMAGES_STORE_NAME, local.map((r) => r.url)],
+      ]);
+      const found = new Map();
+      [...cached.map((r, i) => [r, images[i]]), ...local.map((r, i) => [r, locals[i]])].forEach(([ref, record]) => {
+        if (record?.blob) found.set(ref.id, { blob: record.blob, thumbnail: record.thumbnail ?? null });
+      });
+      return found;
+    },
+
+    // ------------------------- Imágenes locales -------------------------
+    async saveLocalImages(records) {
+      await (await db()).putMany(LOCAL_IMAGES_STORE_NAME, records);
+    },
+
+    // Devuelve los registros en el mismo orden que `ids` (omite los que ya no existen)
+    async getLocalImages(ids) {
+      if (!ids.length) return [];
+      return (await (await db()).getMany(LOCAL_IMAGES_STORE_NAME, ids)).filter(Boolean);
+    },
+
+    async setLocalImageThumbnail(id, thumbnail) {
+      await (await db()).update(LOCAL_IMAGES_STORE_NAME, id, (r) => ({ ...r, thumbnail }));
+    },
+
+    async deleteLocalImage(id) {
+      await (await db()).delete(LOCAL_IMAGES_STORE_NAME, id);
+    },
+
+    // ------------------------- Copia completa -------------------------
+    // { dbVersion, stores: { [store]: registros[] } }
+    async dumpDatabase() {
+      return (await db()).dump();
+    },
+
+    // Vacía todos los stores y escribe el volcado (todo o nada)
+    async restoreDatabase(stores, onProgress) {
+      await (await db()).restore(stores, onProgress);
+    },
+  };
+
+  return repo;
+}
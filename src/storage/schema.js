@@ -0,0 +1,131 @@
+// ------------------------- Esquema de la base de datos -------------------------
+// Stores, claves e índices comunes a todos los backends, y las migraciones de IndexedDB.
+// El número de versión también viaja en las copias completas (dbVersion).
+import { normalizeDayState } from "./dayState.js";
+
+export const DB_NAME = "promptoberDB";
+export const STORE_NAME = "days";
+export const IMAGES_STORE_NAME = "images";
+export const URLS_STORE_NAME = "urls";
+export const LOCAL_IMAGES_STORE_NAME = "localImages";
+export const PROMPT_SETS_STORE_NAME = "promptSets";
+export const SETTINGS_STORE_NAME = "settings";
+export const CHALLENGES_STORE_NAME = "challenges";
+export const DAYS_YEAR_INDEX = "year";
+export const ALL_STORE_NAMES = [
+  STORE_NAME,
+  IMAGES_STORE_NAME,
+  URLS_STORE_NAME,
+  LOCAL_IMAGES_STORE_NAME,
+  PROMPT_SETS_STORE_NAME,
+  SETTINGS_STORE_NAME,
+  CHALLENGES_STORE_NAME,
+];
+
+// keyPath de cada store
+export const STORE_KEYS = {
+  [STORE_NAME]: "id",
+  [IMAGES_STORE_NAME]: "url",
+  [URLS_STORE_NAME]: "tweetUrl",
+  [LOCAL_IMAGES_STORE_NAME]: "id",
+  [PROMPT_SETS_STORE_NAME]: "id",
+  [SETTINGS_STORE_NAME]: "key",
+  [CHALLENGES_STORE_NAME]: "id",
+};
+
+// Índices: store → { nombre del índice: campo }
+export const STORE_INDEXES = {
+  [STORE_NAME]: { [DAYS_YEAR_INDEX]: "year" },
+};
+
+// Stores con blobs: localStorage solo guarda texto, así que ese backend los mantiene en memoria
+export const BLOB_STORE_NAMES = [IMAGES_STORE_NAME, LOCAL_IMAGES_STORE_NAME];
+
+function createStoreIfMissing(db, name) {
+  if (!db.objectStoreNames.contains(name)) {
+    db.createObjectStore(name, { keyPath: STORE_KEYS[name] });
+  }
+}
+
+// Reescribe todos los registros de un store dentro de la transacción de upgrade
+function rewriteStore(tx, name, transform) {
+  const req = tx.objectStore(name).openCursor();
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    cursor.update(transform(cursor.value));
+    cursor.continue();
+  };
+}
+
+// Migraciones en orden: cada una lleva la base de datos de `version - 1` a `version`.
+// `up(db, tx)` recibe la transacción de upgrade para crear stores/índices y reescribir registros.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Store de días",
+    up(db) {
+      createStoreIfMissing(db, STORE_NAME);
+    },
+  },
+  {
+    version: 2,
+    description: "Cache de imágenes (blobs) y de URLs de tweets",
+    up(db) {
+      createStoreIfMissing(db, IMAGES_STORE_NAME);
+      createStoreIfMissing(db, URLS_STORE_NAME);
+    },
+  },
+  {
+    version: 3,
+    description: "Sets de prompts editables y ajustes",
+    up(db) {
+      createStoreIfMissing(db, PROMPT_SETS_STORE_NAME);
+      createStoreIfMissing(db, SETTINGS_STORE_NAME);
+    },
+  },
+  {
+    version: 4,
+    description: "Definiciones de retos (fecha de inicio + duración)",
+    up(db) {
+      createStoreIfMissing(db, CHALLENGES_STORE_NAME);
+    },
+  },
+  {
+    version: 5,
+    description: "Índice por año en días",
+    up(db, tx) {
+      const daysStore = tx.objectStore(STORE_NAME);
+      if (!daysStore.indexNames.contains(DAYS_YEAR_INDEX)) {
+        daysStore.createIndex(DAYS_YEAR_INDEX, STORE_INDEXES[STORE_NAME][DAYS_YEAR_INDEX]);
+      }
+    },
+  },
+  {
+    version: 6,
+    description: "Imágenes subidas desde el dispositivo",
+    up(db) {
+      createStoreIfMissing(db, LOCAL_IMAGES_STORE_NAME);
+    },
+  },
+  {
+    version: 7,
+    description: "Normalizar DayState y completar tamaño/último uso del cache",
+    up(db, tx) {
+      rewriteStore(tx, STORE_NAME, normalizeDayState);
+      rewriteStore(tx, IMAGES_STORE_NAME, (r) => ({
+        ...r,
+        size: r.size ?? r.blob?.size ?? 0,
+        lastAccess: r.lastAccess ?? r.timestamp,
+      }));
+    },
+  },
+  {
+    version: 8,
+    description: "Año de cada día según su fecha (retos que cruzan Año Nuevo)",
+    up(db, tx) {
+      rewriteStore(tx, STORE_NAME, normalizeDayState);
+    },
+  },
+];
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -0,0 +1,115 @@
+// ------------------------- Self Tests de la capa de datos (backend en memoria) -------------------------
+// El repositorio se prueba sin navegador sobre createMemoryBackend; localStorage con un Storage falso.
+import { createRepository } from "./repository.js";
+import { createMemoryBackend } from "./memory.js";
+import { createLocalStorageBackend } from "./localStorage.js";
+import { defaultChallenge, idFor, yearForDay } from "../challenges.js";
+import { normalizeDayState } from "./dayState.js";
+
+// Storage mínimo respaldado por un Map (getItem/setItem/removeItem)
+function fakeStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+export async function runStorageTests() {
+  try {
+    const repo = createRepository(createMemoryBackend());
+    const october = defaultChallenge(2023);
+
+    // Días: lectura por id, por año y años distintos
+    await repo.setDay({ id: idFor(october, 3), year: 2023, day: 3, done: true });
+    await repo.putDays([
+      { id: "2024-10-1", year: 2024, day: 1, done: false },
+      { id: "2024-10-2", year: 2024, day: 2, done: true },
+    ]);
+    console.assert((await repo.getDay(october, 3))?.done === true, "repo getDay fallo");
+    console.assert((await repo.getDaysByYear(2024)).length === 2, "repo getDaysByYear fallo");
+    console.assert((await repo.getDayYears()).join() === "2023,2024", "repo getDayYears fallo");
+
+    // Los registros devueltos son copias: mutarlos no cambia lo guardado
+    (await repo.getDay(october, 3)).done = false;
+    console.assert((await repo.getDay(october, 3)).done === true, "repo copia de registros fallo");
+
+    // Escrituras encoladas: varias pulsaciones acaban en un solo putMany y las lecturas las ven
+    const memory = createMemoryBackend();
+    let writes = 0;
+    const queued = createRepository({ ...memory, putMany: (...args) => (writes++, memory.putMany(...args)) });
+    ["h", "ht", "htt"].forEach((tweetUrl) => queued.queueDay({ id: "2024-10-9", year: 2024, day: 9, done: false, tweetUrl }));
+    console.assert((await queued.getAllDays())[0]?.tweetUrl === "htt" && writes === 1, "repo queueDay fallo");
+    await queued.flush();
+    console.assert(writes === 1, "repo flush sin cambios fallo");
+
+    // Lecturas combinadas en una transacción, con resultados en el orden pedido
+    const [day9, count] = await memory.read([["get", "days", "2024-10-9"], ["count", "days"]]);
+    console.assert(day9?.day === 9 && count === 1, "backend read fallo");
+
+    // Retos: se siembra Octubre si el año no tiene ninguno; el archivo cuenta los días hechos
+    console.assert((await repo.loadChallenges(2023))[0].id === "october-2023", "repo loadChallenges siembra fallo");
+    const summary = await repo.getArchiveSummary();
+    console.assert(summary.find((s) => s.year === 2023)?.challenges[0].doneCount === 1, "repo getArchiveSummary fallo");
+
+    // Reto que cruza Año Nuevo: los días de enero se guardan en el año siguiente y el reto los encuentra
+    const winter = { id: "winter-2025", name: "Invierno", startDate: "2025-12-15", length: 30 };
+    const winterRepo = createRepository(createMemoryBackend({ challenges: [winter] }));
+    await winterRepo.putDays(
+      [1, 20].map((day) => ({ id: idFor(winter, day), year: yearForDay(winter, day), day, challengeId: winter.id, done: true }))
+    );
+    console.assert(idFor(winter, 20) === "2026-1-3" && yearForDay(winter, 20) === 2026, "yearForDay Año Nuevo fallo");
+    console.assert((await winterRepo.getDaysByYear(2026)).length === 1, "repo getDaysByYear Año Nuevo fallo");
+    console.assert((await winterRepo.getChallengeDays(winter)).length === 2, "repo getChallengeDays Año Nuevo fallo");
+    const winterSummary = await winterRepo.getArchiveSummary();
+    console.assert(winterSummary.find((s) => s.year === 2025)?.challenges[0].doneCount === 2, "repo getArchiveSummary Año Nuevo fallo");
+    console.assert(normalizeDayState({ id: "2026-1-3", year: 2025, day: 20, done: true }).year === 2026, "normalizeDayState año fallo");
+
+    // Sets de prompts ordenados por posición y ajustes
+    await repo.savePromptSets([{ id: "b", name: "B", position: 1, prompts: [] }, { id: "a", name: "A", position: 0, prompts: [] }]);
+    console.assert((await repo.loadPromptSets(null)).map((s) => s.id).join() === "a,b", "repo loadPromptSets fallo");
+    await repo.setSetting("imageCacheBudgetMB", 50);
+    console.assert((await repo.getCacheSettings()).budgetMB === 50, "repo getSetting fallo");
+
+    // Cache: el prune expulsa las imágenes caducadas y conserva las recientes; lo mismo con las URLs
+    await repo.saveImageToCache("https://example.com/a.png", new Blob(["abc"]));
+    console.assert((await repo.getCacheStats()).imageBytes === 3, "repo getCacheStats fallo");
+    // Miniaturas junto al original: cuentan en el tamaño y se pueden completar después
+    await repo.saveImageToCache("https://example.com/t.png", new Blob(["full"]), new Blob(["t"]));
+    console.assert((await repo.getCachedImage("https://example.com/t.png"))?.thumbnail?.size === 1, "repo miniatura fallo");
+    await repo.setImageThumbnail("https://example.com/a.png", new Blob(["ab"]));
+    console.assert((await repo.getCacheStats()).imageBytes === 3 + 2 + 4 + 1, "repo setImageThumbnail fallo");
+    const stale = createRepository(
+      createMemoryBackend({
+        images: [{ url: "old.png", blob: new Blob(["x"]), size: 1, timestamp: 0, lastAccess: 0 }],
+        urls: [{ tweetUrl: "old", imageUrls: ["x"], timestamp: 0 }],
+      })
+    );
+    await stale.saveImageToCache("new.png", new Blob(["y"]));
+    console.assert((await stale.pruneImageCache()) === 1 && (await stale.getImageFromCache("old.png")) === null, "repo pruneImageCache fallo");
+    console.assert((await stale.getImageFromCache("new.png"))?.size === 1, "repo getImageFromCache fallo");
+    console.assert((await stale.getTweetUrlsFromCache("old")) === null, "repo URLs caducadas fallo");
+
+    // Imágenes locales en el orden pedido, omitiendo las que no existen
+    await repo.saveLocalImages([{ id: "l1", dayId: "2024-10-1", blob: new Blob(["1"]) }, { id: "l2", dayId: "2024-10-1", blob: new Blob(["2"]) }]);
+    console.assert((await repo.getLocalImages(["l2", "nope", "l1"])).map((r) => r.id).join() === "l2,l1", "repo getLocalImages fallo");
+
+    // Volcado completo y restauración en otro backend
+    const dump = await repo.dumpDatabase();
+    const copy = createRepository(createMemoryBackend());
+    await copy.restoreDatabase(dump.stores);
+    console.assert((await copy.getAllDays()).length === 3 && (await copy.getSetting("imageCacheBudgetMB")) === 50, "repo dump/restore fallo");
+
+    // localStorage: los datos de texto sobreviven a una nueva instancia; los blobs no
+    const storage = fakeStorage();
+    const first = createRepository(createLocalStorageBackend(storage));
+    await first.setDay({ id: "2024-10-5", year: 2024, day: 5, done: true });
+    await first.saveImageToCache("https://example.com/b.png", new Blob(["b"]));
+    const second = createRepository(createLocalStorageBackend(storage));
+    console.assert((await second.getAllDays()).length === 1, "repo localStorage persistencia fallo");
+    console.assert((await second.getCacheStats()).imageCount === 0, "repo localStorage blobs fallo");
+  } catch (e) {
+    console.warn("Self-tests de almacenamiento error (no crítico):", e);
+  }
+}
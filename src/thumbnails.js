@@ -0,0 +1,58 @@
+// ------------------------- Miniaturas -------------------------
+// Se generan al guardar una imagen (cache de imágenes o subida local) y se guardan en el mismo
+// registro que el original (`thumbnail`). La galería y el calendario muestran la miniatura; solo
+// el lightbox y las exportaciones usan la imagen completa.
+
+// Lado mayor en px: las casillas de la galería miden 144 px, así que 320 cubre pantallas 2×
+export const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_TYPE = "image/webp"; // si el navegador no lo admite, el canvas devuelve PNG
+const THUMBNAIL_QUALITY = 0.8;
+
+// Tamaño de la miniatura conservando la proporción; null si la imagen ya cabe en `maxSize`
+export function thumbnailSize(width, height, maxSize = THUMBNAIL_MAX_SIZE) {
+  const scale = maxSize / Math.max(width, height);
+  if (!(scale < 1)) return null;
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+function makeCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type: THUMBNAIL_TYPE, quality: THUMBNAIL_QUALITY });
+  return new Promise((resolve) => canvas.toBlob(resolve, THUMBNAIL_TYPE, THUMBNAIL_QUALITY));
+}
+
+/**
+ * Miniatura (Blob) de `blob`. Devuelve null si la imagen ya es pequeña, si no se puede decodificar
+ * (p. ej. SVG o un formato no soportado) o si el navegador no tiene createImageBitmap: en esos
+ * casos se muestra el original.
+ */
+export async function createThumbnail(blob, maxSize = THUMBNAIL_MAX_SIZE) {
+  if (typeof createImageBitmap !== "function") return null;
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch {
+    return null;
+  }
+  try {
+    const size = thumbnailSize(bitmap.width, bitmap.height, maxSize);
+    if (!size) return null;
+    const canvas = makeCanvas(size.width, size.height);
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(bitmap, 0, 0, size.width, size.height);
+    return await canvasToBlob(canvas);
+  } catch (error) {
+    console.warn("No se pudo generar la miniatura:", error);
+    return null;
+  } finally {
+    bitmap.close();
+  }
+}
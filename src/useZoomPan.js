@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// ------------------------- Zoom y desplazamiento del lightbox (Pointer Events) -------------------------
+// Ratón, táctil y lápiz con el mismo código: rueda y pellizco con zoom anclado al puntero,
+// doble toque para alternar zoom, arrastrar para desplazar y deslizar para cambiar de imagen.
+// El desplazamiento se limita para que la imagen no salga de la vista.
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 8;
+const DOUBLE_TAP_ZOOM = 2.5;
+const DOUBLE_TAP_MS = 300;
+const TAP_SLOP = 10; // px que puede moverse un toque sin contar como arrastre
+const SWIPE_MIN = 60;
+
+// Tamaño que ocupa una imagen `object-contain` de tamaño natural `natural` dentro de `viewport`
+export function fittedSize(natural, viewport) {
+  if (!natural.w || !natural.h) return viewport;
+  const scale = Math.min(viewport.w / natural.w, viewport.h / natural.h);
+  return { w: natural.w * scale, h: natural.h * scale };
+}
+
+// Limita el desplazamiento: la imagen escalada no deja huecos si es mayor que la vista y queda centrada si no
+export function clampPan(pan, zoom, content, viewport) {
+  const maxX = Math.max(0, (content.w * zoom - viewport.w) / 2);
+  const maxY = Math.max(0, (content.h * zoom - viewport.h) / 2);
+  return { x: Math.max(-maxX, Math.min(maxX, pan.x)), y: Math.max(-maxY, Math.min(maxY, pan.y)) };
+}
+
+// Nuevo desplazamiento para que el punto bajo `anchor` (relativo al centro de la vista) no se mueva
+export function zoomAt({ zoom, pan }, anchor, nextZoom) {
+  const ratio = nextZoom / zoom;
+  return { x: anchor.x - (anchor.x - pan.x) * ratio, y: anchor.y - (anchor.y - pan.y) * ratio };
+}
+
+const INITIAL_VIEW = { zoom: 1, pan: { x: 0, y: 0 } };
+
+/**
+ * `onSwipe(direction)` recibe -1 (anterior) o 1 (siguiente) al deslizar sin zoom.
+ * `imageRef` debe apuntar a una imagen `object-contain` que ocupe su panel: se usa para limitar el desplazamiento.
+ * Los paneles que reciben el zoom se marcan con `data-zoom-pane` para anclar el zoom en el panel bajo el puntero.
+ */
+export function useZoomPan({ onSwipe }) {
+  const [view, setViewState] = useState(INITIAL_VIEW);
+  const viewRef = useRef(INITIAL_VIEW);
+  const imageRef = useRef(null);
+  const layerRef = useRef(null);
+  const pointersRef = useRef(new Map()); // pointerId → { x, y, startX, startY }
+  const pinchRef = useRef(null); // { dist, zoom, pan, mid }
+  const lastTapRef = useRef({ time: 0, x: 0, y: 0 });
+  const onSwipeRef = useRef(onSwipe);
+  onSwipeRef.current = onSwipe;
+
+  const setView = useCallback((zoom, pan) => {
+    const img = imageRef.current;
+    const viewport = img ? { w: img.offsetWidth, h: img.offsetHeight } : { w: 0, h: 0 };
+    const content = img ? fittedSize({ w: img.naturalWidth, h: img.naturalHeight }, viewport) : viewport;
+    const z = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    const next = { zoom: z, pan: z === 1 ? { x: 0, y: 0 } : clampPan(pan, z, content, viewport) };
+    viewRef.current = next;
+    setViewState(next);
+  }, []);
+
+  // Punto del evento relativo al centro del panel bajo el puntero
+  function anchorFor(target, clientX, clientY) {
+    const pane = target?.closest?.("[data-zoom-pane]") || layerRef.current;
+    if (!pane) return { x: 0, y: 0 };
+    const rect = pane.getBoundingClientRect();
+    return { x: clientX - (rect.left + rect.width / 2), y: clientY - (rect.top + rect.height / 2) };
+  }
+
+  const zoomTo = useCallback(
+    (nextZoom, anchor = { x: 0, y: 0 }) => {
+      const current = viewRef.current;
+      const z = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, nextZoom));
+      setView(z, zoomAt(current, anchor, z));
+    },
+    [setView]
+  );
+
+  const zoomBy = useCallback((factor, anchor) => zoomTo(viewRef.current.zoom * factor, anchor), [zoomTo]);
+  const reset = useCallback(() => setView(1, { x: 0, y: 0 }), [setView]);
+
+  // La rueda necesita un listener no pasivo para poder cancelar el scroll de la página
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      zoomBy(Math.exp(-e.deltaY / 500), anchorFor(e.target, e.clientX, e.clientY));
+    };
+    layer.addEventListener("wheel", onWheel, { passive: false });
+    return () => layer.removeEventListener("wheel", onWheel);
+  });
+
+  function onPointerDown(e) {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+    if (pointersRef.current.size === 2) {
+      const [a, b] = [...pointersRef.current.values()];
+      pinchRef.current = {
+        dist: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+        zoom: viewRef.current.zoom,
+        pan: viewRef.current.pan,
+        mid: anchorFor(e.target, (a.x + b.x) / 2, (a.y + b.y) / 2),
+      };
+    }
+  }
+
+  function onPointerMove(e) {
+    const p = pointersRef.current.get(e.pointerId);
+    if (!p) return;
+    const dx = e.clientX - p.x;
+    const dy = e.clientY - p.y;
+    p.x = e.clientX;
+    p.y = e.clientY;
+
+    if (pointersRef.current.size >= 2 && pinchRef.current) {
+      const [a, b] = [...pointersRef.current.values()];
+      const start = pinchRef.current;
+      const mid = anchorFor(e.target, (a.x + b.x) / 2, (a.y + b.y) / 2);
+      const z = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, (start.zoom * Math.hypot(a.x - b.x, a.y - b.y)) / start.dist));
+      // Zoom anclado al punto medio inicial más lo que se haya movido el punto medio
+      const pan = zoomAt({ zoom: start.zoom, pan: start.pan }, start.mid, z);
+      setView(z, { x: pan.x + mid.x - start.mid.x, y: pan.y + mid.y - start.mid.y });
+      return;
+    }
+    if (viewRef.current.zoom > 1) {
+      const { zoom, pan } = viewRef.current;
+      setView(zoom, { x: pan.x + dx, y: pan.y + dy });
+    }
+  }
+
+  function onPointerUp(e) {
+    const p = pointersRef.current.get(e.pointerId);
+    const wasSingle = pointersRef.current.size === 1 && !pinchRef.current;
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size < 2) pinchRef.current = pointersRef.current.size ? pinchRef.current : null;
+    if (!p || !wasSingle || e.type === "pointercancel") return;
+
+    const totalX = e.clientX - p.startX;
+    const totalY = e.clientY - p.startY;
+    const moved = Math.hypot(totalX, totalY);
+
+    if (moved < TAP_SLOP) {
+      const now = Date.now();
+      const last = lastTapRef.current;
+      if (now - last.time < DOUBLE_TAP_MS && Math.hypot(e.clientX - last.x, e.clientY - last.y) < TAP_SLOP * 3) {
+        lastTapRef.current = { time: 0, x: 0, y: 0 };
+        if (viewRef.current.zoom > 1) reset();
+        else zoomTo(DOUBLE_TAP_ZOOM, anchorFor(e.target, e.clientX, e.clientY));
+      } else {
+        lastTapRef.current = { time: now, x: e.clientX, y: e.clientY };
+      }
+      return;
+    }
+    if (viewRef.current.zoom === 1 && Math.abs(totalX) > SWIPE_MIN && Math.abs(totalX) > Math.abs(totalY) * 1.5) {
+      onSwipeRef.current?.(totalX < 0 ? 1 : -1);
+    }
+  }
+
+  return {
+    zoom: view.zoom,
+    pan: view.pan,
+    transform: `translate(${view.pan.x}px, ${view.pan.y}px) scale(${view.zoom})`,
+    zoomBy,
+    reset,
+    imageRef,
+    layerRef,
+    layerProps: {
+      ref: layerRef,
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: onPointerUp,
+      style: { touchAction: "none" },
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// ------------------------- ZIP mínimo en el navegador -------------------------
+// Escribe archivos sin compresión (las imágenes ya vienen comprimidas) y lee tanto
+// entradas "stored" como "deflate" (vía DecompressionStream si el navegador lo soporta).
+// Sin ZIP64: pensado para archivos de menos de 4 GB.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function toBytes(data) {
+  if (typeof data === "string") return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Crea un ZIP a partir de `entries` ([{ name, data: string | Uint8Array | Blob }]).
+ * `onProgress(done, total)` se llama tras añadir cada archivo.
+ */
+export async function createZip(entries, onProgress) {
+  const parts = [];
+  const central = [];
+  const { time, day } = dosDateTime(new Date());
+  let offset = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    const { name, data } = entries[i];
+    const nameBytes = new TextEncoder().encode(name);
+    const bytes = await toBytes(data);
+    const crc = crc32(bytes);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true); // nombres en UTF-8
+    header.setUint16(8, 0, true); // sin compresión
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+    parts.push(header.buffer, nameBytes, bytes);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, bytes.length, true);
+    entry.setUint32(24, bytes.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry.buffer, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+    onProgress?.(i + 1, entries.length);
+  }
+
+  const centralSize = central.reduce((a, p) => a + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+}
+
+async function inflateRaw(blob) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("Este navegador no puede descomprimir entradas ZIP comprimidas");
+  }
+  const stream = blob.stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).blob();
+}
+
+/**
+ * Lee el directorio central de un ZIP. Devuelve [{ name, size, blob() }]; `blob()` extrae el contenido.
+ */
+export async function readZip(file) {
+  const tailSize = Math.min(file.size, 22 + 0xffff);
+  const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+  let eocd = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("El archivo no es un ZIP válido");
+
+  const count = tail.getUint16(eocd + 10, true);
+  const centralSize = tail.getUint32(eocd + 12, true);
+  const centralOffset = tail.getUint32(eocd + 16, true);
+  const dir = new DataView(await file.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+  const decoder = new TextDecoder();
+
+  const entries = [];
+  let p = 0;
+  for (let i = 0; i < count; i++) {
+    if (dir.getUint32(p, true) !== 0x02014b50) throw new Error("Directorio ZIP dañado");
+    const method = dir.getUint16(p + 10, true);
+    const compressedSize = dir.getUint32(p + 20, true);
+    const size = dir.getUint32(p + 24, true);
+    const nameLength = dir.getUint16(p + 28, true);
+    const extraLength = dir.getUint16(p + 30, true);
+    const commentLength = dir.getUint16(p + 32, true);
+    const localOffset = dir.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(dir.buffer, p + 46, nameLength));
+    p += 46 + nameLength + extraLength + commentLength;
+
+    entries.push({
+      name,
+      size,
+      async blob() {
+        const local = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+        const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const raw = file.slice(start, start + compressedSize);
+        if (method === 0) return raw;
+        if (method === 8) return inflateRaw(raw);
+        throw new Error(`Método de compresión ZIP no soportado (${method}) en ${name}`);
+      },
+    });
+  }
+  return entries;
+}
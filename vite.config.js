@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+const pwaFile = (name) => readFileSync(new URL(`./src/pwa/${name}`, import.meta.url), 'utf8')
+
+// PWA sin dependencias: sirve el manifest y el icono en desarrollo y, al compilar,
+// emite sw.js con la lista de archivos del build para precargarlos
+function pwa() {
+  const statics = {
+    'manifest.webmanifest': { source: () => pwaFile('manifest.json'), type: 'application/manifest+json' },
+    'icon.svg': { source: () => pwaFile('icon.svg'), type: 'image/svg+xml' },
+  }
+  return {
+    name: 'promptober-pwa',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = statics[req.url?.split('?')[0].replace(/^\//, '')]
+        if (!file) return next()
+        res.setHeader('Content-Type', file.type)
+        res.end(file.source())
+      })
+    },
+    generateBundle(options, bundle) {
+      Object.entries(statics).forEach(([fileName, file]) => {
+        this.emitFile({ type: 'asset', fileName, source: file.source() })
+      })
+      const precache = Array.from(new Set(['./', 'index.html', ...Object.keys(statics), ...Object.keys(bundle)]))
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12)
+      const source = pwaFile('sw.js')
+        .replace('__CACHE_VERSION__', version)
+        .replace('__PRECACHE__', JSON.stringify(precache))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pwa()],
 })